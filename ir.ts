@@ -37,7 +37,9 @@ export interface IRDocument {
     extractionDuration?: number;
     phases: string;
     version: string;
+    captureId?: string; // Server-side key of the page screenshot, for fidelity diffs
   };
+  capture?: IRCaptureRegion; // Set when only part of the page was captured
   nodes: IRNode[];
   assets: {
     images: IRImageAsset[];
@@ -53,15 +55,116 @@ export interface IRDocument {
     fontWeights: string[];
     lineHeights: number[];
     shadows: string[];
+    colorSchemes?: IRColorSchemeToken[];
+    explicit?: Record<string, string>; // CSS custom properties on :root (computed values)
+    aliases?: Record<string, string>; // Custom properties declared with var(), e.g. "--link": "var(--brand)"
+    implicit?: Record<string, string>; // Frequently repeated value -> generated name
+    semantic?: IRSemanticTokens;
   };
   stackingContexts?: IRStackingContext[];
 }
 
+/**
+ * Part of the page a capture was limited to (a `rootSelector` subtree, a
+ * `clipRect` region, or the root clipped to the region). Node rects are
+ * relative to `origin`, the region's top-left corner on the page.
+ */
+export interface IRCaptureRegion {
+  rootSelector?: string;
+  clipRect?: { x: number; y: number; width: number; height: number };
+  origin: { x: number; y: number };
+  width: number;
+  height: number;
+}
+
+/**
+ * A color that differs between `prefers-color-scheme: light` and `dark`.
+ * Nodes reference it by name through IRNode.colorTokens.
+ */
+export interface IRColorSchemeToken {
+  name: string; // e.g. "surface/1", "text/2"
+  light: string;
+  dark: string;
+}
+
+/**
+ * Cleaned token set: near-duplicate colors merged in OKLab and named by
+ * role, plus the page's spacing base unit and modular type scale.
+ */
+export interface IRSemanticTokens {
+  colors: IRSemanticColor[];
+  spacing: IRSpacingScale;
+  typeScale: IRTypeScale;
+}
+
+export type IRColorRole = "primary" | "surface" | "text" | "border" | "accent" | "neutral";
+
+export interface IRSemanticColor {
+  name: string; // e.g. "primary", "surface-2", "neutral-3"
+  value: string; // Most used member
+  role: IRColorRole;
+  usage: number; // Nodes using any member
+  members: string[]; // Computed color strings merged into this token
+}
+
+export interface IRScaleStep {
+  name: string; // e.g. "space-2", "font-size-lg"
+  value: number; // px
+}
+
+export interface IRSpacingScale {
+  baseUnit: number; // px
+  coverage: number; // Share of spacing values that are multiples of baseUnit (0-1)
+  steps: IRScaleStep[];
+}
+
+export interface IRTypeScale {
+  baseSize: number; // px, the most used text size
+  ratio: number; // e.g. 1.25 (major third)
+  steps: IRScaleStep[];
+}
+
+// ==================== RESPONSIVE CAPTURE ====================
+
+export interface IRBreakpoint {
+  name: string;
+  width: number;
+  height: number;
+}
+
+/**
+ * One capture per breakpoint, taken from the same browser session.
+ * Node ids are stable across breakpoints: the same DOM element carries
+ * the same id (and layer name) in every document.
+ */
+export interface IRResponsiveDocument {
+  url: string;
+  capturedAt: string;
+  breakpoints: Array<IRBreakpoint & { document: IRDocument }>;
+}
+
+// ==================== FILE BUNDLE ====================
+
+export const IR_BUNDLE_FORMAT = "web-to-figma-bundle";
+
+/**
+ * Self-contained capture written by the CLI and loaded by the plugin's
+ * "Import from file". Remote images are inlined so no server is needed.
+ */
+export interface IRBundle {
+  format: typeof IR_BUNDLE_FORMAT;
+  version: 1;
+  createdAt: string;
+  document: IRDocument | IRResponsiveDocument;
+  images: Record<string, string>; // Source URL -> data URL
+}
+
 // ==================== CORE NODE INTERFACE ====================
 
 export interface IRNode {
   // Core Identity
   id: string;
+  name?: string; // Semantic layer name (stable across responsive breakpoints)
   tag: string;
   role?: string;
   type: "FRAME" | "TEXT" | "IMAGE" | "SVG" | "CANVAS" | "VIDEO" | "UNKNOWN";
@@ -91,7 +194,9 @@ export interface IRNode {
   imageSource?: ImageSource;
   /**
    * Inline binary image payload for hybrid delivery.
-   * Takes precedence over legacy base64 strings when present.
+   * Takes precedence over legacy base64 strings when present. Streams with
+   * binary frames leave it unset and send the bytes as one IMAGE_CHUNK
+   * ahead of the node (imageChunkRef with isStreamed false).
    */
   imageData?: number[];
   /**
@@ -131,9 +236,16 @@ export interface IRNode {
     failureReason?: string;
   };
 
+  // Interaction states (hover/focus/active/disabled) as computed-style deltas
+  states?: IRInteractionStates;
+  // Color-scheme token names by style property (backgroundColor, color, borderColor)
+  colorTokens?: Record<string, string>;
+  // Web component details (shadow host mode, exposed ::part names)
+  shadow?: IRShadowInfo;
+
   // Screenshot fallbacks (hybrid approach)
   screenshot?: {
-    src: string; // base64 data URL
+    src: string; // base64 data URL (a path relative to document.json in CLI output)
     width: number;
     height: number;
     dpr: number;
@@ -155,6 +267,36 @@ export interface IRNode {
   needsScreenshot?: boolean;
 }
 
+/**
+ * Shadow DOM details for an element. Children of an open host are its
+ * flat-tree children (shadow content plus slotted light elements); a
+ * closed host has none and is rendered from a screenshot instead.
+ */
+export interface IRShadowInfo {
+  mode?: "open" | "closed"; // Only set on shadow hosts
+  parts?: string[]; // part="…" names, styled from outside with ::part()
+}
+
+export type IRInteractionState = "hover" | "focus" | "active" | "disabled";
+
+/**
+ * One captured interaction state. `styles` holds only the computed-style
+ * properties that changed from the default state, keyed like IRNode.styles;
+ * `descendants` holds the same for child nodes, keyed by node id.
+ */
+export interface IRStateVariant {
+  styles: Record<string, string>;
+  descendants?: Record<string, Record<string, string>>;
+  screenshot?: {
+    src: string;
+    width: number;
+    height: number;
+    dpr: number;
+  };
+}
+
+export type IRInteractionStates = Partial<Record<IRInteractionState, IRStateVariant>>;
+
 export interface ImageSource {
   originalUrl: string;
   resolvedUrl: string;
@@ -456,8 +598,21 @@ export interface IRLayout {
     justifySelf: "auto" | "start" | "end" | "center" | "stretch";
     alignSelf: "auto" | "start" | "end" | "center" | "stretch" | "baseline";
     placeSelf: string;
+    // Rendered tracks, read back from the browser
+    tracks?: {
+      columns: number[]; // px
+      rows: number[];
+      columnsFlexible: boolean; // Equal tracks that fill the container
+      rowsFlexible: boolean;
+      expressible: boolean; // Figma grid auto layout can reproduce it
+      unsupported?: string[]; // Why not, when it can't
+      fallback?: "rows" | "columns"; // Nested auto layout to use instead
+    };
   };
 
+  // Cells this node occupies in its parent grid
+  gridItem?: IRGridItem;
+
   // Resolved alignment context for this node within its parent container
   childAlignment?: {
     mainAxis: "start" | "end" | "center" | "stretch" | "space-between" | "space-around" | "space-evenly";
@@ -738,6 +893,14 @@ export namespace FlexboxUtils {
   }
 }
 
+/** 0-based cell position of a grid child */
+export interface IRGridItem {
+  row: number;
+  column: number;
+  rowSpan: number;
+  columnSpan: number;
+}
+
 // ==================== GRID UTILITY FUNCTIONS ====================
 
 export namespace GridUtils {
@@ -967,6 +1130,23 @@ export interface IRTextContent {
   isClipped: boolean;
   lineCount: number;
   wordCount: number;
+  runs?: IRTextRun[];     // Inline formatting (<strong>, <a>...) folded into this node
+}
+
+/** A styled range of IRTextContent.rawText, in UTF-16 offsets */
+export interface IRTextRun {
+  start: number;
+  end: number;
+  styles: {
+    fontFamily?: string;
+    fontWeight?: string;
+    fontStyle?: string;
+    fontSize?: string;
+    color?: string;
+    textDecoration?: string;
+    letterSpacing?: string;
+  };
+  href?: string;
 }
 
 export interface IRTextMetrics {
@@ -1060,6 +1240,7 @@ export interface IRImageAsset {
   width: number;
   height: number;
   data?: string; // base64 if inlined
+  file?: string; // Path relative to document.json when written by the CLI
   chunkRef?: { id: string; length: number }; // for streamed chunks
   
   // Additional metadata
@@ -1090,6 +1271,14 @@ export interface IRFontAsset {
   usedByNodes?: string[]; // Node IDs that use this font
   isSystemFont?: boolean;
   hash?: string;
+  metrics?: IRFontMetrics; // Measured in the browser, used to pick substitutes
+}
+
+/** Font metrics in em units (1 = the font size) */
+export interface IRFontMetrics {
+  xHeight: number;
+  capHeight: number;
+  avgCharWidth: number; // Mean advance across a-z, A-Z and space
 }
 
 export interface IRSVGAsset {
@@ -1106,6 +1295,7 @@ export interface IRSVGAsset {
     fill?: string;
     stroke?: string;
     strokeWidth?: string;
+    fillRule?: string;
   }>;
 }
 
@@ -1154,6 +1344,9 @@ export interface IRFigmaHints {
     padding?: { top: number; right: number; bottom: number; left: number };
     primaryAxisAlignItems?: "MIN" | "CENTER" | "MAX" | "SPACE_BETWEEN";
     counterAxisAlignItems?: "MIN" | "CENTER" | "MAX" | "BASELINE";
+    // Set by the compiler for block/float/inline-block stacks
+    source?: "flex" | "inferred";
+    confidence?: number; // 0-1, how cleanly the children form the stack
   };
 
   // Constraints
@@ -1184,12 +1377,27 @@ export interface IRSpacing {
 // (Maintained for compatibility with existing streaming pipeline)
 
 export interface StreamMessage {
-  type: "NODES" | "IMAGE_CHUNK" | "FONTS" | "TOKENS" | "STACKING_CONTEXTS" | "PAINT_ORDER" | "COMPLETE" | "ERROR" | "PROGRESS";
+  type: "NODES" | "IMAGE_CHUNK" | "FONTS" | "TOKENS" | "STACKING_CONTEXTS" | "PAINT_ORDER" | "BREAKPOINT" | "JOB" | "COMPLETE" | "ERROR" | "PROGRESS";
   payload?: any;
   sequenceNumber: number;
   timestamp?: number;
 }
 
+// Client -> server: every message up to sequenceNumber has been processed
+export interface StreamAckMessage {
+  type: "ACK";
+  jobId: string;
+  sequenceNumber: number;
+}
+
+// Client -> server: continue a job (on a new socket, or to fill a gap),
+// replaying everything after lastSequence
+export interface StreamResumeMessage {
+  type: "RESUME";
+  jobId: string;
+  lastSequence: number;
+}
+
 export interface NodeBatchMessage {
   type: "NODES";
   nodes: IRNode[];
@@ -1198,6 +1406,9 @@ export interface NodeBatchMessage {
   totalBatches: number;
 }
 
+// JSON form of an image chunk. Streams that negotiated binary frames send
+// the same fields as a binary WebSocket frame instead (encodeImageChunkFrame
+// in scraper/src/stream-controller.ts).
 export interface ImageChunkMessage {
   type: "IMAGE_CHUNK";
   nodeId?: string;      // Node that owns this chunk (preferred)
@@ -1215,6 +1426,7 @@ export interface CompleteMessage {
   type: "COMPLETE";
   document?: IRDocument; // Final complete document (optional in streaming)
   sequenceNumber: number;
+  captureId?: string; // Single-page streams; breakpoints carry their own
   totalNodes?: number;
   totalImages?: number;
   inlineImages?: number;
@@ -1414,6 +1626,7 @@ export class LegacyIRMigrator {
   migrateFromLegacyIRNode(legacyNode: any): IRNode {
     const newNode: Partial<IRNode> = {
       id: legacyNode.id || crypto.randomUUID(),
+      name: legacyNode.name,
       tag: legacyNode.tag || 'div',
       type: this.mapLegacyTypeToNewType(legacyNode.type),
       rect: legacyNode.rect,
@@ -1470,6 +1683,10 @@ export class LegacyIRMigrator {
         lineCount:
           (typeof legacyText === "object" && legacyText?.lineCount) || 1,
         wordCount,
+        runs:
+          typeof legacyText === "object" && Array.isArray(legacyText?.runs)
+            ? legacyText.runs
+            : undefined,
       };
       
       newNode.textMetrics = this.migrateLegacyTypography(legacyNode);
@@ -1524,6 +1741,9 @@ export class LegacyIRMigrator {
     newNode.primaryScreenshot = legacyNode.primaryScreenshot;
     newNode.rasterFallback = legacyNode.rasterFallback;
     newNode.optimization = legacyNode.optimization;
+    newNode.states = legacyNode.states;
+    newNode.colorTokens = legacyNode.colorTokens;
+    newNode.shadow = legacyNode.shadow;
 
     return newNode as IRNode;
   }
@@ -1656,7 +1876,8 @@ export class LegacyIRMigrator {
             hasExplicitSizing: !!(styles.flexGrow || styles.flexShrink || styles.flexBasis || styles.flex),
           },
         }) : undefined,
-      grid: this.createGridLayout(styles),
+      grid: this.createGridLayout(styles, layout.grid?.tracks),
+      gridItem: layout.gridItem,
       dimensions: {
         width: styles.width || "auto",
         height: styles.height || "auto",
@@ -1872,6 +2093,7 @@ export class LegacyIRMigrator {
       usedByNodes: font.usedByElements || font.usedByNodes || [],
       isSystemFont: font.isSystemFont || false,
       hash: font.hash,
+      metrics: font.metrics,
     }));
   }
 
@@ -1900,6 +2122,11 @@ export class LegacyIRMigrator {
       fontWeights: tokens.inferred?.fontWeights || [],
       lineHeights: tokens.inferred?.lineHeights || [],
       shadows: tokens.inferred?.shadows || [],
+      colorSchemes: tokens.colorSchemes,
+      explicit: tokens.explicit,
+      aliases: tokens.aliases,
+      implicit: tokens.implicit,
+      semantic: tokens.inferred?.semantic,
     };
   }
 
@@ -2031,7 +2258,10 @@ export class LegacyIRMigrator {
     );
   }
 
-  private createGridLayout(styles: any): IRLayout["grid"] | undefined {
+  private createGridLayout(
+    styles: any,
+    tracks?: NonNullable<IRLayout["grid"]>["tracks"]
+  ): IRLayout["grid"] | undefined {
     if (!GridUtils.isGridDisplay(styles.display)) {
       return undefined;
     }
@@ -2062,6 +2292,7 @@ export class LegacyIRMigrator {
       justifySelf: GridUtils.normalizeJustifySelf(styles.justifySelf),
       alignSelf: GridUtils.normalizeAlignSelf(styles.alignSelf),
       placeSelf: styles.placeSelf || "auto",
+      tracks,
     };
   }
 }
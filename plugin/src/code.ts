@@ -26,7 +26,7 @@ interface IRNode {
   styles?: any;
   image?: any;
   svg?: any;
-  imageData?: number[];
+  imageData?: number[] | Uint8Array;
   imageChunkRef?: { isStreamed: boolean; totalChunks: number };
   componentHint?: string;
   pseudoElements?: any[];
@@ -37,14 +37,27 @@ interface IRNode {
 interface StreamMessage {
   type: string;
   payload?: any;
+  captureId?: string;
+  sequenceNumber?: number;
+}
+
+interface StreamBreakpoint {
+  name: string;
+  width: number;
+  height: number;
+  index: number;
+  total: number;
+  captureId?: string;
+  region?: { width: number; height: number };
 }
 
 interface ImageChunkMessage {
   type: "IMAGE_CHUNK";
   nodeId: string;
   chunkIndex: number;
-  data: number[];
+  data: number[] | Uint8Array; // Uint8Array when decoded from a binary frame
   totalChunks: number;
+  sequenceNumber?: number;
 }
 
 // Inline ImageAssembler class to avoid import issues in Figma
@@ -63,7 +76,7 @@ class ImageAssembler {
   addChunk(
     nodeId: string,
     chunkIndex: number,
-    data: number[],
+    data: number[] | Uint8Array,
     totalChunks: number
   ): void {
     if (!this.buffers.has(nodeId)) {
@@ -77,7 +90,7 @@ class ImageAssembler {
     }
 
     const buffer = this.buffers.get(nodeId)!;
-    const uint8Array = new Uint8Array(data);
+    const uint8Array = data instanceof Uint8Array ? data : new Uint8Array(data);
     if (!buffer.chunks.has(chunkIndex)) {
       buffer.chunks.set(chunkIndex, uint8Array);
       buffer.receivedChunks += 1;
@@ -543,16 +556,45 @@ figma.showUI(__html__, {
 });
 
 let tokenVariables: Record<string, any> = {};
+let bundledImages: Record<string, string> = {};
+const sharedTextStyles = new Map<string, TextStyle>();
+let sharedTextStylesLoaded = false;
 let nodeBuffer: any[] = [];
 let isProcessing = false;
 let loadedFonts = new Set<string>();
-let fontMapping: Record<string, { family: string; style: string }> = {};
 const imageAssembler = new ImageAssembler();
 const pendingImageNodes = new Map<string, IRNode>();
+
+// Sequencing of the scraper's stream, see acceptStreamSequence
+let streamJobId: string | null = null;
+let nextStreamSequence = 0;
+let lastAckedStreamSequence = -1;
+let streamGapReported = false;
+const handledStreamSequences = new Set<number>();
 const streamScreenshots: Record<string, string> = {};
 const streamStates: Record<string, any> = {};
 const streamCreatedNodes = new Map<string, SceneNode>();
+const pendingImageParents = new Map<string, BaseNode & ChildrenMixin>();
+const pendingStateVariants: Array<{ node: SceneNode; states: any }> = [];
+const pendingAutoLayoutChecks: Array<{ frame: FrameNode; nodeData: any; fullData: any }> = [];
+// Largest drift (px) between a built Auto Layout frame and the captured rects
+const AUTO_LAYOUT_TOLERANCE = 2;
+const pendingComponentNodes: Array<{
+  node: SceneNode;
+  irId: string;
+  hint: { isComponent: boolean; isInstance: boolean; masterComponentId?: string };
+}> = [];
+const STATE_VARIANTS: Array<[string, string]> = [
+  ["hover", "Hover"],
+  ["focus", "Focus"],
+  ["active", "Active"],
+  ["disabled", "Disabled"],
+];
+const STATE_VARIANT_GAP = 24;
+const STATE_SET_OFFSET = 200;
+let streamBreakpointFrame: FrameNode | null = null;
 let totalStreamNodesProcessed = 0;
+const BREAKPOINT_FRAME_GAP = 120;
 const STREAM_ASSEMBLY_TIMEOUT_MS = 10000;
 let SERVER_PORT = 3000; // Default, will be updated from UI
 
@@ -574,23 +616,6 @@ function normalizeFontFamilyName(family?: string): string {
   return family.replace(/['"]/g, "").trim().toLowerCase();
 }
 
-function normalizeFontStyle(style?: string, weight?: string): string {
-  const numericWeight = parseInt(weight || "", 10);
-  if (!isNaN(numericWeight)) {
-    if (numericWeight >= 700) return "Bold";
-    if (numericWeight >= 600) return "Semi Bold";
-    if (numericWeight >= 500) return "Medium";
-    if (numericWeight <= 300) return "Light";
-  }
-  const clean = (style || "").toLowerCase();
-  if (clean.includes("italic")) return "Italic";
-  if (clean.includes("medium")) return "Medium";
-  if (clean.includes("bold")) return "Bold";
-  if (clean.includes("semi")) return "Semi Bold";
-  if (clean.includes("light")) return "Light";
-  return "Regular";
-}
-
 function ensureNodeLookup(fullData: any): NodeLookup {
   if (!fullData) {
     return new Map();
@@ -759,15 +784,28 @@ function applyOpacityAndBlend(node: SceneNode, nodeData: any) {
 }
 
 const ENABLE_AUTO_LAYOUT = true; // Enable comprehensive flexbox → Auto Layout mapping
+// Inferred stacks (block flow, floats, inline-block rows) below this stay absolute
+const INFERRED_AUTO_LAYOUT_MIN_CONFIDENCE = 0.8;
 
-function resetStreamState(): void {
-  pendingImageNodes.clear();
+function resetStreamNodeLookup(): void {
   streamCreatedNodes.clear();
-  totalStreamNodesProcessed = 0;
   if (streamFullDataEnvelope.__nodeLookup) {
     (streamFullDataEnvelope.__nodeLookup as Map<string, any>).clear();
     delete streamFullDataEnvelope.__nodeLookup;
   }
+}
+
+function resetStreamState(): void {
+  resetFontSubstitutionReport();
+  pendingImageNodes.clear();
+  pendingImageParents.clear();
+  pendingStateVariants.length = 0;
+  pendingComponentNodes.length = 0;
+  pendingAutoLayoutChecks.length = 0;
+  importedRoots.length = 0;
+  streamBreakpointFrame = null;
+  totalStreamNodesProcessed = 0;
+  resetStreamNodeLookup();
   for (const key of Object.keys(streamScreenshots)) {
     delete streamScreenshots[key];
   }
@@ -803,7 +841,199 @@ function applyVariableFill(node: GeometryMixin, variable: Variable) {
   node.fills = [boundPaint];
 }
 
+function applyVariableStroke(node: MinimalStrokesMixin, variable: Variable) {
+  if (!figma.variables) return;
+  const basePaint =
+    node.strokes.find((paint): paint is SolidPaint => paint.type === "SOLID") ||
+    null;
+  if (!basePaint) return;
+
+  node.strokes = [
+    figma.variables.setBoundVariableForPaint(basePaint, "color", variable),
+  ];
+}
+
+const RADIUS_FIELDS: VariableBindableNodeField[] = [
+  "topLeftRadius",
+  "topRightRadius",
+  "bottomRightRadius",
+  "bottomLeftRadius",
+];
+const PADDING_FIELDS: VariableBindableNodeField[] = [
+  "paddingTop",
+  "paddingRight",
+  "paddingBottom",
+  "paddingLeft",
+];
+
+/**
+ * Binds corner radii, auto layout gap and padding, and the border color to
+ * the token variables whose values they match exactly.
+ */
+function applyTokenBindings(node: SceneNode, nodeData: any): void {
+  if (!figma.variables) return;
+
+  const bind = (field: VariableBindableNodeField, key: string) => {
+    const variable = tokenVariables[key];
+    if (!variable) return;
+    try {
+      node.setBoundVariable(field, variable);
+    } catch (error) {
+      console.warn(`Could not bind ${field} on ${node.name}:`, error);
+    }
+  };
+
+  if ("topLeftRadius" in node) {
+    for (const field of RADIUS_FIELDS) {
+      const value = (node as any)[field];
+      if (value > 0) bind(field, `radius:${value}`);
+    }
+  }
+
+  if ("layoutMode" in node && node.layoutMode !== "NONE") {
+    if (node.itemSpacing > 0) bind("itemSpacing", `spacing:${node.itemSpacing}`);
+    if (node.layoutWrap === "WRAP" && node.counterAxisSpacing) {
+      bind("counterAxisSpacing", `spacing:${node.counterAxisSpacing}`);
+    }
+    for (const field of PADDING_FIELDS) {
+      const value = (node as any)[field];
+      if (value > 0) bind(field, `spacing:${value}`);
+    }
+  }
+
+  const borderVariable = nodeData.styles?.borderColor
+    ? tokenVariables[nodeData.styles.borderColor]
+    : undefined;
+  if (borderVariable && "strokes" in node) {
+    applyVariableStroke(node, borderVariable);
+  }
+}
+
+async function loadSharedTextStyles(): Promise<void> {
+  if (sharedTextStylesLoaded) return;
+  sharedTextStylesLoaded = true;
+  for (const style of await figma.getLocalTextStylesAsync()) {
+    const key = style.getPluginData("textStyleKey");
+    if (key) sharedTextStyles.set(key, style);
+  }
+}
+
+/**
+ * Gives every distinct typography combination one shared TextStyle, reused
+ * across imports, so editing the style restyles all matching text.
+ */
+async function applySharedTextStyle(textNode: TextNode): Promise<void> {
+  const { fontName, fontSize, lineHeight, letterSpacing, textCase, textDecoration } =
+    textNode;
+  if (
+    fontName === figma.mixed ||
+    fontSize === figma.mixed ||
+    lineHeight === figma.mixed ||
+    letterSpacing === figma.mixed ||
+    textCase === figma.mixed ||
+    textDecoration === figma.mixed
+  ) {
+    return;
+  }
+
+  try {
+    await loadSharedTextStyles();
+    const key = JSON.stringify([
+      fontName.family,
+      fontName.style,
+      fontSize,
+      lineHeight,
+      letterSpacing,
+      textCase,
+      textDecoration,
+    ]);
+
+    let style = sharedTextStyles.get(key);
+    if (!style) {
+      const sizeVariable = tokenVariables[`fontSize:${fontSize}`];
+      const sizeLabel = sizeVariable
+        ? sizeVariable.name.replace(/^font-size-/, "")
+        : `${fontSize}`;
+      const baseName = `${sizeLabel}/${fontName.family} ${fontName.style}`;
+      const takenNames = new Set(
+        Array.from(sharedTextStyles.values()).map((existing) => existing.name)
+      );
+      let name = baseName;
+      for (let suffix = 2; takenNames.has(name); suffix++) {
+        name = `${baseName} ${suffix}`;
+      }
+
+      style = figma.createTextStyle();
+      style.name = name;
+      style.fontName = fontName;
+      style.fontSize = fontSize;
+      style.lineHeight = lineHeight;
+      style.letterSpacing = letterSpacing;
+      style.textCase = textCase;
+      style.textDecoration = textDecoration;
+      style.setPluginData("textStyleKey", key);
+      if (sizeVariable) {
+        style.setBoundVariable("fontSize", sizeVariable);
+      }
+      sharedTextStyles.set(key, style);
+    }
+
+    await textNode.setTextStyleIdAsync(style.id);
+  } catch (error) {
+    console.warn("Shared text style failed:", error);
+  }
+}
+
+/**
+ * Binds fills and strokes to the Light/Dark variables referenced by
+ * nodeData.colorTokens. Image and gradient fills are left alone.
+ */
+function applyColorSchemeVariables(node: SceneNode, nodeData: any): void {
+  const colorTokens = nodeData.colorTokens;
+  if (!colorTokens || !figma.variables) return;
+
+  const fillToken =
+    node.type === "TEXT" ? colorTokens.color : colorTokens.backgroundColor;
+  const fillVariable = fillToken ? tokenVariables[fillToken] : undefined;
+  if (
+    fillVariable &&
+    "fills" in node &&
+    "fillGeometry" in node &&
+    node.fills !== figma.mixed &&
+    node.fills.every((paint) => paint.type === "SOLID")
+  ) {
+    applyVariableFill(node, fillVariable);
+  }
+
+  const strokeVariable = colorTokens.borderColor
+    ? tokenVariables[colorTokens.borderColor]
+    : undefined;
+  if (strokeVariable && "strokes" in node) {
+    applyVariableStroke(node, strokeVariable);
+  }
+}
+
 figma.ui.onmessage = async (msg: unknown) => {
+  const sequence =
+    typeof msg === "object" && msg !== null
+      ? (msg as StreamMessage).sequenceNumber
+      : undefined;
+  if (typeof sequence !== "number") {
+    await handleUIMessage(msg);
+    return;
+  }
+
+  if (!acceptStreamSequence(msg as StreamMessage)) {
+    return;
+  }
+  try {
+    await handleUIMessage(msg);
+  } finally {
+    acknowledgeStreamSequence(sequence);
+  }
+};
+
+async function handleUIMessage(msg: unknown): Promise<void> {
   try {
     const streamTypes = new Set([
       "NODES",
@@ -812,6 +1042,8 @@ figma.ui.onmessage = async (msg: unknown) => {
       "COMPLETE",
       "PROGRESS",
       "ERROR",
+      "BREAKPOINT",
+      "JOB",
     ]);
 
     if (typeof msg === "object" && msg !== null) {
@@ -839,6 +1071,34 @@ figma.ui.onmessage = async (msg: unknown) => {
         await processFullPage(legacy.data);
         break;
 
+      case "responsive_page":
+        await processResponsivePage(legacy.data);
+        break;
+
+      case "import_bundle":
+        await importBundle(legacy.data);
+        break;
+
+      case "replace_font":
+        await replaceSubstitutedFont(legacy.family, legacy.replacement);
+        break;
+
+      case "begin_update":
+        beginImportUpdate();
+        break;
+
+      case "check_fidelity":
+        await exportForFidelityCheck();
+        break;
+
+      case "fidelity_result":
+        applyFidelityResult(legacy.report);
+        break;
+
+      case "select_node":
+        selectImportedNode(legacy.irNodeId);
+        break;
+
       case "tokens":
         tokenVariables = await createFigmaVariables(legacy.data);
         break;
@@ -863,7 +1123,81 @@ figma.ui.onmessage = async (msg: unknown) => {
     console.error(error);
     figma.notify("Error processing data", { error: true });
   }
-};
+}
+
+/**
+ * Whether a sequenced stream message should be handled. Sequence 0 starts
+ * a new stream; a JOB message there makes it an acknowledged one. Replays
+ * of handled messages are dropped. Past a gap, acknowledged streams drop
+ * messages and ask the UI to resume from the last one in order, so the
+ * scraper replays the rest; legacy streams can only log the gap.
+ */
+function acceptStreamSequence(msg: StreamMessage): boolean {
+  const sequence = msg.sequenceNumber as number;
+  const replayedJob =
+    msg.type === "JOB" && streamJobId !== null && msg.payload?.jobId === streamJobId;
+
+  if (sequence === 0 && !replayedJob) {
+    streamJobId = msg.type === "JOB" ? msg.payload?.jobId || null : null;
+    nextStreamSequence = 0;
+    lastAckedStreamSequence = -1;
+    handledStreamSequences.clear();
+    streamGapReported = false;
+  }
+
+  if (sequence < nextStreamSequence) {
+    // The scraper replayed it because our ACK was lost
+    postStreamAck();
+    return false;
+  }
+
+  if (sequence > nextStreamSequence) {
+    if (streamJobId) {
+      if (!streamGapReported) {
+        streamGapReported = true;
+        console.warn(
+          `Stream gap: expected ${nextStreamSequence}, got ${sequence}; resuming`
+        );
+        figma.ui.postMessage({
+          type: "stream_gap",
+          jobId: streamJobId,
+          lastSequence: nextStreamSequence - 1,
+        });
+      }
+      return false;
+    }
+    console.warn(
+      `Stream gap: messages ${nextStreamSequence}-${sequence - 1} never arrived`
+    );
+  }
+
+  nextStreamSequence = sequence + 1;
+  streamGapReported = false;
+  return true;
+}
+
+/**
+ * Messages are handled concurrently, so the ACK covers the longest run of
+ * handled sequence numbers
+ */
+function acknowledgeStreamSequence(sequence: number): void {
+  if (!streamJobId) return;
+  handledStreamSequences.add(sequence);
+  while (handledStreamSequences.has(lastAckedStreamSequence + 1)) {
+    lastAckedStreamSequence += 1;
+    handledStreamSequences.delete(lastAckedStreamSequence);
+  }
+  postStreamAck();
+}
+
+function postStreamAck(): void {
+  if (!streamJobId || lastAckedStreamSequence < 0) return;
+  figma.ui.postMessage({
+    type: "stream_ack",
+    jobId: streamJobId,
+    sequenceNumber: lastAckedStreamSequence,
+  });
+}
 
 async function handleStreamEnvelope(msg: StreamMessage): Promise<void> {
   switch (msg.type) {
@@ -896,6 +1230,12 @@ async function handleStreamEnvelope(msg: StreamMessage): Promise<void> {
       }
       break;
 
+    case "BREAKPOINT":
+      if (msg.payload) {
+        handleStreamBreakpoint(msg.payload as StreamBreakpoint);
+      }
+      break;
+
     case "PROGRESS":
       figma.ui.postMessage({
         type: "PROGRESS_UPDATE",
@@ -912,11 +1252,63 @@ async function handleStreamEnvelope(msg: StreamMessage): Promise<void> {
     case "COMPLETE":
       console.log("🏁 RECEIVED COMPLETE MESSAGE:", msg.payload);
       await handleStreamComplete(msg.payload);
+      if (!streamBreakpointFrame) {
+        const root = findStreamPageRoot();
+        if (root) {
+          markImportRoot(root, "page");
+          if (msg.captureId) markStreamRootForFidelity(root, msg.captureId);
+        }
+      }
+      await finishImportUpdate();
       console.log("✅ handleStreamComplete finished");
       break;
   }
 }
 
+function getStreamRoot(): BaseNode & ChildrenMixin {
+  return streamBreakpointFrame || figma.currentPage;
+}
+
+/**
+ * Opens the frame for the next responsive breakpoint to the right of the
+ * previous one. Node ids repeat across breakpoints, so the lookup is reset.
+ */
+function handleStreamBreakpoint(breakpoint: StreamBreakpoint): void {
+  const previous = streamBreakpointFrame;
+  resetStreamNodeLookup();
+
+  const frame = createBreakpointFrame(breakpoint);
+  frame.x = previous ? previous.x + previous.width + BREAKPOINT_FRAME_GAP : 0;
+  frame.y = previous ? previous.y : 0;
+  figma.currentPage.appendChild(frame);
+  streamBreakpointFrame = frame;
+  if (breakpoint.captureId) {
+    markFidelityTarget(frame, breakpoint.captureId, { x: 0, y: 0 });
+  }
+
+  console.log(
+    `📐 Breakpoint ${breakpoint.index + 1}/${breakpoint.total}: ${breakpoint.name} (${breakpoint.width}x${breakpoint.height})`
+  );
+}
+
+function createBreakpointFrame(breakpoint: {
+  name: string;
+  width: number;
+  height: number;
+  region?: { width: number; height: number };
+}): FrameNode {
+  // Region captures are framed at the captured element's size
+  const size = breakpoint.region || breakpoint;
+  const frame = figma.createFrame();
+  frame.name = `${breakpoint.name} — ${breakpoint.width}px`;
+  frame.resize(clampSize(size.width), clampSize(size.height));
+  frame.fills = [{ type: "SOLID", color: { r: 1, g: 1, b: 1 } }];
+  frame.clipsContent = false;
+  frame.setPluginData("breakpoint", JSON.stringify(breakpoint));
+  markImportRoot(frame, `breakpoint:${breakpoint.name}`);
+  return frame;
+}
+
 // ✅ UPDATED: Use hierarchy builder for streaming
 async function handleStreamNodeBatch(nodes: IRNode[]): Promise<void> {
   console.log("🔧 handleStreamNodeBatch START:", {
@@ -953,6 +1345,7 @@ async function handleStreamNodeBatch(nodes: IRNode[]): Promise<void> {
   // Defer image nodes
   for (const node of deferredNodes) {
     pendingImageNodes.set(node.id, node);
+    pendingImageParents.set(node.id, getStreamRoot());
     registerNodesWithLookup(streamFullData, [node]);
     console.log(
       `Deferring image node ${node.id} (waiting for ${
@@ -966,7 +1359,7 @@ async function handleStreamNodeBatch(nodes: IRNode[]): Promise<void> {
     console.log("🏗️ Building hierarchy for", regularNodes.length, "regular nodes");
     await builder.buildHierarchy(
       regularNodes,
-      figma.currentPage,
+      getStreamRoot(),
       async (nodeData, parent) => {
         console.log("  🔨 Creating node:", { id: nodeData.id, type: nodeData.type, name: nodeData.name });
         const figmaNode = await createEnhancedNode(
@@ -1006,7 +1399,12 @@ function handleImageChunk(chunk: ImageChunkMessage): void {
     chunk.totalChunks
   );
 
-  if (imageAssembler.isComplete(chunk.nodeId)) {
+  // Single-chunk images arrive before their node and stay in the
+  // assembler until createImageNode picks them up
+  if (
+    imageAssembler.isComplete(chunk.nodeId) &&
+    pendingImageNodes.has(chunk.nodeId)
+  ) {
     void createPendingImageNode(chunk.nodeId);
   }
 }
@@ -1042,14 +1440,14 @@ async function createPendingImageNode(nodeId: string): Promise<void> {
     return;
   }
 
-  node.imageData = Array.from(assembled);
+  node.imageData = assembled;
   delete node.imageChunkRef;
 
   const streamFullData = streamFullDataEnvelope;
 
   const figmaNode = await createEnhancedNode(
     node,
-    figma.currentPage,
+    pendingImageParents.get(nodeId) || getStreamRoot(),
     streamFullData,
     streamCreatedNodes
   );
@@ -1059,6 +1457,7 @@ async function createPendingImageNode(nodeId: string): Promise<void> {
   }
 
   pendingImageNodes.delete(nodeId);
+  pendingImageParents.delete(nodeId);
 
   figma.ui.postMessage({
     type: "IMAGE_ASSEMBLED",
@@ -1081,9 +1480,10 @@ async function handleStreamComplete(payload: any): Promise<void> {
         if (!node) continue;
 
         const placeholder = createPlaceholderForFailedImage(node as any);
-        figma.currentPage.appendChild(placeholder);
+        (pendingImageParents.get(nodeId) || getStreamRoot()).appendChild(placeholder);
         streamCreatedNodes.set(nodeId, placeholder);
         pendingImageNodes.delete(nodeId);
+        pendingImageParents.delete(nodeId);
         totalStreamNodesProcessed += 1;
       }
     }
@@ -1097,197 +1497,1271 @@ async function handleStreamComplete(payload: any): Promise<void> {
       if (!node) continue;
 
       const placeholder = createPlaceholderForFailedImage(node as any);
-      figma.currentPage.appendChild(placeholder);
+      (pendingImageParents.get(nodeId) || getStreamRoot()).appendChild(placeholder);
       streamCreatedNodes.set(nodeId, placeholder);
       pendingImageNodes.delete(nodeId);
+      pendingImageParents.delete(nodeId);
       totalStreamNodesProcessed += 1;
     }
   }
 
+  validateQueuedAutoLayouts();
+  const instances = await createQueuedComponents();
+  const stateSets = createQueuedStateVariants();
+  postFontSubstitutionReport();
+
   figma.notify(
-    `✓ Import complete: ${totalStreamNodesProcessed} nodes created`,
+    `✓ Import complete: ${totalStreamNodesProcessed} nodes created${
+      instances > 0 ? `, ${instances} component instances` : ""
+    }${stateSets.length > 0 ? `, ${stateSets.length} component sets` : ""}`,
     { timeout: 3000 }
   );
   console.log("Import stats:", payload);
 }
 
-// ✅ UPDATED: Use hierarchy builder for full page import
-async function processFullPage(data: any) {
-  const startTime = Date.now();
-
-  // Step 1: Process fonts
-  const incomingFonts = data.fonts || [];
-  const incomingFontFaces = data.fontFaces || [];
-  if (incomingFonts.length > 0 || incomingFontFaces.length > 0) {
-    console.log(
-      `Processing fonts (${incomingFonts.length} fonts, ${incomingFontFaces.length} faces)...`
-    );
-    await processFonts(
-      { fonts: incomingFonts, fontFaces: incomingFontFaces },
-      incomingFontFaces
-    );
-  }
-
-  // Step 2: Create design tokens
-  if (data.tokens) {
-    tokenVariables = await createFigmaVariables(data.tokens);
-  }
-
-  // Step 3: Create container
-  const container = figma.createFrame();
-  container.name = "Imported Page";
-  container.x = 0;
-  container.y = 0;
-  container.resize(data.viewport.width, data.viewport.height);
-  container.fills = [{ type: "SOLID", color: { r: 1, g: 1, b: 1 } }];
-  container.clipsContent = false;
-
-  // ✅ Step 4: Build hierarchy using HierarchyBuilder
-  const builder = new HierarchyBuilder();
-  const createdNodes = new Map<string, SceneNode>();
-  registerNodesWithLookup(data, data.nodes);
+// ==================== IMPORT FIDELITY ====================
 
-  await builder.buildHierarchy(
-    data.nodes,
-    container,
-    async (nodeData, parent) => {
-      const figmaNode = await createEnhancedNode(
-        nodeData,
-        parent,
-        data,
-        createdNodes
-      );
-      if (figmaNode) {
-        createdNodes.set(nodeData.id, figmaNode);
-      }
-      return figmaNode;
-    }
-  );
+// Most recent import that the server still has a page screenshot for
+let lastFidelityTarget: SceneNode | null = null;
 
-  const stats = builder.getStats();
+/**
+ * Remember which frame shows a capture and where its top-left corner
+ * sits on the captured page
+ */
+function markFidelityTarget(node: SceneNode, captureId: string, origin: { x: number; y: number }): void {
+  node.setPluginData("captureId", captureId);
+  node.setPluginData("captureOrigin", JSON.stringify(origin));
+  lastFidelityTarget = node;
+  figma.ui.postMessage({ type: "fidelity_available" });
+}
 
-  figma.currentPage.appendChild(container);
-  figma.viewport.scrollAndZoomIntoView([container]);
+/**
+ * Single-page streams build straight onto the canvas, so the largest
+ * top-level node (the <html> / <body> frame) stands in for the page
+ */
+function findStreamPageRoot(): SceneNode | null {
+  let root: SceneNode | null = null;
+  for (const node of Array.from(streamCreatedNodes.values())) {
+    if (node.removed || node.parent?.type !== "PAGE") continue;
+    if (!root || node.width * node.height > root.width * root.height) root = node;
+  }
+  return root;
+}
 
-  const elapsed = Date.now() - startTime;
-  figma.notify(
-    `✓ Import complete: ${stats.nodesCreated} nodes (${stats.maxDepth} levels) in ${elapsed}ms`,
-    { timeout: 3000 }
-  );
+function markStreamRootForFidelity(root: SceneNode, captureId: string): void {
+  const lookup = ensureNodeLookup(streamFullDataEnvelope);
+  const rootData = lookup.get(root.getPluginData("irNodeId"));
+  const bounds = getAbsoluteBounds(rootData);
+  markFidelityTarget(root, captureId, { x: bounds.x, y: bounds.y });
 }
 
-async function processBufferedNodes() {
-  while (nodeBuffer.length > 0) {
-    const batch = nodeBuffer.splice(0, 20);
-    for (const node of batch) {
-      await createEnhancedNode(node, figma.currentPage, {}, new Map());
+/**
+ * The imported frame to check: the selection (or its import ancestor),
+ * otherwise the last import
+ */
+function findFidelityTarget(): SceneNode | null {
+  for (const selected of figma.currentPage.selection) {
+    let node: BaseNode | null = selected;
+    while (node && node.type !== "PAGE" && node.type !== "DOCUMENT") {
+      if (node.getPluginData("captureId")) return node as SceneNode;
+      node = node.parent;
     }
-    await new Promise((r) => setTimeout(r, 10));
   }
-  isProcessing = false;
+  return lastFidelityTarget && !lastFidelityTarget.removed ? lastFidelityTarget : null;
 }
 
 /**
- * PHASE 2: Font Processing & Mapping
+ * Export the imported frame at 1x and hand it to the UI, which posts it to
+ * the server's /fidelity endpoint
  */
-async function processFonts(fontPayload: any, explicitFontFaces: any[] = []) {
-  const payloadIsArray = Array.isArray(fontPayload);
-  const fonts: any[] = payloadIsArray
-    ? fontPayload
-    : fontPayload?.fonts || [];
-  const payloadFaces: any[] = payloadIsArray
-    ? []
-    : fontPayload?.fontFaces || fontPayload?.faces || [];
-  const fontFaces = [...explicitFontFaces, ...payloadFaces];
-
-  const variants: Array<{ family: string; style?: string; weight?: string }> =
-    [];
-  const fontFamilies = new Set<string>();
+async function exportForFidelityCheck(): Promise<void> {
+  const target = findFidelityTarget();
+  if (!target) {
+    figma.ui.postMessage({
+      type: "fidelity_failed",
+      error: "Select an imported page, or import one with the server running",
+    });
+    return;
+  }
 
-  for (const entry of [...fonts, ...fontFaces]) {
-    if (!entry?.family) continue;
-    fontFamilies.add(entry.family);
-    variants.push({
-      family: entry.family,
-      style: entry.style,
-      weight: entry.weight,
+  try {
+    const origin = JSON.parse(target.getPluginData("captureOrigin") || "{\"x\":0,\"y\":0}");
+    const bytes = await target.exportAsync({ format: "PNG", constraint: { type: "SCALE", value: 1 } });
+
+    // The export covers the render bounds, which overflow and shadows can
+    // push past the frame's own top-left corner
+    const box = target.absoluteBoundingBox;
+    const rendered = "absoluteRenderBounds" in target ? target.absoluteRenderBounds : null;
+    const offset = box && rendered ? { x: rendered.x - box.x, y: rendered.y - box.y } : { x: 0, y: 0 };
+
+    figma.ui.postMessage({
+      type: "fidelity_export",
+      captureId: target.getPluginData("captureId"),
+      x: origin.x + offset.x,
+      y: origin.y + offset.y,
+      bytes,
     });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    figma.ui.postMessage({ type: "fidelity_failed", error: `Export failed: ${message}` });
   }
+}
 
-  console.log("Detected font families:", Array.from(fontFamilies));
+/**
+ * Store the server's per-node scores on the imported layers
+ */
+function applyFidelityResult(report: any): void {
+  const target = findFidelityTarget();
+  if (!target || !report?.nodes || !("findAll" in target)) return;
+
+  const layers = [target as SceneNode, ...(target as FrameNode).findAll((node) => !!node.getPluginData("irNodeId"))];
+  for (const layer of layers) {
+    const validation = report.nodes[layer.getPluginData("irNodeId")];
+    if (validation) {
+      layer.setPluginData("pixelDiff", String(validation.pixelDiff));
+    }
+  }
+  target.setPluginData("fidelityScore", String(report.score));
+}
 
-  for (const variant of variants) {
-    const family = variant.family;
-    const normalizedFamily = normalizeFontFamilyName(family);
-    const style = normalizeFontStyle(variant.style, variant.weight);
-    const figmaFont = { family, style };
+function selectImportedNode(irNodeId: string): void {
+  const target = findFidelityTarget();
+  if (!target || !("findOne" in target)) return;
 
-    try {
-      await figma.loadFontAsync(figmaFont);
-      loadedFonts.add(`${figmaFont.family}__${figmaFont.style}`);
-      fontMapping[family] = figmaFont;
-      fontMapping[normalizedFamily] = figmaFont;
-      console.log(`✓ Loaded font: ${figmaFont.family} (${figmaFont.style})`);
-    } catch (e) {
-      // Continue to fallback mapping
-    }
+  const node = (target as FrameNode).findOne((child) => child.getPluginData("irNodeId") === String(irNodeId));
+  if (node) {
+    figma.currentPage.selection = [node];
+    figma.viewport.scrollAndZoomIntoView([node]);
   }
+}
 
-  for (const family of fontFamilies) {
-    const normalizedFamily = normalizeFontFamilyName(family);
-    if (fontMapping[normalizedFamily]) continue;
-    const fallback = mapToFigmaFont(family);
-    fontMapping[family] = fallback;
-    fontMapping[normalizedFamily] = fallback;
-  }
-}
-
-function mapToFigmaFont(webFont: string): { family: string; style: string } {
-  const cleanFont = webFont
-    .toLowerCase()
-    .replace(/['"]/g, "")
-    .split(",")[0]
-    .trim();
-
-  const fontMap: Record<string, string> = {
-    inter: "Inter",
-    roboto: "Roboto",
-    "open sans": "Open Sans",
-    lato: "Lato",
-    montserrat: "Montserrat",
-    "source sans pro": "Source Sans Pro",
-    raleway: "Raleway",
-    poppins: "Poppins",
-    nunito: "Nunito",
-    ubuntu: "Ubuntu",
-    "playfair display": "Playfair Display",
-    merriweather: "Merriweather",
-    "work sans": "Work Sans",
-    arial: "Arial",
-    helvetica: "Helvetica",
-    "helvetica neue": "Helvetica Neue",
-    "times new roman": "Times New Roman",
-    georgia: "Georgia",
-    "courier new": "Courier New",
-    verdana: "Verdana",
-    "trebuchet ms": "Trebuchet MS",
-    "sans-serif": "Inter",
-    serif: "Roboto Serif",
-    monospace: "Roboto Mono",
-  };
+// ==================== RE-IMPORT ====================
 
-  return { family: fontMap[cleanFont] || "Inter", style: "Regular" };
+interface ImportChange {
+  action: "added" | "removed" | "updated" | "replaced";
+  name: string;
+  irNodeId?: string;
+  fields?: string[];
 }
 
+// Roots built by the running import, keyed by importKey
+const importedRoots: SceneNode[] = [];
+// Existing imports the running import updates instead of adding frames
+let importUpdateTargets: SceneNode[] = [];
+
+// Copied in this order: layoutMode first, since the rest depend on it
+const UPDATE_LAYOUT_FIELDS = [
+  "layoutMode",
+  "layoutWrap",
+  "primaryAxisSizingMode",
+  "counterAxisSizingMode",
+  "primaryAxisAlignItems",
+  "counterAxisAlignItems",
+  "counterAxisAlignContent",
+  "itemSpacing",
+  "counterAxisSpacing",
+  "paddingTop",
+  "paddingRight",
+  "paddingBottom",
+  "paddingLeft",
+  "gridRowCount",
+  "gridColumnCount",
+  "gridRowGap",
+  "gridColumnGap",
+  "layoutPositioning",
+  "layoutAlign",
+  "layoutGrow",
+  "minWidth",
+  "maxWidth",
+  "minHeight",
+  "maxHeight",
+];
+
+const UPDATE_STYLE_FIELDS = [
+  "fills",
+  "strokes",
+  "strokeWeight",
+  "strokeAlign",
+  "dashPattern",
+  "effects",
+  "cornerRadius",
+  "topLeftRadius",
+  "topRightRadius",
+  "bottomLeftRadius",
+  "bottomRightRadius",
+  "opacity",
+  "blendMode",
+  "clipsContent",
+];
+
+const UPDATE_TEXT_FIELDS: Array<
+  "fontName" | "fontSize" | "lineHeight" | "letterSpacing" | "fills" | "textDecoration" | "textCase" | "textStyleId"
+> = ["fontName", "fontSize", "lineHeight", "letterSpacing", "fills", "textDecoration", "textCase", "textStyleId"];
+
 /**
- * PHASE 3-6: Enhanced Node Creation with All Features
- * NOTE: This function is called by HierarchyBuilder recursively
+ * Tags a top-level frame as the output of an import so a later import
+ * can update it. `key` tells a page apart from each breakpoint frame.
  */
-async function createEnhancedNode(
-  nodeData: any,
-  parent: BaseNode & ChildrenMixin,
-  fullData: any,
-  createdNodes: Map<string, SceneNode>
+function markImportRoot(node: SceneNode, key: string): void {
+  node.setPluginData("importKey", key);
+  importedRoots.push(node);
+}
+
+/**
+ * Switches the next import to update mode, targeting the selected imports
+ * (or the imports that contain the selected layers)
+ */
+function beginImportUpdate(): void {
+  const targets: SceneNode[] = [];
+  for (const selected of figma.currentPage.selection) {
+    let node: BaseNode | null = selected;
+    while (node && node.parent && node.parent.type !== "PAGE") {
+      node = node.parent;
+    }
+    const root = node as SceneNode | null;
+    if (!root || targets.includes(root)) continue;
+    if (root.getPluginData("importKey") || root.getPluginData("irNodeId")) {
+      targets.push(root);
+    }
+  }
+
+  importUpdateTargets = targets;
+  if (targets.length === 0) {
+    const error = "Select a previous import to update; importing as a new frame instead";
+    figma.notify(error);
+    figma.ui.postMessage({ type: "update_failed", error });
+  }
+}
+
+/**
+ * Folds every root of the finished import into the existing import with
+ * the same key. Roots without a counterpart stay as new frames. Returns
+ * the updated imports.
+ */
+async function finishImportUpdate(): Promise<SceneNode[]> {
+  const roots = importedRoots.splice(0, importedRoots.length);
+  const targets = importUpdateTargets.filter((target) => !target.removed);
+  importUpdateTargets = [];
+  if (targets.length === 0) return [];
+
+  const changes: ImportChange[] = [];
+  const updated: SceneNode[] = [];
+  for (const fresh of roots) {
+    if (fresh.removed) continue;
+    const key = fresh.getPluginData("importKey");
+    const target =
+      targets.find((candidate) => (candidate.getPluginData("importKey") || "page") === key) ||
+      (targets.length === 1 && roots.length === 1 ? targets[0] : undefined);
+    if (!target || updated.includes(target)) continue;
+
+    const components = new Map<ComponentNode, ComponentNode>();
+    await reconcileLayer(target, fresh, changes, components, true);
+    relinkInstances(target, components);
+    if (lastFidelityTarget === fresh) lastFidelityTarget = target;
+    fresh.remove();
+    updated.push(target);
+  }
+
+  const summary = { added: 0, removed: 0, updated: 0, replaced: 0 };
+  for (const change of changes) summary[change.action] += 1;
+  figma.ui.postMessage({ type: "update_changelog", summary, changes });
+  figma.notify(
+    `✓ Updated ${updated.length} import${updated.length === 1 ? "" : "s"}: ${summary.added} added, ${
+      summary.removed
+    } removed, ${summary.updated + summary.replaced} changed`,
+    { timeout: 4000 }
+  );
+  return updated;
+}
+
+/**
+ * Key that identifies a layer across imports. Layers without one were
+ * added by hand and are never touched.
+ */
+function getImportKey(node: SceneNode): string | null {
+  const selector = node.getPluginData("irSelector");
+  if (selector) return `selector:${selector}`;
+  const irNodeId = node.getPluginData("irNodeId");
+  if (irNodeId) return `id:${irNodeId}`;
+  const pseudo = node.getPluginData("irPseudo");
+  if (pseudo) return `pseudo:${pseudo}`;
+  const gridLine = node.getPluginData("gridLine");
+  if (gridLine) return `line:${gridLine}`;
+  if (node.name === "__text-raster") return `raster:${node.getPluginData("rasterFor")}`;
+  return node.name === "__screenshot-bg" ? "screenshot" : null;
+}
+
+/**
+ * Brings `existing` in line with `fresh`, its counterpart from the new
+ * import. Geometry, layout, paints and text change in place so comments,
+ * renames and hand-added layers survive; subtrees that appeared or went
+ * away on the page are added or removed.
+ */
+async function reconcileLayer(
+  existing: SceneNode,
+  fresh: SceneNode,
+  changes: ImportChange[],
+  components: Map<ComponentNode, ComponentNode>,
+  isRoot = false
+): Promise<SceneNode> {
+  const irNodeId = fresh.getPluginData("irNodeId") || undefined;
+
+  if (existing.type !== fresh.type && !isRoot) {
+    const parent = existing.parent as (BaseNode & ChildrenMixin) | null;
+    if (parent) {
+      parent.insertChild(parent.children.indexOf(existing), fresh);
+      existing.remove();
+      changes.push({ action: "replaced", name: existing.name, irNodeId });
+      return fresh;
+    }
+  }
+
+  const fields: string[] = [];
+  const copy = (keys: string[], label: string) => {
+    let changed = false;
+    for (const key of keys) {
+      if (!(key in existing) || !(key in fresh)) continue;
+      const value = (fresh as any)[key];
+      if (value === figma.mixed || JSON.stringify((existing as any)[key]) === JSON.stringify(value)) continue;
+      try {
+        (existing as any)[key] = value;
+        changed = true;
+      } catch (error) {
+        console.warn(`Could not update ${key} on ${existing.name}:`, error);
+      }
+    }
+    if (changed) fields.push(label);
+  };
+
+  copy(UPDATE_LAYOUT_FIELDS, "layout");
+  copy(UPDATE_STYLE_FIELDS, "style");
+
+  if (existing.type === "TEXT" && fresh.type === "TEXT" && (await updateTextInPlace(existing, fresh))) {
+    fields.push("text");
+  }
+
+  // The root keeps its place on the canvas
+  const parent = existing.parent;
+  const inFlow =
+    parent && "layoutMode" in parent && parent.layoutMode !== "NONE" &&
+    !("layoutPositioning" in existing && existing.layoutPositioning === "ABSOLUTE");
+  const moved = !isRoot && !inFlow && (Math.abs(existing.x - fresh.x) > 0.5 || Math.abs(existing.y - fresh.y) > 0.5);
+  const resized = Math.abs(existing.width - fresh.width) > 0.5 || Math.abs(existing.height - fresh.height) > 0.5;
+  if (moved) {
+    try {
+      existing.x = fresh.x;
+      existing.y = fresh.y;
+    } catch (error) {
+      console.warn(`Could not move ${existing.name}:`, error);
+    }
+  }
+  if (resized && "resize" in existing) {
+    try {
+      existing.resize(clampSize(fresh.width), clampSize(fresh.height));
+    } catch (error) {
+      console.warn(`Could not resize ${existing.name}:`, error);
+    }
+  }
+  if (moved || resized) fields.push("geometry");
+
+  for (const key of fresh.getPluginDataKeys()) {
+    existing.setPluginData(key, fresh.getPluginData(key));
+  }
+  if (existing.type === "COMPONENT" && fresh.type === "COMPONENT") {
+    components.set(fresh, existing);
+  }
+
+  if (fields.length > 0) {
+    changes.push({ action: "updated", name: existing.name, irNodeId, fields });
+  }
+
+  if ("children" in existing && "children" in fresh) {
+    await reconcileChildren(existing, fresh, changes, components);
+  }
+  return existing;
+}
+
+/**
+ * Pairs children by import key (falling back to IR id and layer type),
+ * keeps matched layers in page order and adds or removes the rest.
+ * Instance children can only be overridden, not added or removed.
+ */
+async function reconcileChildren(
+  existing: SceneNode & ChildrenMixin,
+  fresh: SceneNode & ChildrenMixin,
+  changes: ImportChange[],
+  components: Map<ComponentNode, ComponentNode>
+): Promise<void> {
+  const structural = existing.type !== "INSTANCE";
+  const candidates = existing.children.filter((child) => getImportKey(child) !== null);
+  const matched = new Set<SceneNode>();
+  const findMatch = (child: SceneNode) => {
+    const key = getImportKey(child);
+    const irNodeId = child.getPluginData("irNodeId");
+    return (
+      candidates.find((candidate) => !matched.has(candidate) && getImportKey(candidate) === key) ||
+      candidates.find(
+        (candidate) =>
+          !matched.has(candidate) &&
+          irNodeId !== "" &&
+          candidate.getPluginData("irNodeId") === irNodeId &&
+          candidate.type === child.type
+      )
+    );
+  };
+
+  let previous: SceneNode | null = null;
+  for (const child of Array.from(fresh.children)) {
+    const match = findMatch(child);
+    let placed: SceneNode | null = null;
+
+    if (match) {
+      matched.add(match);
+      placed = await reconcileLayer(match, child, changes, components);
+    } else if (structural) {
+      existing.insertChild(previous ? existing.children.indexOf(previous) + 1 : 0, child);
+      changes.push({ action: "added", name: child.name, irNodeId: child.getPluginData("irNodeId") || undefined });
+      placed = child;
+    }
+    if (!placed) continue;
+
+    const target = previous ? existing.children.indexOf(previous) + 1 : 0;
+    if (structural && existing.children.indexOf(placed) < target) {
+      existing.insertChild(target, placed);
+    }
+    previous = placed;
+  }
+
+  if (!structural) return;
+  for (const candidate of candidates) {
+    if (matched.has(candidate) || candidate.removed) continue;
+    changes.push({ action: "removed", name: candidate.name, irNodeId: candidate.getPluginData("irNodeId") || undefined });
+    candidate.remove();
+  }
+}
+
+/**
+ * Replaces the characters and per-range styles of an existing text layer.
+ * Returns false when nothing differs.
+ */
+async function updateTextInPlace(existing: TextNode, fresh: TextNode): Promise<boolean> {
+  const freshSegments = fresh.getStyledTextSegments(UPDATE_TEXT_FIELDS);
+  const sameText =
+    existing.characters === fresh.characters &&
+    existing.textAlignHorizontal === fresh.textAlignHorizontal &&
+    JSON.stringify(existing.getStyledTextSegments(UPDATE_TEXT_FIELDS)) === JSON.stringify(freshSegments);
+  if (sameText) return false;
+
+  const fontsOf = (node: TextNode): FontName[] =>
+    node.characters.length > 0
+      ? node.getRangeAllFontNames(0, node.characters.length)
+      : node.fontName !== figma.mixed
+        ? [node.fontName]
+        : [];
+  await Promise.all([...fontsOf(existing), ...fontsOf(fresh)].map((font) => figma.loadFontAsync(font)));
+
+  existing.characters = fresh.characters;
+  for (const segment of freshSegments) {
+    const { start, end } = segment;
+    existing.setRangeFontName(start, end, segment.fontName);
+    existing.setRangeFontSize(start, end, segment.fontSize);
+    existing.setRangeLineHeight(start, end, segment.lineHeight);
+    existing.setRangeLetterSpacing(start, end, segment.letterSpacing);
+    existing.setRangeFills(start, end, segment.fills);
+    existing.setRangeTextDecoration(start, end, segment.textDecoration);
+    existing.setRangeTextCase(start, end, segment.textCase);
+    if (segment.textStyleId) {
+      await existing.setRangeTextStyleIdAsync(start, end, segment.textStyleId);
+    }
+  }
+  existing.textAlignHorizontal = fresh.textAlignHorizontal;
+  existing.textAutoResize = fresh.textAutoResize;
+  return true;
+}
+
+/**
+ * Instances moved over from the new import still point at its components,
+ * which are discarded with it; point them at the updated originals
+ */
+function relinkInstances(root: SceneNode, components: Map<ComponentNode, ComponentNode>): void {
+  if (components.size === 0 || !("findAll" in root)) return;
+  for (const node of (root as FrameNode).findAll((child) => child.type === "INSTANCE")) {
+    const instance = node as InstanceNode;
+    const original = instance.mainComponent && components.get(instance.mainComponent);
+    if (original) instance.swapComponent(original);
+  }
+}
+
+// ✅ UPDATED: Use hierarchy builder for full page import
+/**
+ * Image bytes for a remote URL: inlined by an imported bundle, otherwise
+ * fetched through the scraper server's /proxy-image.
+ */
+async function loadRemoteImageBytes(url: string): Promise<Uint8Array> {
+  const bundled = bundledImages[url];
+  if (bundled) {
+    return figma.base64Decode(bundled.replace(/^data:[^,]*;base64,/, ""));
+  }
+
+  const proxiedUrl = `http://localhost:${SERVER_PORT}/proxy-image?url=${encodeURIComponent(
+    url
+  )}`;
+  const response = await fetch(proxiedUrl);
+  const buffer = await response.arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+/**
+ * "Import from file": builds a bundle.json written by the web-to-figma CLI.
+ * Images come from the bundle, so no server has to be running.
+ */
+async function importBundle(bundle: any) {
+  try {
+    if (!bundle || bundle.format !== "web-to-figma-bundle" || !bundle.document) {
+      throw new Error("Not a web-to-figma bundle");
+    }
+    if (bundle.version !== 1) {
+      throw new Error(`Unsupported bundle version ${bundle.version}`);
+    }
+
+    // IRDocument keeps fonts under assets; the page builders read data.fonts
+    const withFonts = (document: any) => ({
+      ...document,
+      fonts: document.fonts || document.assets?.fonts || [],
+    });
+
+    bundledImages = bundle.images || {};
+    if (Array.isArray(bundle.document.breakpoints)) {
+      await processResponsivePage({
+        ...bundle.document,
+        breakpoints: bundle.document.breakpoints.map((breakpoint: any) => ({
+          ...breakpoint,
+          document: withFonts(breakpoint.document),
+        })),
+      });
+    } else {
+      await processFullPage(withFonts(bundle.document));
+    }
+    figma.ui.postMessage({ type: "bundle_imported" });
+  } catch (error) {
+    const message = error instanceof Error ? error.message : String(error);
+    figma.notify(`Import from file failed: ${message}`, { error: true });
+    figma.ui.postMessage({ type: "bundle_failed", error: message });
+  } finally {
+    bundledImages = {};
+  }
+}
+
+async function processFullPage(data: any) {
+  const startTime = Date.now();
+  resetFontSubstitutionReport();
+
+  // Step 3: Create container
+  const container = figma.createFrame();
+  const size = data.capture || data.viewport;
+  container.name = data.capture?.rootSelector || "Imported Page";
+  container.x = 0;
+  container.y = 0;
+  container.resize(clampSize(size.width), clampSize(size.height));
+  container.fills = [{ type: "SOLID", color: { r: 1, g: 1, b: 1 } }];
+  container.clipsContent = false;
+
+  const stats = await buildPageInto(data, container);
+
+  figma.currentPage.appendChild(container);
+  markImportRoot(container, "page");
+  if (data.meta?.captureId) {
+    markFidelityTarget(container, data.meta.captureId, { x: 0, y: 0 });
+  }
+  validateQueuedAutoLayouts();
+  await createQueuedComponents();
+  createQueuedStateVariants();
+  const updated = await finishImportUpdate();
+  figma.viewport.scrollAndZoomIntoView(updated.length > 0 ? updated : [container]);
+  postFontSubstitutionReport();
+
+  const elapsed = Date.now() - startTime;
+  figma.notify(
+    `✓ Import complete: ${stats.nodesCreated} nodes (${stats.maxDepth} levels) in ${elapsed}ms`,
+    { timeout: 3000 }
+  );
+}
+
+/**
+ * Imports a responsive capture: one frame per breakpoint, side by side.
+ * Fonts and tokens are shared, so only the first document provides them.
+ */
+async function processResponsivePage(data: any) {
+  const startTime = Date.now();
+  resetFontSubstitutionReport();
+  const breakpoints: any[] = Array.isArray(data?.breakpoints)
+    ? data.breakpoints
+    : [];
+  const frames: FrameNode[] = [];
+  let nodesCreated = 0;
+  let x = 0;
+
+  for (let i = 0; i < breakpoints.length; i++) {
+    const { document, ...breakpoint } = breakpoints[i];
+    if (!document) continue;
+
+    const frame = createBreakpointFrame({ ...breakpoint, region: document.capture });
+    frame.x = x;
+    frame.y = 0;
+
+    const pageData =
+      i === 0 ? document : { ...document, fonts: [], fontFaces: [], tokens: null };
+    const stats = await buildPageInto(pageData, frame);
+    nodesCreated += stats.nodesCreated;
+
+    figma.currentPage.appendChild(frame);
+    if (document.meta?.captureId) {
+      markFidelityTarget(frame, document.meta.captureId, { x: 0, y: 0 });
+    }
+    validateQueuedAutoLayouts();
+    await createQueuedComponents();
+    createQueuedStateVariants();
+    frames.push(frame);
+    x += frame.width + BREAKPOINT_FRAME_GAP;
+  }
+
+  const updated = await finishImportUpdate();
+  const visible = frames.filter((frame) => !frame.removed);
+  if (visible.length + updated.length > 0) {
+    figma.viewport.scrollAndZoomIntoView([...visible, ...updated]);
+  }
+  postFontSubstitutionReport();
+
+  const elapsed = Date.now() - startTime;
+  figma.notify(
+    `✓ Import complete: ${frames.length} breakpoints, ${nodesCreated} nodes in ${elapsed}ms`,
+    { timeout: 3000 }
+  );
+}
+
+async function buildPageInto(
+  data: any,
+  container: FrameNode
+): Promise<BuildStats> {
+  // Step 1: Process fonts
+  const incomingFonts = data.fonts || [];
+  const incomingFontFaces = data.fontFaces || [];
+  if (incomingFonts.length > 0 || incomingFontFaces.length > 0) {
+    console.log(
+      `Processing fonts (${incomingFonts.length} fonts, ${incomingFontFaces.length} faces)...`
+    );
+    await processFonts(
+      { fonts: incomingFonts, fontFaces: incomingFontFaces },
+      incomingFontFaces
+    );
+  }
+
+  // Step 2: Create design tokens
+  if (data.tokens) {
+    tokenVariables = await createFigmaVariables(data.tokens);
+  }
+
+  // ✅ Step 4: Build hierarchy using HierarchyBuilder
+  const builder = new HierarchyBuilder();
+  const createdNodes = new Map<string, SceneNode>();
+  registerNodesWithLookup(data, data.nodes);
+
+  await builder.buildHierarchy(
+    data.nodes,
+    container,
+    async (nodeData, parent) => {
+      const figmaNode = await createEnhancedNode(
+        nodeData,
+        parent,
+        data,
+        createdNodes
+      );
+      if (figmaNode) {
+        createdNodes.set(nodeData.id, figmaNode);
+      }
+      return figmaNode;
+    }
+  );
+
+  return builder.getStats();
+}
+
+async function processBufferedNodes() {
+  while (nodeBuffer.length > 0) {
+    const batch = nodeBuffer.splice(0, 20);
+    for (const node of batch) {
+      await createEnhancedNode(node, figma.currentPage, {}, new Map());
+    }
+    await new Promise((r) => setTimeout(r, 10));
+  }
+  validateQueuedAutoLayouts();
+  await createQueuedComponents();
+  createQueuedStateVariants();
+  isProcessing = false;
+}
+
+/**
+ * PHASE 2: Font Processing & Mapping
+ */
+async function processFonts(fontPayload: any, explicitFontFaces: any[] = []) {
+  const payloadIsArray = Array.isArray(fontPayload);
+  const fonts: any[] = payloadIsArray
+    ? fontPayload
+    : fontPayload?.fonts || [];
+  const payloadFaces: any[] = payloadIsArray
+    ? []
+    : fontPayload?.fontFaces || fontPayload?.faces || [];
+  const fontFaces = [...explicitFontFaces, ...payloadFaces];
+
+  const fontFamilies = new Set<string>();
+
+  for (const entry of [...fonts, ...fontFaces]) {
+    if (!entry?.family) continue;
+    const key = normalizeFontFamilyName(entry.family);
+    fontFamilies.add(entry.family);
+    if (entry.metrics?.xHeight && entry.metrics?.avgCharWidth) {
+      webFontMetrics.set(key, entry.metrics);
+    }
+    if (!entry.isSystemFont) {
+      const faces = webFontFaces.get(key) || [];
+      faces.push(parseFontFaceDescriptor(entry.weight, entry.style));
+      webFontFaces.set(key, faces);
+    }
+  }
+
+  console.log("Detected font families:", Array.from(fontFamilies));
+
+  for (const family of fontFamilies) {
+    // Warm the resolution cache so text nodes don't each probe for it
+    const resolution = await resolveFigmaFontFamily(family, [family]);
+    if (!resolution.reason) {
+      console.log(`✓ Font available: ${resolution.family}`);
+    }
+  }
+}
+
+interface FontFaceDescriptor {
+  minWeight: number;
+  maxWeight: number;
+  italic: boolean;
+}
+
+// Checked in order, so compound names come before the words they contain
+const FONT_STYLE_WEIGHTS: Array<[RegExp, number]> = [
+  [/thin|hairline/, 100],
+  [/(extra|ultra)\s*light/, 200],
+  [/(semi|demi)\s*bold/, 600],
+  [/(extra|ultra)\s*bold/, 800],
+  [/black|heavy/, 900],
+  [/light/, 300],
+  [/medium/, 500],
+  [/bold/, 700],
+];
+
+const WEIGHT_STYLE_NAMES: Record<number, string> = {
+  100: "Thin",
+  200: "Extra Light",
+  300: "Light",
+  400: "Regular",
+  500: "Medium",
+  600: "Semi Bold",
+  700: "Bold",
+  800: "Extra Bold",
+  900: "Black",
+};
+
+let availableFontsPromise: Promise<Map<string, FontName[]>> | null = null;
+const webFontFaces = new Map<string, FontFaceDescriptor[]>();
+
+/**
+ * Every font Figma can load, grouped by normalized family. Empty when the
+ * list can't be read, in which case families are probed with loadFontAsync.
+ */
+function getAvailableFonts(): Promise<Map<string, FontName[]>> {
+  if (!availableFontsPromise) {
+    availableFontsPromise = figma
+      .listAvailableFontsAsync()
+      .then((fonts) => {
+        const byFamily = new Map<string, FontName[]>();
+        for (const { fontName } of fonts) {
+          const key = normalizeFontFamilyName(fontName.family);
+          const styles = byFamily.get(key) || [];
+          styles.push(fontName);
+          byFamily.set(key, styles);
+        }
+        return byFamily;
+      })
+      .catch((error) => {
+        console.warn("Could not list available fonts:", error);
+        return new Map<string, FontName[]>();
+      });
+  }
+  return availableFontsPromise;
+}
+
+function parseCssFontWeight(value: unknown): number {
+  const text = String(value ?? "").trim().toLowerCase();
+  if (text === "bold" || text === "bolder") return 700;
+  if (text === "lighter") return 300;
+  const numeric = parseFloat(text);
+  return isNaN(numeric) ? 400 : Math.min(1000, Math.max(1, numeric));
+}
+
+function isItalicFontStyle(value: unknown): boolean {
+  return /italic|oblique/i.test(String(value ?? ""));
+}
+
+/** An @font-face rule's weight (a range for variable fonts) and style */
+function parseFontFaceDescriptor(weight: unknown, style: unknown): FontFaceDescriptor {
+  const parts = String(weight ?? "400").trim().split(/\s+/);
+  const minWeight = parseCssFontWeight(parts[0]);
+  const maxWeight = parts.length > 1 ? parseCssFontWeight(parts[1]) : minWeight;
+  return {
+    minWeight: Math.min(minWeight, maxWeight),
+    maxWeight: Math.max(minWeight, maxWeight),
+    italic: isItalicFontStyle(style),
+  };
+}
+
+function parseFigmaFontStyle(style: string): { weight: number; italic: boolean } {
+  const clean = style.toLowerCase();
+  const match = FONT_STYLE_WEIGHTS.find(([pattern]) => pattern.test(clean));
+  return { weight: match ? match[1] : 400, italic: isItalicFontStyle(clean) };
+}
+
+/**
+ * Orders weights the way CSS font matching does: for 400-500 try heavier
+ * up to 500, then lighter, then heavier; below 400 prefer lighter; above
+ * 500 prefer heavier. Lower [group, distance] wins.
+ */
+function cssWeightRank(desired: number, weight: number): [number, number] {
+  if (weight === desired) return [0, 0];
+  if (desired >= 400 && desired <= 500) {
+    if (weight > desired && weight <= 500) return [0, weight - desired];
+    if (weight < desired) return [1, desired - weight];
+    return [2, weight - desired];
+  }
+  if (desired < 400) {
+    return weight < desired ? [0, desired - weight] : [1, weight - desired];
+  }
+  return weight > desired ? [0, weight - desired] : [1, desired - weight];
+}
+
+function compareWeightRanks(a: [number, number], b: [number, number]): number {
+  return a[0] - b[0] || a[1] - b[1];
+}
+
+/**
+ * The weight the browser actually rendered: the page's @font-face rules
+ * are matched like CSS does, clamping into variable-font weight ranges.
+ * Bold requested from a family without bold faces stays bold, since the
+ * browser synthesizes it.
+ */
+function renderedFontWeight(webFamily: string, weight: number, italic: boolean): number {
+  const faces = webFontFaces.get(normalizeFontFamilyName(webFamily));
+  if (!faces || faces.length === 0) return weight;
+
+  const sameStyle = faces.filter((face) => face.italic === italic);
+  const pool = sameStyle.length > 0 ? sameStyle : faces;
+  let best = weight;
+  let bestRank: [number, number] | null = null;
+  for (const face of pool) {
+    const candidate = Math.min(face.maxWeight, Math.max(face.minWeight, weight));
+    const rank = cssWeightRank(weight, candidate);
+    if (!bestRank || compareWeightRanks(rank, bestRank) < 0) {
+      best = candidate;
+      bestRank = rank;
+    }
+  }
+  return weight >= 600 && best < 600 ? weight : best;
+}
+
+/**
+ * Picks the Figma style of a family nearest to a CSS weight and style.
+ * Italic falls back to upright faces (and upright to italic) only when the
+ * family has none; a variable font's named instances are matched the same way.
+ */
+async function resolveFontName(
+  family: string,
+  weight: number,
+  italic: boolean
+): Promise<FontName> {
+  const styles = (await getAvailableFonts()).get(normalizeFontFamilyName(family)) || [];
+  const faces = styles.map((fontName) => ({
+    fontName,
+    ...parseFigmaFontStyle(fontName.style),
+  }));
+  const sameStyle = faces.filter((face) => face.italic === italic);
+  const pool = sameStyle.length > 0 ? sameStyle : faces;
+
+  let best: (typeof pool)[number] | null = null;
+  for (const face of pool) {
+    if (
+      !best ||
+      compareWeightRanks(cssWeightRank(weight, face.weight), cssWeightRank(weight, best.weight)) < 0
+    ) {
+      best = face;
+    }
+  }
+  if (best) return best.fontName;
+
+  // Unlisted family: guess the conventional style name
+  const name = WEIGHT_STYLE_NAMES[Math.min(900, Math.max(100, Math.round(weight / 100) * 100))];
+  const style = italic ? (name === "Regular" ? "Italic" : `${name} Italic`) : name;
+  return { family, style };
+}
+
+type FontCategory = "sans" | "serif" | "mono";
+
+interface FontSubstitution {
+  family: string;
+  substitute: string;
+  reason: "saved" | "metric-compatible" | "stack" | "metrics" | "generic" | "unavailable";
+  layers: number;
+}
+
+const FONT_SUBSTITUTIONS_KEY = "fontSubstitutions";
+
+// Fonts shipped with Figma that were designed to match a common system
+// font's advance widths, so line breaks survive the swap
+const METRIC_COMPATIBLE_FONTS: Record<string, string> = {
+  arial: "Arimo",
+  helvetica: "Arimo",
+  "helvetica neue": "Arimo",
+  "times new roman": "Tinos",
+  times: "Tinos",
+  "courier new": "Cousine",
+  courier: "Cousine",
+  calibri: "Carlito",
+  cambria: "Caladea",
+  georgia: "Gelasio",
+};
+
+const GENERIC_FONT_FAMILIES: Record<string, FontCategory> = {
+  "sans-serif": "sans",
+  "system-ui": "sans",
+  "ui-sans-serif": "sans",
+  "-apple-system": "sans",
+  blinkmacsystemfont: "sans",
+  serif: "serif",
+  "ui-serif": "serif",
+  monospace: "mono",
+  "ui-monospace": "mono",
+};
+
+const CATEGORY_DEFAULT_FONTS: Record<FontCategory, string> = {
+  sans: "Inter",
+  serif: "Roboto Serif",
+  mono: "Roboto Mono",
+};
+
+// Approximate em-relative metrics of substitute candidates, measured the
+// same way the scraper measures web fonts (see IRFontMetrics)
+const FALLBACK_FONT_METRICS: Array<{
+  family: string;
+  category: FontCategory;
+  xHeight: number;
+  avgCharWidth: number;
+}> = [
+  { family: "Inter", category: "sans", xHeight: 0.546, avgCharWidth: 0.53 },
+  { family: "Roboto", category: "sans", xHeight: 0.528, avgCharWidth: 0.5 },
+  { family: "Arimo", category: "sans", xHeight: 0.519, avgCharWidth: 0.5 },
+  { family: "Open Sans", category: "sans", xHeight: 0.535, avgCharWidth: 0.53 },
+  { family: "Lato", category: "sans", xHeight: 0.506, avgCharWidth: 0.49 },
+  { family: "Montserrat", category: "sans", xHeight: 0.526, avgCharWidth: 0.58 },
+  { family: "Poppins", category: "sans", xHeight: 0.548, avgCharWidth: 0.57 },
+  { family: "Source Sans 3", category: "sans", xHeight: 0.486, avgCharWidth: 0.46 },
+  { family: "Nunito Sans", category: "sans", xHeight: 0.484, avgCharWidth: 0.5 },
+  { family: "Work Sans", category: "sans", xHeight: 0.5, avgCharWidth: 0.53 },
+  { family: "Noto Sans", category: "sans", xHeight: 0.536, avgCharWidth: 0.52 },
+  { family: "Roboto Condensed", category: "sans", xHeight: 0.528, avgCharWidth: 0.44 },
+  { family: "Tinos", category: "serif", xHeight: 0.448, avgCharWidth: 0.45 },
+  { family: "Gelasio", category: "serif", xHeight: 0.481, avgCharWidth: 0.5 },
+  { family: "Roboto Serif", category: "serif", xHeight: 0.53, avgCharWidth: 0.52 },
+  { family: "Merriweather", category: "serif", xHeight: 0.555, avgCharWidth: 0.56 },
+  { family: "Playfair Display", category: "serif", xHeight: 0.514, avgCharWidth: 0.48 },
+  { family: "Source Serif 4", category: "serif", xHeight: 0.475, avgCharWidth: 0.47 },
+  { family: "Roboto Mono", category: "mono", xHeight: 0.528, avgCharWidth: 0.6 },
+  { family: "Cousine", category: "mono", xHeight: 0.423, avgCharWidth: 0.6 },
+  { family: "JetBrains Mono", category: "mono", xHeight: 0.55, avgCharWidth: 0.6 },
+];
+
+let fontSubstitutionMap: Record<string, string> = {};
+let fontSubstitutionMapLoaded = false;
+const webFontMetrics = new Map<string, { xHeight: number; avgCharWidth: number }>();
+const fontFamilyAvailability = new Map<string, boolean>();
+const resolvedFontFamilies = new Map<
+  string,
+  { family: string; reason?: FontSubstitution["reason"] }
+>();
+const fontSubstitutionReport = new Map<string, FontSubstitution>();
+
+/**
+ * The user's substitution map (web family -> Figma family), edited from the
+ * missing-fonts panel and kept in clientStorage across files and sessions.
+ */
+async function loadFontSubstitutionMap(): Promise<void> {
+  if (fontSubstitutionMapLoaded) return;
+  fontSubstitutionMapLoaded = true;
+  try {
+    const saved = await figma.clientStorage.getAsync(FONT_SUBSTITUTIONS_KEY);
+    if (saved && typeof saved === "object") {
+      fontSubstitutionMap = saved;
+    }
+  } catch (error) {
+    console.warn("Could not read saved font substitutions:", error);
+  }
+}
+
+/**
+ * Figma's spelling of a family if it can be loaded, otherwise null.
+ */
+async function availableFamilyName(family: string): Promise<string | null> {
+  const listed = (await getAvailableFonts()).get(normalizeFontFamilyName(family));
+  if (listed && listed.length > 0) return listed[0].family;
+
+  const cached = fontFamilyAvailability.get(family);
+  if (cached !== undefined) return cached ? family : null;
+
+  let available = false;
+  if ((await getAvailableFonts()).size === 0) {
+    try {
+      await figma.loadFontAsync({ family, style: "Regular" });
+      loadedFonts.add(`${family}__Regular`);
+      available = true;
+    } catch (e) {
+      // Not installed in Figma
+    }
+  }
+  fontFamilyAvailability.set(family, available);
+  return available ? family : null;
+}
+
+function parseFontStack(fontFamily: string): string[] {
+  return fontFamily
+    .split(",")
+    .map((family) => family.replace(/['"]/g, "").trim())
+    .filter((family) => family.length > 0);
+}
+
+/**
+ * Picks the Figma family for a web font: the user's saved substitution,
+ * the family itself, a metric-compatible clone, a later family of the
+ * stack, then the candidate whose x-height and width are closest to the
+ * measured web font. Only falls back to a generic default without metrics.
+ */
+async function resolveFigmaFontFamily(
+  webFamily: string,
+  stack: string[]
+): Promise<{ family: string; reason?: FontSubstitution["reason"] }> {
+  const key = normalizeFontFamilyName(webFamily);
+  const cached = resolvedFontFamilies.get(key);
+  if (cached) return cached;
+
+  const resolve = async (): Promise<{
+    family: string;
+    reason?: FontSubstitution["reason"];
+  }> => {
+    await loadFontSubstitutionMap();
+    const saved = fontSubstitutionMap[key] && (await availableFamilyName(fontSubstitutionMap[key]));
+    if (saved) {
+      return { family: saved, reason: "saved" };
+    }
+
+    const genericCategory = GENERIC_FONT_FAMILIES[key];
+    const installed = !genericCategory && (await availableFamilyName(webFamily));
+    if (installed) {
+      return { family: installed };
+    }
+
+    const compatible = METRIC_COMPATIBLE_FONTS[key] && (await availableFamilyName(METRIC_COMPATIBLE_FONTS[key]));
+    if (compatible) {
+      return { family: compatible, reason: "metric-compatible" };
+    }
+
+    let category: FontCategory | undefined = genericCategory;
+    for (const family of stack.slice(1)) {
+      const familyKey = normalizeFontFamilyName(family);
+      if (GENERIC_FONT_FAMILIES[familyKey]) {
+        category = category || GENERIC_FONT_FAMILIES[familyKey];
+        continue;
+      }
+      const stackFamily = await availableFamilyName(family);
+      if (stackFamily) {
+        return { family: stackFamily, reason: "stack" };
+      }
+    }
+    if (!category) {
+      category = /mono|code|courier/i.test(webFamily)
+        ? "mono"
+        : /serif/i.test(webFamily) && !/sans/i.test(webFamily)
+          ? "serif"
+          : "sans";
+    }
+
+    const metrics = webFontMetrics.get(key);
+    if (metrics) {
+      const ranked = FALLBACK_FONT_METRICS.filter(
+        (candidate) => candidate.category === category
+      )
+        .map((candidate) => ({
+          family: candidate.family,
+          // x-height decides how large text reads, width decides line breaks
+          distance:
+            Math.abs(candidate.xHeight - metrics.xHeight) / metrics.xHeight +
+            Math.abs(candidate.avgCharWidth - metrics.avgCharWidth) /
+              metrics.avgCharWidth,
+        }))
+        .sort((a, b) => a.distance - b.distance);
+      for (const candidate of ranked) {
+        const candidateFamily = await availableFamilyName(candidate.family);
+        if (candidateFamily) {
+          return { family: candidateFamily, reason: "metrics" };
+        }
+      }
+    }
+
+    return { family: CATEGORY_DEFAULT_FONTS[category], reason: "generic" };
+  };
+
+  const resolution = await resolve();
+  resolvedFontFamilies.set(key, resolution);
+  return resolution;
+}
+
+function recordFontSubstitution(
+  textNode: TextNode,
+  webFamily: string,
+  substitute: string,
+  reason: FontSubstitution["reason"]
+): void {
+  // A layer with styled runs can substitute several families; count it once each
+  const key = normalizeFontFamilyName(webFamily);
+  const families = getSubstitutedFamilies(textNode);
+  if (families.includes(key)) return;
+  textNode.setPluginData("webFontFamilies", JSON.stringify([...families, key]));
+
+  const entry = fontSubstitutionReport.get(key);
+  if (entry) {
+    entry.layers += 1;
+  } else {
+    fontSubstitutionReport.set(key, {
+      family: webFamily,
+      substitute,
+      reason,
+      layers: 1,
+    });
+  }
+}
+
+function getSubstitutedFamilies(textNode: TextNode): string[] {
+  try {
+    const families = JSON.parse(textNode.getPluginData("webFontFamilies") || "[]");
+    return Array.isArray(families) ? families : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function resetFontSubstitutionReport(): void {
+  fontSubstitutionReport.clear();
+  resolvedFontFamilies.clear();
+  webFontMetrics.clear();
+  webFontFaces.clear();
+}
+
+/**
+ * Sends the families that had to be substituted to the UI's missing-fonts
+ * panel, largest first.
+ */
+function postFontSubstitutionReport(): void {
+  if (fontSubstitutionReport.size === 0) return;
+  const fonts = Array.from(fontSubstitutionReport.values()).sort(
+    (a, b) => b.layers - a.layers
+  );
+  figma.ui.postMessage({
+    type: "font_report",
+    fonts,
+    candidates: FALLBACK_FONT_METRICS.map((candidate) => candidate.family),
+  });
+  figma.notify(
+    `${fonts.length} font famil${fonts.length === 1 ? "y was" : "ies were"} substituted`,
+    { timeout: 3000 }
+  );
+}
+
+/**
+ * "Replace all" from the missing-fonts panel: swaps the family on every
+ * text layer that was imported for webFamily, keeping each run's style,
+ * and saves the choice for future imports.
+ */
+async function replaceSubstitutedFont(webFamily: string, replacement: string) {
+  const key = normalizeFontFamilyName(webFamily);
+  const family = replacement ? await availableFamilyName(replacement) : null;
+  if (!family) {
+    figma.notify(`Font "${replacement}" is not available in Figma`, { error: true });
+    figma.ui.postMessage({ type: "font_replace_failed", family: webFamily });
+    return;
+  }
+
+  // Runs of other substituted families in the same layer keep their font
+  const previous = fontSubstitutionReport.get(key)?.substitute;
+
+  await loadFontSubstitutionMap();
+  fontSubstitutionMap[key] = family;
+  resolvedFontFamilies.set(key, { family, reason: "saved" });
+  try {
+    await figma.clientStorage.setAsync(FONT_SUBSTITUTIONS_KEY, fontSubstitutionMap);
+  } catch (error) {
+    console.warn("Could not save font substitutions:", error);
+  }
+
+  const textNodes = figma.currentPage
+    .findAllWithCriteria({ types: ["TEXT"] })
+    .filter((node) => getSubstitutedFamilies(node).includes(key));
+
+  let layers = 0;
+  for (const textNode of textNodes) {
+    try {
+      for (const segment of textNode.getStyledTextSegments(["fontName"])) {
+        if (previous && segment.fontName.family !== previous) continue;
+        const { weight, italic } = parseFigmaFontStyle(segment.fontName.style);
+        const target = await resolveFontName(family, weight, italic);
+        const fontName = await ensureFontLoaded(target.family, target.style);
+        textNode.setRangeFontName(segment.start, segment.end, fontName);
+      }
+      await applySharedTextStyle(textNode);
+      layers += 1;
+    } catch (error) {
+      console.warn(`Could not replace font on ${textNode.name}:`, error);
+    }
+  }
+
+  const entry = fontSubstitutionReport.get(key);
+  if (entry) {
+    entry.substitute = family;
+    entry.reason = "saved";
+  }
+  figma.ui.postMessage({
+    type: "font_replaced",
+    family: webFamily,
+    replacement: family,
+    layers,
+  });
+  figma.notify(`Replaced ${webFamily} with ${family} on ${layers} layers`, {
+    timeout: 3000,
+  });
+}
+
+/**
+ * PHASE 3-6: Enhanced Node Creation with All Features
+ * NOTE: This function is called by HierarchyBuilder recursively
+ */
+async function createEnhancedNode(
+  nodeData: any,
+  parent: BaseNode & ChildrenMixin,
+  fullData: any,
+  createdNodes: Map<string, SceneNode>
 ): Promise<SceneNode | null> {
   console.log("    🎨 createEnhancedNode:", {
     id: nodeData.id,
@@ -1305,7 +2779,8 @@ async function createEnhancedNode(
 
     const hasScreenshot =
       fullData.screenshots && fullData.screenshots[nodeData.id];
-    const hasStates = fullData.states && fullData.states[nodeData.id];
+    const hasStates =
+      nodeData.states || (fullData.states && fullData.states[nodeData.id]);
 
     console.log("    📋 Node details:", {
       hasScreenshot,
@@ -1356,6 +2831,10 @@ async function createEnhancedNode(
     // PHASE 5: Apply advanced effects
     await applyAdvancedEffects(node, nodeData.styles);
 
+    // Radius, spacing and border color variables; Light/Dark colors win
+    applyTokenBindings(node, nodeData);
+    applyColorSchemeVariables(node, nodeData);
+
     // PHASE 6: Apply pseudo-elements
     if (nodeData.pseudoElements && "appendChild" in node) {
       for (const pseudo of nodeData.pseudoElements) {
@@ -1363,16 +2842,39 @@ async function createEnhancedNode(
       }
     }
 
-    // PHASE 6: Create state variants
-    if (hasStates && "appendChild" in node) {
-      await createStateVariants(
-        node as FrameNode,
-        fullData.states[nodeData.id]
-      );
+    // Flex Auto Layout is checked against the captured rects once the
+    // children exist
+    if (
+      node.type === "FRAME" &&
+      node.layoutMode !== "NONE" &&
+      node.layoutMode !== "GRID" &&
+      !isGridLayoutFrame(node)
+    ) {
+      pendingAutoLayoutChecks.push({ frame: node, nodeData, fullData });
+    }
+
+    // PHASE 6: State variants need the finished subtree, so they are
+    // built by createQueuedStateVariants() once the import is done
+    if (hasStates) {
+      pendingStateVariants.push({ node, states: hasStates });
+    }
+
+    // Repeated structures become components / instances after the import
+    if (nodeData.figma?.component) {
+      pendingComponentNodes.push({
+        node,
+        irId: String(nodeData.id),
+        hint: nodeData.figma.component,
+      });
     }
 
     node.name =
       nodeData.name || nodeData.componentHint || nodeData.tag || "element";
+    // Stable across responsive breakpoints, so frames can be matched up
+    node.setPluginData("irNodeId", String(nodeData.id));
+    if (nodeData.selector) {
+      node.setPluginData("irSelector", String(nodeData.selector));
+    }
 
     // ✅ Parent is now passed by HierarchyBuilder
     if (parent && "appendChild" in parent) {
@@ -1381,11 +2883,15 @@ async function createEnhancedNode(
         parentName: parent.name,
         parentType: parent.type
       });
-      parent.appendChild(node);
+      if (isGridLayoutFrame(parent)) {
+        placeGridChild(parent, node, nodeData, bounds);
+      } else {
+        parent.appendChild(node);
+      }
       console.log("    ✓ Node appended successfully");
 
       // Apply flex item properties if the parent is an Auto Layout container
-      if ('layoutMode' in parent && (parent as any).layoutMode !== "NONE") {
+      if ('layoutMode' in parent && (parent as any).layoutMode !== "NONE" && !isGridLayoutFrame(parent)) {
         applyFlexItemProperties(node, nodeData);
       }
     } else {
@@ -1397,6 +2903,9 @@ async function createEnhancedNode(
 
     applyOpacityAndBlend(node, nodeData);
     applyNodeTransform(node, nodeData);
+    if (node.type === "TEXT") {
+      addTextRasterLayer(node, nodeData);
+    }
 
     console.log("    ✅ createEnhancedNode complete for:", node.name);
     return node;
@@ -1415,43 +2924,23 @@ async function createTextNode(
 ): Promise<TextNode> {
   const textNode = figma.createText();
 
-  // Determine font
-  let fontFamily = "Inter";
-  let fontStyle = "Regular";
-
-  const resolvedFontFamily =
-    nodeData.typography?.font?.familyResolved || nodeData.styles.fontFamily;
-
-  if (resolvedFontFamily) {
-    const webFontFamily = resolvedFontFamily.split(",")[0].trim();
-    const normalizedKey = normalizeFontFamilyName(webFontFamily);
-    const mapped =
-      fontMapping[normalizedKey] ||
-      fontMapping[webFontFamily] ||
-      mapToFigmaFont(webFontFamily);
-    fontFamily = mapped.family;
-    fontStyle = mapped.style;
-  }
-
-  // Determine style based on weight
-  if (nodeData.styles.fontWeight) {
-    const weight = parseInt(nodeData.styles.fontWeight);
-    if (weight >= 700) fontStyle = "Bold";
-    else if (weight >= 600) fontStyle = "Semi Bold";
-    else if (weight >= 500) fontStyle = "Medium";
-    else if (weight < 400) fontStyle = "Light";
-  }
-
-  await ensureFontLoaded(fontFamily, fontStyle);
-  textNode.fontName = { family: fontFamily, style: fontStyle };
+  textNode.fontName = await loadWebFont(
+    textNode,
+    nodeData.typography?.font?.familyResolved || nodeData.styles.fontFamily,
+    nodeData.typography?.font?.weight || nodeData.styles.fontWeight,
+    nodeData.typography?.font?.style || nodeData.styles.fontStyle
+  );
 
   // Handle both string and object formats for text
   let textContent = "";
   if (typeof nodeData.text === 'string') {
     textContent = nodeData.text;
   } else if (nodeData.text && typeof nodeData.text === 'object') {
-    // If text is an object (from typography.text), extract content
-    textContent = nodeData.text.content || nodeData.text.innerText || "";
+    // Run offsets index rawText (whitespace-collapsed, trimmed), so a layer
+    // with runs must hold exactly that string
+    textContent = Array.isArray(nodeData.text.runs) && nodeData.text.runs.length > 0
+      ? nodeData.text.rawText || ""
+      : nodeData.text.rawText || nodeData.text.content || nodeData.text.innerText || "";
   } else if (nodeData.typography?.text) {
     // Fallback: try to get from typography if main text is missing
     textContent = nodeData.typography.text.content || nodeData.typography.text.innerText || "";
@@ -1486,10 +2975,14 @@ async function createTextNode(
   if (nodeData.styles.letterSpacing) {
     const value = parseFloat(nodeData.styles.letterSpacing);
     if (!isNaN(value)) {
-      textNode.letterSpacing = { value, unit: "PIXELS" };
+      textNode.letterSpacing = toFigmaLetterSpacing(value, textNode.fontSize);
     }
   }
 
+  if (!hasScreenshot) {
+    applyTextEffects(textNode, nodeData.styles);
+  }
+
   if (nodeData.styles.lineHeight && nodeData.styles.lineHeight !== "normal") {
     const value = parseFloat(nodeData.styles.lineHeight);
     if (!isNaN(value)) {
@@ -1512,24 +3005,248 @@ async function createTextNode(
     textNode.textCase = "TITLE";
   }
 
-  if (nodeData.styles.textDecoration?.includes("underline")) {
-    textNode.textDecoration = "UNDERLINE";
-  } else if (nodeData.styles.textDecoration?.includes("line-through")) {
-    textNode.textDecoration = "STRIKETHROUGH";
-  }
+  textNode.textDecoration = mapTextDecoration(nodeData.styles.textDecoration);
+
+  await applyTextRuns(textNode, nodeData, hasScreenshot);
+  await applySharedTextStyle(textNode);
 
   return textNode;
 }
 
+/**
+ * Resolves and loads the Figma font for a CSS font-family stack, weight
+ * and style, recording a substitution on textNode when the family differs.
+ */
+async function loadWebFont(
+  textNode: TextNode,
+  cssFontFamily: string | undefined,
+  cssFontWeight: unknown,
+  cssFontStyle: unknown
+): Promise<FontName> {
+  let fontFamily = "Inter";
+  let webFontFamily = "";
+  let substitutionReason: FontSubstitution["reason"] | undefined;
+
+  if (cssFontFamily) {
+    const fontStack = parseFontStack(cssFontFamily);
+    webFontFamily = fontStack[0] || "";
+    if (webFontFamily) {
+      const resolution = await resolveFigmaFontFamily(webFontFamily, fontStack);
+      fontFamily = resolution.family;
+      substitutionReason = resolution.reason;
+    }
+  }
+
+  // Determine style from weight and italic/oblique
+  const italic = isItalicFontStyle(cssFontStyle);
+  const requestedWeight = parseCssFontWeight(cssFontWeight);
+  const weight = webFontFamily
+    ? renderedFontWeight(webFontFamily, requestedWeight, italic)
+    : requestedWeight;
+  const target = await resolveFontName(fontFamily, weight, italic);
+
+  const fontName = await ensureFontLoaded(target.family, target.style);
+  if (
+    webFontFamily &&
+    normalizeFontFamilyName(fontName.family) !== normalizeFontFamilyName(webFontFamily)
+  ) {
+    recordFontSubstitution(
+      textNode,
+      webFontFamily,
+      fontName.family,
+      fontName.family === fontFamily ? substitutionReason || "generic" : "unavailable"
+    );
+  }
+  return fontName;
+}
+
+/**
+ * CSS letter-spacing (px) as a percentage of the font size, so it keeps
+ * its proportion when the text is resized in Figma
+ */
+function toFigmaLetterSpacing(px: number, fontSize: number | typeof figma.mixed): LetterSpacing {
+  if (typeof fontSize !== "number" || !(fontSize > 0)) {
+    return { value: px, unit: "PIXELS" };
+  }
+  return { value: Math.round((px / fontSize) * 10000) / 100, unit: "PERCENT" };
+}
+
+/**
+ * Gradient-clipped text, -webkit-text-fill-color and -webkit-text-stroke
+ * as native paints, so the text stays editable instead of becoming a
+ * bitmap. Rotation and blending are applied to every node elsewhere.
+ */
+function applyTextEffects(textNode: TextNode, styles: any): void {
+  if (!styles) return;
+
+  const gradient =
+    styles.backgroundClip === "text" && styles.backgroundImage
+      ? parseGradient(styles.backgroundImage)
+      : null;
+  const fillColor = styles.webkitTextFillColor ? parseColor(styles.webkitTextFillColor) : null;
+  if (gradient) {
+    textNode.fills = [gradient];
+  } else if (fillColor && fillColor.a === 0) {
+    // Outlined text: only the stroke is painted
+    textNode.fills = [];
+  }
+
+  const strokeWidth = parseFloat(styles.webkitTextStrokeWidth);
+  const strokeColor = strokeWidth > 0 ? parseColor(styles.webkitTextStrokeColor) : null;
+  if (strokeColor && strokeColor.a > 0) {
+    textNode.strokes = [
+      {
+        type: "SOLID",
+        color: { r: strokeColor.r, g: strokeColor.g, b: strokeColor.b },
+        ...(strokeColor.a !== 1 ? { opacity: strokeColor.a } : {}),
+      },
+    ];
+    textNode.strokeWeight = strokeWidth;
+    textNode.strokeAlign = "CENTER";
+  }
+}
+
+/**
+ * Phase 6 text bitmap, placed over `textNode` in its parent. A "replace"
+ * raster is what shows, with the editable text kept underneath at zero
+ * opacity; a "reference" raster is hidden and only there to compare
+ * against.
+ */
+function addTextRasterLayer(textNode: TextNode, nodeData: any): void {
+  const raster = nodeData.rasterFallback;
+  const src = raster && raster.enabled && raster.image && raster.image.src;
+  const parent = textNode.parent;
+  if (typeof src !== "string" || !src.startsWith("data:") || !parent || !("insertChild" in parent)) {
+    return;
+  }
+
+  try {
+    const image = figma.createImage(figma.base64Decode(src.replace(/^data:[^,]*;base64,/, "")));
+    const layer = figma.createRectangle();
+    layer.name = "__text-raster";
+    layer.setPluginData("rasterFor", String(nodeData.id));
+    layer.setPluginData("rasterReason", String(raster.reason || ""));
+    layer.resize(Math.max(1, textNode.width), Math.max(1, textNode.height));
+    layer.fills = [{ type: "IMAGE", imageHash: image.hash, scaleMode: "FILL" }];
+
+    const container = parent as FrameNode;
+    container.insertChild(container.children.indexOf(textNode) + 1, layer);
+    // Any Auto Layout parent, grid included, would otherwise flow the
+    // raster in as another item instead of stacking it on the text.
+    if ("layoutMode" in container && container.layoutMode !== "NONE") {
+      layer.layoutPositioning = "ABSOLUTE";
+    }
+    layer.relativeTransform = textNode.relativeTransform;
+
+    if (raster.mode === "replace") {
+      textNode.opacity = 0;
+    } else {
+      layer.visible = false;
+    }
+  } catch (error) {
+    console.warn("    ⚠️ Text raster layer failed:", error);
+  }
+}
+
+function mapTextDecoration(value: string | undefined): TextDecoration {
+  if (value?.includes("underline")) return "UNDERLINE";
+  if (value?.includes("line-through")) return "STRIKETHROUGH";
+  return "NONE";
+}
+
+/**
+ * Applies the styled runs the scraper folded into this text node (bold,
+ * italic, color, links...) as range styles on the single Figma layer.
+ */
+async function applyTextRuns(
+  textNode: TextNode,
+  nodeData: any,
+  hasScreenshot: boolean
+): Promise<void> {
+  const runs = nodeData.text?.runs;
+  if (!Array.isArray(runs) || runs.length === 0) return;
+
+  const length = textNode.characters.length;
+  const base = nodeData.styles || {};
+  const baseFont = nodeData.typography?.font || {};
+
+  for (const run of runs) {
+    const start = Math.max(0, run.start);
+    const end = Math.min(length, run.end);
+    if (end <= start) continue;
+    const styles = run.styles || {};
+
+    try {
+      if (styles.fontFamily || styles.fontWeight || styles.fontStyle) {
+        const fontName = await loadWebFont(
+          textNode,
+          styles.fontFamily || baseFont.familyResolved || base.fontFamily,
+          styles.fontWeight || baseFont.weight || base.fontWeight,
+          styles.fontStyle || baseFont.style || base.fontStyle
+        );
+        textNode.setRangeFontName(start, end, fontName);
+      }
+
+      const fontSize = parseFloat(styles.fontSize);
+      if (fontSize > 0 && fontSize !== parseFloat(base.fontSize)) {
+        textNode.setRangeFontSize(start, end, fontSize);
+      }
+
+      if (styles.color && !hasScreenshot && styles.color !== base.color) {
+        const colorToken = tokenVariables[styles.color];
+        const color = parseColor(styles.color);
+        if (color) {
+          const paint: SolidPaint = {
+            type: "SOLID",
+            color: { r: color.r, g: color.g, b: color.b },
+            ...(color.a !== 1 ? { opacity: color.a } : {}),
+          };
+          textNode.setRangeFills(start, end, [
+            colorToken && figma.variables
+              ? figma.variables.setBoundVariableForPaint(paint, "color", colorToken)
+              : paint,
+          ]);
+        }
+      }
+
+      if (styles.textDecoration) {
+        textNode.setRangeTextDecoration(start, end, mapTextDecoration(styles.textDecoration));
+      }
+
+      const letterSpacing = parseFloat(styles.letterSpacing);
+      if (!isNaN(letterSpacing)) {
+        textNode.setRangeLetterSpacing(
+          start,
+          end,
+          toFigmaLetterSpacing(letterSpacing, fontSize > 0 ? fontSize : parseFloat(base.fontSize))
+        );
+      }
+
+      if (run.href) {
+        textNode.setRangeHyperlink(start, end, { type: "URL", value: run.href });
+      }
+    } catch (error) {
+      console.warn(`Could not style text run ${start}-${end} on ${textNode.name}:`, error);
+    }
+  }
+}
+
 /**
  * Create image node with proxy support
  */
 async function createImageNode(nodeData: any): Promise<RectangleNode> {
   const rect = figma.createRectangle();
 
+  if (!nodeData.imageData && nodeData.imageChunkRef) {
+    nodeData.imageData = imageAssembler.assemble(nodeData.id) || undefined;
+  }
+
   if (nodeData.imageData && nodeData.imageData.length > 0) {
     try {
-      const bytes = new Uint8Array(nodeData.imageData);
+      const bytes =
+        nodeData.imageData instanceof Uint8Array
+          ? nodeData.imageData
+          : new Uint8Array(nodeData.imageData);
       const image = figma.createImage(bytes);
       rect.fills = [
         {
@@ -1546,13 +3263,8 @@ async function createImageNode(nodeData: any): Promise<RectangleNode> {
     let imageData = nodeData.image.data;
 
     if (!imageData && nodeData.image.needsProxy) {
-      const proxiedUrl = `http://localhost:${SERVER_PORT}/proxy-image?url=${encodeURIComponent(
-        nodeData.image.url
-      )}`;
       try {
-        const response = await fetch(proxiedUrl);
-        const buffer = await response.arrayBuffer();
-        const bytes = new Uint8Array(buffer);
+        const bytes = await loadRemoteImageBytes(nodeData.image.url);
         const image = figma.createImage(bytes);
         rect.fills = [
           {
@@ -1584,20 +3296,107 @@ async function createImageNode(nodeData: any): Promise<RectangleNode> {
 
 /**
  * PHASE 4: Create SVG node
+ * The scraper sends self-contained markup (sprites, currentColor and CSS
+ * paints already resolved), so Figma can build it with groups, strokes
+ * and gradients intact. Markup Figma rejects falls back to plain vectors.
  */
 async function createSVGNode(nodeData: any): Promise<FrameNode> {
+  const markup = nodeData.svg && nodeData.svg.content;
+  if (markup) {
+    try {
+      const frame = figma.createNodeFromSvg(markup);
+      frame.name = "SVG";
+      return frame;
+    } catch (error) {
+      console.warn("    ⚠️ createNodeFromSvg failed, using vector paths:", error);
+    }
+  }
+
+  return createSVGVectorFallback(nodeData);
+}
+
+/**
+ * One vector per <path>, built as a vector network and mapped from the
+ * viewBox into the node box. An SVG with no paths left keeps a neutral
+ * placeholder fill.
+ */
+async function createSVGVectorFallback(nodeData: any): Promise<FrameNode> {
   const frame = figma.createFrame();
   frame.name = "SVG";
+  frame.fills = [];
+
+  const markup: string = (nodeData.svg && nodeData.svg.content) || "";
+  const viewBox: string =
+    (nodeData.svg && nodeData.svg.viewBox) || getSVGRootAttribute(markup, "viewBox") || "";
+  const viewBoxSize = viewBox.split(/[\s,]+/).map(parseFloat);
+  const width =
+    (nodeData.rect && nodeData.rect.width) || (viewBoxSize[2] > 0 ? viewBoxSize[2] : 24);
+  const height =
+    (nodeData.rect && nodeData.rect.height) || (viewBoxSize[3] > 0 ? viewBoxSize[3] : 24);
+  frame.resize(clampSize(width), clampSize(height));
+
+  const transform = getSVGViewBoxTransform(
+    viewBox,
+    getSVGRootAttribute(markup, "preserveAspectRatio"),
+    frame.width,
+    frame.height
+  );
+  const rootFillRule = getSVGRootAttribute(markup, "fill-rule");
+
+  let created = 0;
+  const skipped: string[] = [];
+  const pathTags = markup.match(/<path\b[^>]*>/gi) || [];
+  for (const tag of pathTags) {
+    const d = tag.match(/\sd=["']([^"']*)["']/i);
+    if (!d) continue;
+    const fillRule = tag.match(/fill-rule=["']([^"']*)["']/i);
+    const fill = tag.match(/\sfill=["']([^"']*)["']/i);
+    const network = svgPathToVectorNetwork(d[1], transform, fillRule ? fillRule[1] : rootFillRule);
+    if (network.segments.length === 0) {
+      skipped.push(`no drawable segments in "${d[1].slice(0, 40)}"`);
+      continue;
+    }
+
+    const vector = figma.createVector();
+    try {
+      await vector.setVectorNetworkAsync(network);
+    } catch (error) {
+      vector.remove();
+      skipped.push(`"${d[1].slice(0, 40)}": ${error instanceof Error ? error.message : error}`);
+      continue;
+    }
+    const color = fill && fill[1] !== "none" ? parseColor(fill[1]) : null;
+    vector.fills =
+      fill && fill[1] === "none"
+        ? []
+        : [
+            {
+              type: "SOLID",
+              color: color
+                ? { r: color.r, g: color.g, b: color.b }
+                : { r: 0, g: 0, b: 0 },
+              opacity: color ? color.a : 1,
+            },
+          ];
+    frame.appendChild(vector);
+    created++;
+  }
 
-  // Note: Figma Plugin API has limited SVG support
-  // Best approach: Rasterize on server and import as image
-  // For now, create placeholder
-  frame.fills = [
-    {
-      type: "SOLID",
-      color: { r: 0.95, g: 0.95, b: 0.95 },
-    },
-  ];
+  if (skipped.length > 0) {
+    console.warn(
+      `    ⚠️ SVG fallback skipped ${skipped.length}/${pathTags.length} paths:`,
+      skipped
+    );
+  }
+
+  if (created === 0) {
+    frame.fills = [
+      {
+        type: "SOLID",
+        color: { r: 0.95, g: 0.95, b: 0.95 },
+      },
+    ];
+  }
 
   return frame;
 }
@@ -1625,12 +3424,7 @@ async function createFrameNode(
       );
       if (urlMatch) {
         try {
-          const proxiedUrl = `http://localhost:${SERVER_PORT}/proxy-image?url=${encodeURIComponent(
-            urlMatch[1]
-          )}`;
-          const response = await fetch(proxiedUrl);
-          const buffer = await response.arrayBuffer();
-          const bytes = new Uint8Array(buffer);
+          const bytes = await loadRemoteImageBytes(urlMatch[1]);
           const image = figma.createImage(bytes);
           frame.fills = [
             {
@@ -1679,6 +3473,33 @@ async function createFrameNode(
     }
   }
 
+  // CSS grid → grid Auto Layout, or nested rows/columns when Figma can't
+  // express the grid
+  if (
+    ENABLE_AUTO_LAYOUT &&
+    (nodeData.styles.display === "grid" || nodeData.styles.display === "inline-grid") &&
+    nodeData.layout?.grid?.tracks
+  ) {
+    try {
+      applyGridLayout(frame, nodeData);
+    } catch (error) {
+      console.warn(`Failed to apply grid layout to ${nodeData.id}, keeping absolute positions:`, error);
+      frame.layoutMode = "NONE";
+      frame.setPluginData("gridFallback", "");
+    }
+  }
+
+  // Stacks the compiler inferred from child rects on non-flex containers
+  const inferredLayout = nodeData.figma?.autoLayout;
+  if (
+    ENABLE_AUTO_LAYOUT &&
+    frame.layoutMode === "NONE" &&
+    inferredLayout?.source === "inferred" &&
+    (inferredLayout.confidence || 0) >= INFERRED_AUTO_LAYOUT_MIN_CONFIDENCE
+  ) {
+    applyInferredAutoLayout(frame, nodeData, inferredLayout);
+  }
+
   // Border radius
   if (nodeData.styles.borderRadius) {
     const values = nodeData.styles.borderRadius.match(/[\d.]+/g);
@@ -1802,6 +3623,7 @@ async function createPseudoElement(parent: FrameNode, pseudo: any) {
 
   const pseudoFrame = figma.createFrame();
   pseudoFrame.name = `::${pseudo.type}`;
+  pseudoFrame.setPluginData("irPseudo", String(pseudo.type));
   pseudoFrame.x = 0;
   pseudoFrame.y = 0;
   pseudoFrame.resize(20, 20);
@@ -1823,15 +3645,348 @@ async function createPseudoElement(parent: FrameNode, pseudo: any) {
   if (pseudo.type === "before") {
     parent.insertChild(0, pseudoFrame);
   }
+
+  // Pseudo-elements have no grid cell
+  if (isGridLayoutFrame(parent)) {
+    pseudoFrame.layoutPositioning = "ABSOLUTE";
+    pseudoFrame.x = 0;
+    pseudoFrame.y = 0;
+  }
 }
 
 /**
  * PHASE 6: Create state variants
+ *
+ * Converts every queued node into a component set with a `State` variant
+ * property. Deepest nodes go first so an outer set contains instances of the
+ * inner ones. The original layer is replaced by an instance of the Default
+ * variant and the sets are stacked to the right of the imported page.
+ */
+function createQueuedStateVariants(): ComponentSetNode[] {
+  const sets: ComponentSetNode[] = [];
+  const nextY = new Map<string, number>();
+
+  while (pendingStateVariants.length > 0) {
+    const { node, states } = pendingStateVariants.pop()!;
+    try {
+      const set = createStateVariants(node, states, nextY);
+      if (set) sets.push(set);
+    } catch (error) {
+      console.warn("State variants failed for", node.name, error);
+    }
+  }
+
+  return sets;
+}
+
+function createStateVariants(
+  node: SceneNode,
+  states: Record<string, any>,
+  nextY: Map<string, number>
+): ComponentSetNode | null {
+  if (node.removed || !node.parent) return null;
+
+  const variantStates = STATE_VARIANTS.filter(([key]) => {
+    const state = states[key];
+    return (
+      state &&
+      (Object.keys(state.styles || {}).length > 0 ||
+        Object.keys(state.descendants || {}).length > 0)
+    );
+  });
+  if (variantStates.length === 0) return null;
+
+  const placement = captureLayerPlacement(node);
+  const anchor = getTopLevelNode(node);
+  const nodeId = node.getPluginData("irNodeId");
+  const name = node.name;
+
+  const base = figma.createComponentFromNode(node);
+  base.name = "State=Default";
+  base.setPluginData("irNodeId", nodeId);
+
+  const variants: ComponentNode[] = [base];
+  for (const [key, label] of variantStates) {
+    const variant = base.clone();
+    variant.name = `State=${label}`;
+    applyStateVariant(variant, nodeId, states[key]);
+    variants.push(variant);
+  }
+
+  const set = figma.combineAsVariants(variants, figma.currentPage);
+  set.name = name;
+  set.layoutMode = "HORIZONTAL";
+  set.primaryAxisSizingMode = "AUTO";
+  set.counterAxisSizingMode = "AUTO";
+  set.itemSpacing = STATE_VARIANT_GAP;
+  set.paddingTop = set.paddingRight = set.paddingBottom = set.paddingLeft =
+    STATE_VARIANT_GAP;
+
+  const anchorKey = anchor ? anchor.id : "page";
+  const setY = nextY.has(anchorKey) ? nextY.get(anchorKey)! : anchor ? anchor.y : 0;
+  set.x = anchor ? anchor.x + anchor.width + STATE_SET_OFFSET : 0;
+  set.y = setY;
+  nextY.set(anchorKey, setY + set.height + STATE_VARIANT_GAP);
+
+  // Put an instance of the Default variant where the original layer was
+  const instance = base.createInstance();
+  instance.setPluginData("irNodeId", nodeId);
+  restoreLayerPlacement(instance, placement);
+
+  return set;
+}
+
+interface LayerPlacement {
+  parent: BaseNode & ChildrenMixin;
+  index: number;
+  x: number;
+  y: number;
+  layoutAlign?: LayoutMixin["layoutAlign"];
+  layoutGrow?: number;
+}
+
+function captureLayerPlacement(node: SceneNode): LayerPlacement {
+  const parent = node.parent!;
+  return {
+    parent,
+    index: parent.children.indexOf(node),
+    x: node.x,
+    y: node.y,
+    layoutAlign: "layoutAlign" in node ? node.layoutAlign : undefined,
+    layoutGrow: "layoutGrow" in node ? node.layoutGrow : undefined,
+  };
+}
+
+function restoreLayerPlacement(node: InstanceNode, placement: LayerPlacement): void {
+  placement.parent.insertChild(Math.max(0, placement.index), node);
+  node.x = placement.x;
+  node.y = placement.y;
+  if (placement.layoutAlign !== undefined) node.layoutAlign = placement.layoutAlign;
+  if (placement.layoutGrow !== undefined) node.layoutGrow = placement.layoutGrow;
+}
+
+/**
+ * Repeated structures detected by the scraper (IRFigmaHints.component):
+ * the first occurrence becomes the main component in place, every other
+ * occurrence is swapped for an instance carrying its own text and images.
+ * Ids repeat across responsive breakpoints, so masters are looked up per
+ * top-level frame.
+ */
+async function createQueuedComponents(): Promise<number> {
+  const entries = pendingComponentNodes.splice(0, pendingComponentNodes.length);
+  const masters = new Map<string, ComponentNode>();
+  const scopeOf = (node: SceneNode) => {
+    const anchor = getTopLevelNode(node);
+    return anchor ? anchor.id : "page";
+  };
+  let instances = 0;
+
+  for (const { node, irId, hint } of entries) {
+    if (!hint.isComponent || node.removed || !node.parent) continue;
+    try {
+      const scope = scopeOf(node);
+      const component = figma.createComponentFromNode(node);
+      component.setPluginData("irNodeId", irId);
+      masters.set(`${scope}:${irId}`, component);
+    } catch (error) {
+      console.warn("Component creation failed for", node.name, error);
+    }
+  }
+
+  for (const { node, irId, hint } of entries) {
+    if (!hint.isInstance || node.removed || !node.parent) continue;
+    const master = masters.get(`${scopeOf(node)}:${hint.masterComponentId}`);
+    if (!master) continue;
+
+    try {
+      const instance = master.createInstance();
+      instance.name = node.name;
+      instance.setPluginData("irNodeId", irId);
+      restoreLayerPlacement(instance, captureLayerPlacement(node));
+      if (
+        "width" in node &&
+        (Math.abs(instance.width - node.width) > 0.5 ||
+          Math.abs(instance.height - node.height) > 0.5)
+      ) {
+        instance.resize(clampSize(node.width), clampSize(node.height));
+      }
+      await applyInstanceOverrides(instance, node);
+      node.remove();
+      instances += 1;
+    } catch (error) {
+      console.warn("Instance creation failed for", node.name, error);
+    }
+  }
+
+  return instances;
+}
+
+/**
+ * Copies text and image content from the layer built for an occurrence onto
+ * the matching layer of its instance. Both trees come from the same
+ * fingerprint, so children are paired by index.
+ */
+async function applyInstanceOverrides(
+  target: SceneNode,
+  source: SceneNode
+): Promise<void> {
+  if (target.type === "TEXT" && source.type === "TEXT") {
+    if (target.characters !== source.characters) {
+      const fonts = target.getRangeAllFontNames(0, target.characters.length);
+      await Promise.all(fonts.map((font) => figma.loadFontAsync(font)));
+      target.characters = source.characters;
+    }
+  } else if (
+    "fills" in target &&
+    "fills" in source &&
+    source.fills !== figma.mixed &&
+    source.fills.some((paint) => paint.type === "IMAGE")
+  ) {
+    target.fills = source.fills;
+  }
+
+  if ("children" in target && "children" in source) {
+    const count = Math.min(target.children.length, source.children.length);
+    for (let i = 0; i < count; i++) {
+      if (target.children[i].type === source.children[i].type) {
+        await applyInstanceOverrides(target.children[i], source.children[i]);
+      }
+    }
+  }
+}
+
+function getTopLevelNode(node: SceneNode): SceneNode | null {
+  let current: BaseNode = node;
+  while (current.parent && current.parent.type !== "PAGE") {
+    current = current.parent;
+  }
+  return current === node ? null : (current as SceneNode);
+}
+
+function applyStateVariant(
+  variant: ComponentNode,
+  nodeId: string,
+  state: { styles?: Record<string, string>; descendants?: Record<string, Record<string, string>> }
+): void {
+  const deltas: Record<string, Record<string, string>> = {
+    ...(state.descendants || {}),
+  };
+  if (state.styles && Object.keys(state.styles).length > 0) {
+    deltas[nodeId] = state.styles;
+  }
+
+  const targets = [variant as SceneNode].concat(
+    variant.findAll((child) => child.getPluginData("irNodeId") in deltas)
+  );
+  for (const target of targets) {
+    const delta = deltas[target.getPluginData("irNodeId")];
+    if (delta) applyStateStyles(target, delta);
+  }
+}
+
+/**
+ * Applies a computed-style delta to an existing layer as editable
+ * properties (fills, strokes, radius, effects, opacity).
  */
-async function createStateVariants(node: FrameNode, states: any) {
-  // Create component set with variants for states
-  // For now, just add a note
-  node.name = `${node.name} (has states: ${Object.keys(states).join(", ")})`;
+function applyStateStyles(node: SceneNode, styles: Record<string, string>): void {
+  if (styles.color && node.type === "TEXT") {
+    const color = parseColor(styles.color);
+    if (color) {
+      node.fills = [
+        {
+          type: "SOLID",
+          color: { r: color.r, g: color.g, b: color.b },
+          opacity: color.a,
+        },
+      ];
+    }
+  }
+
+  if (styles.textDecoration && node.type === "TEXT") {
+    node.textDecoration = styles.textDecoration.includes("underline")
+      ? "UNDERLINE"
+      : styles.textDecoration.includes("line-through")
+      ? "STRIKETHROUGH"
+      : "NONE";
+  }
+
+  if (node.type !== "TEXT" && "fills" in node) {
+    if (styles.backgroundImage?.includes("gradient")) {
+      const gradient = parseGradient(styles.backgroundImage);
+      if (gradient) node.fills = [gradient];
+    } else if (styles.backgroundColor) {
+      const color = parseColor(styles.backgroundColor);
+      if (color) {
+        node.fills =
+          color.a === 0
+            ? []
+            : [
+                {
+                  type: "SOLID",
+                  color: { r: color.r, g: color.g, b: color.b },
+                  ...(color.a !== 1 ? { opacity: color.a } : {}),
+                },
+              ];
+      }
+    }
+  }
+
+  if ("strokes" in node && styles.borderWidth !== undefined) {
+    const width = parseFloat(styles.borderWidth);
+    const color = parseColor(styles.borderColor || "#000000");
+    if (!width || styles.borderStyle === "none" || !color) {
+      node.strokes = [];
+    } else {
+      node.strokes = [
+        { type: "SOLID", color: { r: color.r, g: color.g, b: color.b } },
+      ];
+      node.strokeWeight = width;
+    }
+  }
+
+  if (styles.borderRadius && "topLeftRadius" in node) {
+    const values = styles.borderRadius.match(/[\d.]+/g);
+    if (values) {
+      const radii = values.map((value: string) => parseFloat(value));
+      node.topLeftRadius = radii[0] || 0;
+      node.topRightRadius = radii[1] || radii[0] || 0;
+      node.bottomRightRadius = radii[2] || radii[0] || 0;
+      node.bottomLeftRadius = radii[3] || radii[1] || radii[0] || 0;
+    }
+  }
+
+  if (
+    "effects" in node &&
+    (styles.boxShadow !== undefined || styles.outlineStyle !== undefined)
+  ) {
+    const effects: Effect[] =
+      styles.boxShadow === undefined
+        ? node.effects.slice()
+        : styles.boxShadow === "none"
+        ? []
+        : parseBoxShadow(styles.boxShadow);
+
+    // Focus rings: an outline becomes a zero-blur spread shadow
+    const outlineWidth = parseFloat(styles.outlineWidth || "0");
+    const outlineColor = parseColor(styles.outlineColor || "");
+    if (styles.outlineStyle !== "none" && outlineWidth > 0 && outlineColor) {
+      effects.push({
+        type: "DROP_SHADOW",
+        offset: { x: 0, y: 0 },
+        radius: 0,
+        spread: outlineWidth + (parseFloat(styles.outlineOffset || "0") || 0),
+        color: outlineColor,
+        blendMode: "NORMAL",
+        visible: true,
+      } as Effect);
+    }
+    node.effects = effects;
+  }
+
+  if (styles.opacity !== undefined && "opacity" in node) {
+    const opacity = parseFloat(styles.opacity);
+    if (!isNaN(opacity)) node.opacity = opacity;
+  }
 }
 
 /**
@@ -2014,31 +4169,49 @@ function parseColor(
 }
 
 /**
- * Ensure font is loaded
+ * Ensure font is loaded, returning the font that actually was: the family's
+ * Regular when the style is missing, Inter Regular when the family is.
  */
-async function ensureFontLoaded(family: string, style: string) {
+async function ensureFontLoaded(family: string, style: string): Promise<FontName> {
   const key = `${family}__${style}`;
-  if (loadedFonts.has(key)) return;
+  if (loadedFonts.has(key)) return { family, style };
 
   try {
     await figma.loadFontAsync({ family, style });
     loadedFonts.add(key);
+    return { family, style };
   } catch (e) {
     try {
       await figma.loadFontAsync({ family, style: "Regular" });
       loadedFonts.add(`${family}__Regular`);
+      return { family, style: "Regular" };
     } catch (e2) {
       await figma.loadFontAsync({ family: "Inter", style: "Regular" });
       loadedFonts.add("Inter__Regular");
+      return { family: "Inter", style: "Regular" };
     }
   }
 }
 
 /**
- * Create Figma variables from tokens
+ * Create Figma variables from tokens. Inferred semantic colors live under
+ * "semantic/" so they can't take the name of a CSS variable, and a
+ * variable Figma rejects is skipped on its own.
  */
 async function createFigmaVariables(tokens: any) {
   const variables: Record<string, any> = {};
+  const createVariable = (
+    name: string,
+    collection: VariableCollection,
+    type: VariableResolvedDataType
+  ): Variable | null => {
+    try {
+      return figma.variables.createVariable(name, collection, type);
+    } catch (error) {
+      console.warn(`Variable "${name}" skipped:`, error);
+      return null;
+    }
+  };
 
   try {
     if (!figma.variables) return variables;
@@ -2056,13 +4229,9 @@ async function createFigmaVariables(tokens: any) {
       const cleanName = String(cssVar).replace(/^--/, "").replace(/-/g, "/");
 
       if (value.includes("rgb") || value.includes("#")) {
-        const variable = figma.variables.createVariable(
-          cleanName,
-          collections.colors,
-          "COLOR"
-        );
         const color = parseColor(value);
-        if (color) {
+        const variable = color && createVariable(cleanName, collections.colors, "COLOR");
+        if (color && variable) {
           variable.setValueForMode(collections.colors.modes[0].modeId, {
             r: color.r,
             g: color.g,
@@ -2073,12 +4242,10 @@ async function createFigmaVariables(tokens: any) {
         }
       } else if (value.includes("px")) {
         const numValue = parseFloat(value);
-        if (!isNaN(numValue)) {
-          const variable = figma.variables.createVariable(
-            cleanName,
-            collections.spacing,
-            "FLOAT"
-          );
+        const variable = isNaN(numValue)
+          ? null
+          : createVariable(cleanName, collections.spacing, "FLOAT");
+        if (variable) {
           variable.setValueForMode(
             collections.spacing.modes[0].modeId,
             numValue
@@ -2088,18 +4255,87 @@ async function createFigmaVariables(tokens: any) {
       }
     }
 
-    // Process implicit tokens
+    // Colors that change with prefers-color-scheme get Light and Dark modes
+    const schemeTokens: any[] = Array.isArray(tokens.colorSchemes)
+      ? tokens.colorSchemes
+      : [];
+    if (schemeTokens.length > 0) {
+      const lightModeId = collections.colors.modes[0].modeId;
+      let darkModeId: string | null = null;
+      try {
+        collections.colors.renameMode(lightModeId, "Light");
+        darkModeId = collections.colors.addMode("Dark");
+      } catch (error) {
+        console.warn("Dark mode unavailable (plan limit?), keeping Light only:", error);
+      }
+
+      for (const token of schemeTokens) {
+        const light = parseColor(token.light);
+        const dark = parseColor(token.dark);
+        if (!light || !dark || typeof token.name !== "string") continue;
+
+        const variable = createVariable(token.name, collections.colors, "COLOR");
+        if (!variable) continue;
+        variable.setValueForMode(lightModeId, light);
+        if (darkModeId) {
+          variable.setValueForMode(darkModeId, dark);
+        }
+        variables[token.name] = variable;
+      }
+    }
+
+    // Clustered tokens: every merged raw color resolves to its cluster's variable
+    const semantic = tokens.semantic;
+    for (const color of semantic?.colors || []) {
+      const value = parseColor(color.value);
+      if (!value) continue;
+
+      const variable = createVariable(`semantic/${color.name}`, collections.colors, "COLOR");
+      if (!variable) continue;
+      for (const mode of collections.colors.modes) {
+        variable.setValueForMode(mode.modeId, value);
+      }
+      for (const member of color.members || [color.value]) {
+        // Compiled node styles spell opaque colors as rgba(r, g, b, 1)
+        for (const key of [member, member.replace(/^rgb\((.*)\)$/, "rgba($1, 1)")]) {
+          if (!variables[key]) variables[key] = variable;
+        }
+      }
+    }
+
+    for (const step of semantic?.spacing?.steps || []) {
+      const variable = createVariable(step.name, collections.spacing, "FLOAT");
+      if (!variable) continue;
+      variable.setValueForMode(collections.spacing.modes[0].modeId, step.value);
+      variables[`spacing:${step.value}`] = variable;
+    }
+
+    if (semantic?.typeScale?.steps?.length) {
+      const typography = figma.variables.createVariableCollection("Typography");
+      for (const step of semantic.typeScale.steps) {
+        const variable = createVariable(step.name, typography, "FLOAT");
+        if (!variable) continue;
+        variable.setValueForMode(typography.modes[0].modeId, step.value);
+        variables[`fontSize:${step.value}`] = variable;
+      }
+    }
+
+    for (const radius of tokens.radii || []) {
+      if (!(radius > 0)) continue;
+      const variable = createVariable(`radius-${radius}`, collections.radii, "FLOAT");
+      if (!variable) continue;
+      variable.setValueForMode(collections.radii.modes[0].modeId, radius);
+      variables[`radius:${radius}`] = variable;
+    }
+
+    // Process implicit tokens (colors are covered by the clustered set when present)
     for (const [value, name] of Object.entries(tokens.implicit || {})) {
       if (typeof name !== "string" || typeof value !== "string") continue;
 
-      if (value.includes("rgb") || value.includes("#")) {
-        const variable = figma.variables.createVariable(
-          name,
-          collections.colors,
-          "COLOR"
-        );
+      if ((value.includes("rgb") || value.includes("#")) && !semantic?.colors?.length) {
         const color = parseColor(value);
-        if (color) {
+        const variable = color && createVariable(name, collections.colors, "COLOR");
+        if (color && variable) {
           variable.setValueForMode(collections.colors.modes[0].modeId, {
             r: color.r,
             g: color.g,
@@ -2138,9 +4374,18 @@ function applyComprehensiveFlexboxLayout(frame: FrameNode, nodeData: any): void
   const direction = styles.flexDirection || "row";
   frame.layoutMode = mapFlexDirectionToLayoutMode(direction);
 
-  // 2. FLEX WRAP DETECTION (unsupported in Figma - warn and continue)
-  if (styles.flexWrap && styles.flexWrap !== "nowrap") {
-    console.warn(`flex-wrap: ${styles.flexWrap} is not supported in Figma Auto Layout, ignoring`);
+  // 2. FLEX WRAP → LAYOUT WRAP (Figma only wraps horizontal layouts, and
+  // never in reverse)
+  const gaps = getFlexGaps(nodeData);
+  const wraps = styles.flexWrap === "wrap" && frame.layoutMode === "HORIZONTAL";
+  if (wraps) {
+    frame.layoutWrap = "WRAP";
+    frame.counterAxisSpacing = gaps.row;
+    if (styles.alignContent === "space-between") {
+      frame.counterAxisAlignContent = "SPACE_BETWEEN";
+    }
+  } else if (styles.flexWrap && styles.flexWrap !== "nowrap") {
+    console.warn(`flex-wrap: ${styles.flexWrap} on a ${direction} container can't wrap in Figma; checked after import`);
   }
 
   // 3. JUSTIFY CONTENT → PRIMARY AXIS ALIGNMENT
@@ -2153,12 +4398,11 @@ function applyComprehensiveFlexboxLayout(frame: FrameNode, nodeData: any): void
     frame.counterAxisAlignItems = mapAlignItemsToCounterAxis(styles.alignItems);
   }
 
-  // 5. GAP → ITEM SPACING
-  if (styles.gap) {
-    const gap = parseGapValue(styles.gap);
-    if (gap > 0) {
-      frame.itemSpacing = gap;
-    }
+  // 5. GAP → ITEM SPACING (column-gap runs along a row, row-gap along a
+  // column)
+  const mainGap = frame.layoutMode === "HORIZONTAL" ? gaps.column : gaps.row;
+  if (mainGap > 0) {
+    frame.itemSpacing = mainGap;
   }
 
   // 6. PADDING
@@ -2182,6 +4426,7 @@ function applyComprehensiveFlexboxLayout(frame: FrameNode, nodeData: any): void
 
   console.log(`Applied Auto Layout:`, {
     layoutMode: frame.layoutMode,
+    layoutWrap: frame.layoutWrap,
     primaryAxisAlignItems: frame.primaryAxisAlignItems,
     counterAxisAlignItems: frame.counterAxisAlignItems,
     itemSpacing: frame.itemSpacing,
@@ -2190,6 +4435,47 @@ function applyComprehensiveFlexboxLayout(frame: FrameNode, nodeData: any): void
   });
 }
 
+/**
+ * Apply an inferred stack hint. The result goes through the same
+ * re-measure as flex layouts, so a wrong guess falls back to absolute.
+ */
+function applyInferredAutoLayout(frame: FrameNode, nodeData: any, hint: any): void {
+  frame.layoutMode = hint.layoutMode;
+  frame.itemSpacing = hint.itemSpacing || 0;
+  frame.primaryAxisAlignItems = hint.primaryAxisAlignItems || "MIN";
+  frame.counterAxisAlignItems = hint.counterAxisAlignItems || "MIN";
+  if (hint.padding) {
+    frame.paddingTop = hint.padding.top;
+    frame.paddingRight = hint.padding.right;
+    frame.paddingBottom = hint.padding.bottom;
+    frame.paddingLeft = hint.padding.left;
+  }
+  frame.primaryAxisSizingMode = "FIXED";
+  frame.counterAxisSizingMode = "FIXED";
+  frame.setPluginData("autoLayoutConfidence", String(hint.confidence));
+  console.log(
+    `Inferred ${hint.layoutMode} Auto Layout for ${nodeData.id} (confidence ${hint.confidence})`
+  );
+}
+
+/**
+ * Row and column gaps of a flex container, from the IR layout when
+ * present, otherwise from the row-gap / column-gap / gap styles
+ */
+function getFlexGaps(nodeData: any): { row: number; column: number } {
+  const gap = nodeData.layout?.flex?.gap;
+  if (gap) {
+    return { row: gap.row || 0, column: gap.column || 0 };
+  }
+
+  const styles = nodeData.styles || {};
+  const shorthand = (styles.gap || "").toString().trim().split(/\s+/);
+  return {
+    row: parseGapValue(styles.rowGap || shorthand[0] || 0),
+    column: parseGapValue(styles.columnGap || shorthand[1] || shorthand[0] || 0),
+  };
+}
+
 /**
  * Map flex-direction to Figma layoutMode
  */
@@ -2345,20 +4631,44 @@ function applyFlexItemProperties(node: SceneNode, nodeData: any): void {
   
   if (!styles) return;
   
-  // Apply layoutGrow for flex-grow behavior
-  if ('layoutGrow' in node && styles.flexGrow) {
-    const flexGrow = parseFloat(styles.flexGrow);
-    if (flexGrow > 0) {
-      (node as any).layoutGrow = flexGrow;
-      console.log(`Applied layoutGrow ${flexGrow} to ${nodeData.id}`);
-    }
+  const parent = node.parent as FrameNode | null;
+  const horizontal = parent?.layoutMode === "HORIZONTAL";
+
+  // flex-grow → FILL along the main axis. Figma splits the free space
+  // evenly, so unequal grow factors only survive when validation agrees.
+  const flexGrow = parseFloat(styles.flexGrow);
+  if ('layoutSizingHorizontal' in node && flexGrow > 0) {
+    if (horizontal) node.layoutSizingHorizontal = "FILL";
+    else node.layoutSizingVertical = "FILL";
+    console.log(`Applied FILL (flex-grow ${flexGrow}) to ${nodeData.id}`);
   }
-  
-  // Apply layoutAlign for align-self behavior
-  if ('layoutAlign' in node && styles.alignSelf && styles.alignSelf !== 'auto') {
+
+  // align-self: stretch → FILL across; other values map to layoutAlign
+  if ('layoutSizingHorizontal' in node && styles.alignSelf === 'stretch') {
+    if (horizontal) node.layoutSizingVertical = "FILL";
+    else node.layoutSizingHorizontal = "FILL";
+  } else if ('layoutAlign' in node && styles.alignSelf && styles.alignSelf !== 'auto') {
     const alignSelf = mapAlignItemsToCounterAxis(styles.alignSelf);
-    (node as any).layoutAlign = alignSelf;
-    console.log(`Applied alignSelf ${alignSelf} to ${nodeData.id}`);
+    if (alignSelf !== "BASELINE") {
+      node.layoutAlign = alignSelf;
+      console.log(`Applied alignSelf ${alignSelf} to ${nodeData.id}`);
+    }
+  }
+
+  // min/max-width and -height clamp FILL and HUG sizing the way they clamp
+  // flex sizing
+  if ('minWidth' in node) {
+    const limits: Array<[string, "minWidth" | "maxWidth" | "minHeight" | "maxHeight"]> = [
+      [styles.minWidth, "minWidth"],
+      [styles.maxWidth, "maxWidth"],
+      [styles.minHeight, "minHeight"],
+      [styles.maxHeight, "maxHeight"],
+    ];
+    for (const [value, property] of limits) {
+      if (typeof value !== "string" || !value.endsWith("px")) continue;
+      const size = parseFloat(value);
+      if (size > 0) node[property] = size;
+    }
   }
   
   // Note: flex order is handled through layer ordering in Figma
@@ -2366,3 +4676,231 @@ function applyFlexItemProperties(node: SceneNode, nodeData: any): void {
     console.log(`Flex order ${styles.order} noted for ${nodeData.id} (handled via layer order)`);
   }
 }
+
+/**
+ * Re-measure every flex Auto Layout frame against the captured rects,
+ * innermost first. Frames whose size or children drift by more than
+ * AUTO_LAYOUT_TOLERANCE go back to absolute positioning so the import
+ * still matches the page.
+ */
+function validateQueuedAutoLayouts(): number {
+  let reverted = 0;
+
+  while (pendingAutoLayoutChecks.length > 0) {
+    const { frame, nodeData, fullData } = pendingAutoLayoutChecks.pop()!;
+    if (frame.removed || frame.layoutMode === "NONE") continue;
+
+    const lookup = ensureNodeLookup(fullData);
+    const expected = getAbsoluteBounds(nodeData);
+    let drift = Math.max(
+      Math.abs(frame.width - expected.width),
+      Math.abs(frame.height - expected.height)
+    );
+
+    const placements: Array<{ child: SceneNode; bounds: ReturnType<typeof getRelativeBounds> }> = [];
+    for (const child of frame.children) {
+      const childData = lookup.get(child.getPluginData("irNodeId"));
+      if (!childData) continue;
+      if ("layoutPositioning" in child && child.layoutPositioning === "ABSOLUTE") continue;
+
+      const bounds = getRelativeBounds(childData, nodeData);
+      placements.push({ child, bounds });
+      drift = Math.max(
+        drift,
+        Math.abs(child.x - bounds.x),
+        Math.abs(child.y - bounds.y),
+        Math.abs(child.width - bounds.width),
+        Math.abs(child.height - bounds.height)
+      );
+    }
+
+    if (drift <= AUTO_LAYOUT_TOLERANCE) continue;
+
+    console.warn(
+      `Auto Layout on ${frame.name} drifts ${Math.round(drift)}px from the page; using absolute positions`
+    );
+    frame.layoutMode = "NONE";
+    frame.resize(clampSize(expected.width), clampSize(expected.height));
+    for (const { child, bounds } of placements) {
+      child.x = Math.round(bounds.x);
+      child.y = Math.round(bounds.y);
+      if ("resize" in child && (child.width !== bounds.width || child.height !== bounds.height)) {
+        child.resize(clampSize(bounds.width), clampSize(bounds.height));
+      }
+    }
+    reverted++;
+  }
+
+  if (reverted > 0) {
+    console.log(`${reverted} Auto Layout frame(s) reverted to absolute positioning`);
+  }
+  return reverted;
+}
+
+// ==================== CSS GRID → GRID AUTO LAYOUT MAPPING ====================
+
+type GridFallback = "rows" | "columns";
+
+/**
+ * Whether children of this frame are placed by grid cell rather than
+ * appended in paint order
+ */
+function isGridLayoutFrame(node: BaseNode): node is FrameNode {
+  if (node.type !== "FRAME") return false;
+  return node.layoutMode === "GRID" || node.getPluginData("gridFallback") !== "";
+}
+
+/**
+ * Map a grid container onto grid Auto Layout using the tracks the
+ * browser rendered. Grids Figma can't express (overlapping items,
+ * distributed free space, subgrid, …) become a vertical stack of rows or
+ * a horizontal stack of columns instead, filled by placeGridChild().
+ */
+function applyGridLayout(frame: FrameNode, nodeData: any): void {
+  const grid = nodeData.layout.grid;
+  const tracks = grid.tracks;
+  const styles = nodeData.styles;
+
+  if (tracks.expressible) {
+    frame.layoutMode = "GRID";
+    frame.gridRowCount = tracks.rows.length;
+    frame.gridColumnCount = tracks.columns.length;
+    frame.gridRowGap = grid.gap?.row || 0;
+    frame.gridColumnGap = grid.gap?.column || 0;
+
+    // Equal tracks that fill the frame stay flexible (1fr); everything
+    // else keeps the size the browser resolved
+    if (!tracks.columnsFlexible) {
+      frame.gridColumnSizes = tracks.columns.map((value: number) => ({ type: "FIXED" as const, value }));
+    }
+    if (!tracks.rowsFlexible) {
+      frame.gridRowSizes = tracks.rows.map((value: number) => ({ type: "FIXED" as const, value }));
+    }
+    frame.setPluginData(
+      "gridAlignment",
+      JSON.stringify({ justifyItems: grid.justifyItems, alignItems: grid.alignItems })
+    );
+  } else if (tracks.fallback) {
+    frame.layoutMode = tracks.fallback === "rows" ? "VERTICAL" : "HORIZONTAL";
+    const rowGap = grid.gap?.row || 0;
+    const columnGap = grid.gap?.column || 0;
+    frame.itemSpacing = tracks.fallback === "rows" ? rowGap : columnGap;
+    frame.setPluginData("gridCrossGap", String(tracks.fallback === "rows" ? columnGap : rowGap));
+    frame.setPluginData("gridFallback", tracks.fallback);
+    console.warn(
+      `Grid ${nodeData.id} uses ${(tracks.unsupported || []).join(", ")}; built as nested ${tracks.fallback}`
+    );
+  } else {
+    console.warn(
+      `Grid ${nodeData.id} uses ${(tracks.unsupported || []).join(", ")} and spans both axes; keeping absolute positions`
+    );
+    return;
+  }
+
+  if (styles.padding) {
+    applyPaddingFromString(frame, styles.padding);
+  }
+  frame.primaryAxisSizingMode = "FIXED";
+  frame.counterAxisSizingMode = "FIXED";
+}
+
+/**
+ * Map justify-self / align-self (falling back to the container's
+ * justify-items / align-items) onto a grid cell alignment
+ */
+function mapGridSelfAlignment(value: string | undefined): "MIN" | "CENTER" | "MAX" {
+  if (!value) return "MIN";
+  if (value.includes("center")) return "CENTER";
+  if (/(^|\s)(end|flex-end|self-end|right|bottom)$/.test(value)) return "MAX";
+  return "MIN";
+}
+
+/**
+ * Put a child into its grid cell. Grid Auto Layout frames take the cell
+ * and spans directly; fallback frames get one nested Auto Layout frame
+ * per row (or column), with items ordered by their cell. Children without
+ * a cell (absolutely positioned, or placement failed) keep their
+ * captured position.
+ */
+function placeGridChild(
+  parent: FrameNode,
+  node: SceneNode,
+  nodeData: any,
+  bounds: { x: number; y: number }
+): void {
+  const item = nodeData.layout?.gridItem;
+
+  if (item && parent.layoutMode === "GRID") {
+    try {
+      parent.appendChildAt(node, item.row, item.column);
+      if (!("gridRowSpan" in node)) return;
+      node.gridRowSpan = item.rowSpan;
+      node.gridColumnSpan = item.columnSpan;
+
+      const parentData = parent.getPluginData("gridAlignment");
+      const containerAlignment = parentData ? JSON.parse(parentData) : {};
+      node.gridChildHorizontalAlign = mapGridSelfAlignment(
+        nodeData.styles?.justifySelf !== "auto" ? nodeData.styles?.justifySelf : containerAlignment.justifyItems
+      );
+      node.gridChildVerticalAlign = mapGridSelfAlignment(
+        nodeData.styles?.alignSelf !== "auto" ? nodeData.styles?.alignSelf : containerAlignment.alignItems
+      );
+      return;
+    } catch (error) {
+      console.warn(`Could not place ${nodeData.id} in grid cell ${item.row},${item.column}:`, error);
+    }
+  }
+
+  const fallback = parent.getPluginData("gridFallback") as GridFallback | "";
+  if (item && fallback) {
+    const lineIndex = fallback === "rows" ? item.row : item.column;
+    const line = getGridFallbackLine(parent, fallback, lineIndex);
+    const cellIndex = fallback === "rows" ? item.column : item.row;
+    node.setPluginData("gridCell", String(cellIndex));
+
+    const insertAt = line.children.findIndex(
+      (child) => Number(child.getPluginData("gridCell")) > cellIndex
+    );
+    if (insertAt === -1) line.appendChild(node);
+    else line.insertChild(insertAt, node);
+    return;
+  }
+
+  if (!node.parent || node.parent.id !== parent.id) {
+    parent.appendChild(node);
+  }
+  if ("layoutPositioning" in node) {
+    node.layoutPositioning = "ABSOLUTE";
+  }
+  node.x = Math.round(bounds.x || 0);
+  node.y = Math.round(bounds.y || 0);
+}
+
+/**
+ * Row (or column) frame of a fallback grid, created on first use and
+ * kept in track order
+ */
+function getGridFallbackLine(parent: FrameNode, fallback: GridFallback, index: number): FrameNode {
+  const existing = parent.children.find(
+    (child) => child.type === "FRAME" && child.getPluginData("gridLine") === String(index)
+  );
+  if (existing) return existing as FrameNode;
+
+  const line = figma.createFrame();
+  line.name = `${fallback === "rows" ? "Row" : "Column"} ${index + 1}`;
+  line.setPluginData("gridLine", String(index));
+  line.layoutMode = fallback === "rows" ? "HORIZONTAL" : "VERTICAL";
+  line.itemSpacing = Number(parent.getPluginData("gridCrossGap") || 0);
+  line.primaryAxisSizingMode = "AUTO";
+  line.counterAxisSizingMode = "AUTO";
+  line.fills = [];
+  line.clipsContent = false;
+
+  const insertAt = parent.children.findIndex((child) => {
+    const lineIndex = child.getPluginData("gridLine");
+    return lineIndex !== "" && Number(lineIndex) > index;
+  });
+  if (insertAt === -1) parent.appendChild(line);
+  else parent.insertChild(insertAt, line);
+  return line;
+}
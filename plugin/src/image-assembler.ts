@@ -10,7 +10,7 @@ export class ImageAssembler {
   private readonly buffers = new Map<string, ChunkBuffer>();
   private readonly TIMEOUT_MS = 30000;
 
-  addChunk(nodeId: string, chunkIndex: number, data: number[], totalChunks: number): void {
+  addChunk(nodeId: string, chunkIndex: number, data: number[] | Uint8Array, totalChunks: number): void {
     if (!this.buffers.has(nodeId)) {
       this.buffers.set(nodeId, {
         nodeId,
@@ -22,7 +22,7 @@ export class ImageAssembler {
     }
 
     const buffer = this.buffers.get(nodeId)!;
-    const uint8Array = new Uint8Array(data);
+    const uint8Array = data instanceof Uint8Array ? data : new Uint8Array(data);
     if (!buffer.chunks.has(chunkIndex)) {
       buffer.chunks.set(chunkIndex, uint8Array);
       buffer.receivedChunks += 1;
@@ -0,0 +1,426 @@
+/**
+ * SVG PATH PARSER
+ *
+ * Turns SVG path data into Figma vector networks for the SVG fallback in
+ * code.ts. Compiled into the same dist/code.js (see plugin-tsconfig.json),
+ * so it is a plain script: no imports or exports, and only Figma's global
+ * vector types.
+ */
+
+interface SVGPathCommand {
+  command: "M" | "L" | "C" | "Z";
+  args: number[];
+}
+
+interface SVGViewBoxTransform {
+  scaleX: number;
+  scaleY: number;
+  translateX: number;
+  translateY: number;
+}
+
+// Numbers per repetition of each path command
+const SVG_PATH_ARITY: Record<string, number> = {
+  M: 2,
+  L: 2,
+  H: 1,
+  V: 1,
+  C: 6,
+  S: 4,
+  Q: 4,
+  T: 2,
+  A: 7,
+  Z: 0,
+};
+
+/**
+ * One path as a vector network: vertices and segments in node space,
+ * with Figma's vertex-relative tangents, and a single region whose loops
+ * are the closed subpaths
+ */
+function svgPathToVectorNetwork(
+  d: string,
+  transform: SVGViewBoxTransform,
+  fillRule?: string
+): VectorNetwork {
+  const vertices: VectorVertex[] = [];
+  const segments: VectorSegment[] = [];
+  const loops: number[][] = [];
+
+  const toPoint = (x: number, y: number): Vector => ({
+    x: x * transform.scaleX + transform.translateX,
+    y: y * transform.scaleY + transform.translateY,
+  });
+  const addVertex = (point: Vector): number => {
+    vertices.push({ x: point.x, y: point.y });
+    return vertices.length - 1;
+  };
+  const samePoint = (a: Vector, b: Vector) =>
+    Math.abs(a.x - b.x) < 1e-6 && Math.abs(a.y - b.y) < 1e-6;
+
+  let subpathStart = -1;
+  let current = -1;
+  let currentPoint = toPoint(0, 0);
+  let startPoint = currentPoint;
+  let subpathSegments: number[] = [];
+
+  const addSegment = (end: Vector, tangentStart: Vector, tangentEnd: Vector) => {
+    if (current < 0) {
+      current = subpathStart = addVertex(currentPoint);
+    }
+    const endIndex = addVertex(end);
+    segments.push({ start: current, end: endIndex, tangentStart, tangentEnd });
+    subpathSegments.push(segments.length - 1);
+    current = endIndex;
+    currentPoint = end;
+  };
+
+  for (const { command, args } of parseSVGPathData(d)) {
+    switch (command) {
+      case "M":
+        currentPoint = startPoint = toPoint(args[0], args[1]);
+        current = subpathStart = addVertex(currentPoint);
+        subpathSegments = [];
+        break;
+
+      case "L":
+        addSegment(toPoint(args[0], args[1]), { x: 0, y: 0 }, { x: 0, y: 0 });
+        break;
+
+      case "C": {
+        const from = currentPoint;
+        const control1 = toPoint(args[0], args[1]);
+        const control2 = toPoint(args[2], args[3]);
+        const end = toPoint(args[4], args[5]);
+        addSegment(
+          end,
+          { x: control1.x - from.x, y: control1.y - from.y },
+          { x: control2.x - end.x, y: control2.y - end.y }
+        );
+        break;
+      }
+
+      case "Z":
+        if (subpathSegments.length === 0) break;
+        if (samePoint(currentPoint, startPoint)) {
+          // Path already ends on its start point: reuse that vertex
+          const last = subpathSegments[subpathSegments.length - 1];
+          if (segments[last].end === vertices.length - 1) {
+            vertices.pop();
+          }
+          segments[last] = { ...segments[last], end: subpathStart };
+        } else {
+          segments.push({
+            start: current,
+            end: subpathStart,
+            tangentStart: { x: 0, y: 0 },
+            tangentEnd: { x: 0, y: 0 },
+          });
+          subpathSegments.push(segments.length - 1);
+        }
+        loops.push(subpathSegments);
+        // A command after Z without a moveto starts from the same point
+        subpathSegments = [];
+        current = subpathStart;
+        currentPoint = startPoint;
+        break;
+    }
+  }
+
+  return {
+    vertices,
+    segments,
+    regions:
+      loops.length > 0
+        ? [{ windingRule: fillRule === "evenodd" ? "EVENODD" : "NONZERO", loops }]
+        : [],
+  };
+}
+
+/**
+ * Parse SVG path data into absolute M, L, C and Z commands. Relative
+ * commands are offset from the current point, H/V become lines, Q/S/T
+ * become cubics (reflecting the previous control point where the spec
+ * says to) and arcs are split into cubics of at most 90 degrees.
+ */
+function parseSVGPathData(d: string): SVGPathCommand[] {
+  const commands: SVGPathCommand[] = [];
+  const regex = /([MLHVCSQTAZ])([^MLHVCSQTAZ]*)/gi;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  // Last control point, for the S and T reflections
+  let lastCubic: Vector | null = null;
+  let lastQuad: Vector | null = null;
+  let match;
+
+  while ((match = regex.exec(d)) !== null) {
+    const letter = match[1];
+    const type = letter.toUpperCase();
+    const relative = letter !== type;
+    const args = parseSVGPathArguments(match[2], type === "A");
+    const arity = SVG_PATH_ARITY[type];
+
+    if (type === "Z") {
+      commands.push({ command: "Z", args: [] });
+      x = startX;
+      y = startY;
+      lastCubic = lastQuad = null;
+      continue;
+    }
+
+    for (let i = 0; i + arity <= args.length; i += arity) {
+      const a = args.slice(i, i + arity);
+      const ox = relative ? x : 0;
+      const oy = relative ? y : 0;
+      // Extra pairs after a moveto are implicit linetos
+      const current = type === "M" && i > 0 ? "L" : type;
+      let cubic: Vector | null = null;
+      let quad: Vector | null = null;
+
+      switch (current) {
+        case "M":
+          x = startX = a[0] + ox;
+          y = startY = a[1] + oy;
+          commands.push({ command: "M", args: [x, y] });
+          break;
+
+        case "L":
+          x = a[0] + ox;
+          y = a[1] + oy;
+          commands.push({ command: "L", args: [x, y] });
+          break;
+
+        case "H":
+          x = a[0] + ox;
+          commands.push({ command: "L", args: [x, y] });
+          break;
+
+        case "V":
+          y = a[0] + oy;
+          commands.push({ command: "L", args: [x, y] });
+          break;
+
+        case "C":
+        case "S": {
+          const control1: Vector =
+            current === "C"
+              ? { x: a[0] + ox, y: a[1] + oy }
+              : lastCubic
+                ? { x: 2 * x - lastCubic.x, y: 2 * y - lastCubic.y }
+                : { x, y };
+          const rest = current === "C" ? a.slice(2) : a;
+          cubic = { x: rest[0] + ox, y: rest[1] + oy };
+          const endX = rest[2] + ox;
+          const endY = rest[3] + oy;
+          commands.push({
+            command: "C",
+            args: [control1.x, control1.y, cubic.x, cubic.y, endX, endY],
+          });
+          x = endX;
+          y = endY;
+          break;
+        }
+
+        case "Q":
+        case "T": {
+          quad =
+            current === "Q"
+              ? { x: a[0] + ox, y: a[1] + oy }
+              : lastQuad
+                ? { x: 2 * x - lastQuad.x, y: 2 * y - lastQuad.y }
+                : { x, y };
+          const rest = current === "Q" ? a.slice(2) : a;
+          const endX = rest[0] + ox;
+          const endY = rest[1] + oy;
+          // Degree elevation: cubic controls sit 2/3 of the way to the quad control
+          commands.push({
+            command: "C",
+            args: [
+              x + (2 / 3) * (quad.x - x),
+              y + (2 / 3) * (quad.y - y),
+              endX + (2 / 3) * (quad.x - endX),
+              endY + (2 / 3) * (quad.y - endY),
+              endX,
+              endY,
+            ],
+          });
+          x = endX;
+          y = endY;
+          break;
+        }
+
+        case "A": {
+          const endX = a[5] + ox;
+          const endY = a[6] + oy;
+          const curves = svgArcToCubics(x, y, a[0], a[1], a[2], a[3] !== 0, a[4] !== 0, endX, endY);
+          if (curves) {
+            curves.forEach((curve) => commands.push({ command: "C", args: curve }));
+          } else if (endX !== x || endY !== y) {
+            // Zero radius: the spec draws a straight line
+            commands.push({ command: "L", args: [endX, endY] });
+          }
+          x = endX;
+          y = endY;
+          break;
+        }
+      }
+
+      lastCubic = cubic;
+      lastQuad = quad;
+    }
+  }
+
+  return commands;
+}
+
+/**
+ * Read the numbers of one path command. Arc flags may be written
+ * without separators ("a1 1 0 013 4"), so they are read one digit at a time.
+ */
+function parseSVGPathArguments(text: string, isArc: boolean): number[] {
+  const args: number[] = [];
+  const numberPattern = /^[\s,]*([+-]?(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/;
+  const flagPattern = /^[\s,]*([01])/;
+  let rest = text;
+
+  while (rest.trim().length > 0) {
+    const isFlag = isArc && (args.length % 7 === 3 || args.length % 7 === 4);
+    const match = (isFlag ? flagPattern : numberPattern).exec(rest);
+    if (!match) break;
+    args.push(parseFloat(match[1]));
+    rest = rest.slice(match[0].length);
+  }
+
+  return args;
+}
+
+/**
+ * Convert an endpoint-parameterized arc to cubic Beziers (SVG 1.1
+ * appendix F.6). Returns null when a radius is zero.
+ */
+function svgArcToCubics(
+  x1: number,
+  y1: number,
+  rx: number,
+  ry: number,
+  rotation: number,
+  largeArc: boolean,
+  sweep: boolean,
+  x2: number,
+  y2: number
+): number[][] | null {
+  if (x1 === x2 && y1 === y2) return [];
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx === 0 || ry === 0) return null;
+
+  const phi = (rotation * Math.PI) / 180;
+  const cos = Math.cos(phi);
+  const sin = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cos * dx + sin * dy;
+  const y1p = -sin * dx + cos * dy;
+
+  // Scale up radii that are too small to reach the end point
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denominator = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  const coefficient =
+    (largeArc !== sweep ? 1 : -1) * Math.sqrt(Math.max(0, numerator / denominator));
+  const cxp = (coefficient * rx * y1p) / ry;
+  const cyp = (-coefficient * ry * x1p) / rx;
+  const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+  const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+  const angle = (ux: number, uy: number, vx: number, vy: number) =>
+    Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let deltaTheta = angle(
+    (x1p - cxp) / rx,
+    (y1p - cyp) / ry,
+    (-x1p - cxp) / rx,
+    (-y1p - cyp) / ry
+  );
+  if (!sweep && deltaTheta > 0) deltaTheta -= 2 * Math.PI;
+  if (sweep && deltaTheta < 0) deltaTheta += 2 * Math.PI;
+
+  const count = Math.max(1, Math.ceil(Math.abs(deltaTheta) / (Math.PI / 2) - 1e-9));
+  const step = deltaTheta / count;
+  const k = (4 / 3) * Math.tan(step / 4);
+  const map = (u: number, v: number): [number, number] => [
+    cx + rx * u * cos - ry * v * sin,
+    cy + rx * u * sin + ry * v * cos,
+  ];
+
+  const curves: number[][] = [];
+  for (let i = 0; i < count; i++) {
+    const a1 = theta1 + i * step;
+    const a2 = a1 + step;
+    const [c1x, c1y] = map(Math.cos(a1) - k * Math.sin(a1), Math.sin(a1) + k * Math.cos(a1));
+    const [c2x, c2y] = map(Math.cos(a2) + k * Math.sin(a2), Math.sin(a2) - k * Math.cos(a2));
+    const [ex, ey] = i === count - 1 ? [x2, y2] : map(Math.cos(a2), Math.sin(a2));
+    curves.push([c1x, c1y, c2x, c2y, ex, ey]);
+  }
+
+  return curves;
+}
+
+/**
+ * Map viewBox user units into a width x height box, honoring
+ * preserveAspectRatio (default xMidYMid meet)
+ */
+function getSVGViewBoxTransform(
+  viewBox: string,
+  preserveAspectRatio: string | undefined,
+  width: number,
+  height: number
+): SVGViewBoxTransform {
+  const identity = { scaleX: 1, scaleY: 1, translateX: 0, translateY: 0 };
+  const box = viewBox
+    .split(/[\s,]+/)
+    .filter((value) => value.length > 0)
+    .map((value) => parseFloat(value));
+  if (box.length !== 4 || box.some((value) => isNaN(value))) return identity;
+
+  const [minX, minY, boxWidth, boxHeight] = box;
+  if (boxWidth <= 0 || boxHeight <= 0 || !width || !height) return identity;
+
+  let scaleX = width / boxWidth;
+  let scaleY = height / boxHeight;
+  const aspect = (preserveAspectRatio || "xMidYMid meet").trim().split(/\s+/);
+  let alignX = 0.5;
+  let alignY = 0.5;
+
+  if (aspect[0] !== "none") {
+    const scale = aspect[1] === "slice" ? Math.max(scaleX, scaleY) : Math.min(scaleX, scaleY);
+    scaleX = scaleY = scale;
+    const align = aspect[0] || "xMidYMid";
+    alignX = align.indexOf("xMin") >= 0 ? 0 : align.indexOf("xMax") >= 0 ? 1 : 0.5;
+    alignY = align.indexOf("YMin") >= 0 ? 0 : align.indexOf("YMax") >= 0 ? 1 : 0.5;
+  }
+
+  return {
+    scaleX,
+    scaleY,
+    translateX: -minX * scaleX + (width - boxWidth * scaleX) * alignX,
+    translateY: -minY * scaleY + (height - boxHeight * scaleY) * alignY,
+  };
+}
+
+/**
+ * Read an attribute from the root <svg> tag of serialized markup
+ */
+function getSVGRootAttribute(markup: string, name: string): string | undefined {
+  const rootTag = markup.match(/<svg\b[^>]*>/i);
+  if (!rootTag) return undefined;
+  const match = rootTag[0].match(new RegExp(`\\s${name}=["']([^"']*)["']`, "i"));
+  return match ? match[1] : undefined;
+}
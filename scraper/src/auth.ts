@@ -0,0 +1,217 @@
+/**
+ * AUTHENTICATED CAPTURE - Session injection for pages behind a login
+ *
+ * Credentials are applied to the Playwright context only. They must never
+ * reach the IRDocument or the logs, so anything printed goes through
+ * describeAuth() / redactUrl().
+ */
+
+import type { BrowserContext, BrowserContextOptions } from "playwright";
+
+export interface AuthCookie {
+  name: string;
+  value: string;
+  url?: string;
+  domain?: string;
+  path?: string;
+  expires?: number;
+  httpOnly?: boolean;
+  secure?: boolean;
+  sameSite?: "Strict" | "Lax" | "None";
+}
+
+export interface ExtractionAuth {
+  cookies?: AuthCookie[];
+  headers?: Record<string, string>;
+  basicAuth?: { username: string; password: string };
+  // The state object saved with context.storageState(); a path to that file
+  // only when the auth came from the CLI (see NormalizeAuthOptions)
+  storageState?: Exclude<BrowserContextOptions["storageState"], undefined>;
+}
+
+const SAME_SITE_VALUES = new Set(["Strict", "Lax", "None"]);
+const SENSITIVE_QUERY_PARAM = /token|key|secret|pass|auth|session|sig|code/i;
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+function normalizeCookie(input: unknown, index: number): AuthCookie {
+  if (!isRecord(input) || typeof input.name !== "string" || typeof input.value !== "string") {
+    throw new Error(`auth.cookies[${index}] needs a string name and value`);
+  }
+
+  const cookie: AuthCookie = { name: input.name, value: input.value };
+  if (typeof input.url === "string") cookie.url = input.url;
+  if (typeof input.domain === "string") cookie.domain = input.domain;
+  if (typeof input.path === "string") cookie.path = input.path;
+  if (typeof input.expires === "number") cookie.expires = input.expires;
+  if (typeof input.httpOnly === "boolean") cookie.httpOnly = input.httpOnly;
+  if (typeof input.secure === "boolean") cookie.secure = input.secure;
+  if (typeof input.sameSite === "string" && SAME_SITE_VALUES.has(input.sameSite)) {
+    cookie.sameSite = input.sameSite as AuthCookie["sameSite"];
+  }
+  return cookie;
+}
+
+export interface NormalizeAuthOptions {
+  /**
+   * Accept `storageState` as a file path. Only for auth read from a local
+   * file by the CLI; a path from a request body would let any client load
+   * an arbitrary server file into the browser.
+   */
+  allowStorageStatePath?: boolean;
+}
+
+/**
+ * Validates an `auth` section from a request body. Throws with a message
+ * that is safe to return to the client (it never echoes values).
+ */
+export function normalizeAuth(
+  input: unknown,
+  options: NormalizeAuthOptions = {}
+): ExtractionAuth | undefined {
+  if (input === undefined || input === null) return undefined;
+  if (!isRecord(input)) {
+    throw new Error("auth must be an object");
+  }
+
+  const auth: ExtractionAuth = {};
+
+  if (input.cookies !== undefined) {
+    if (!Array.isArray(input.cookies)) {
+      throw new Error("auth.cookies must be an array");
+    }
+    auth.cookies = input.cookies.map(normalizeCookie);
+  }
+
+  if (input.headers !== undefined) {
+    if (!isRecord(input.headers)) {
+      throw new Error("auth.headers must be an object of header names to values");
+    }
+    auth.headers = {};
+    for (const [name, value] of Object.entries(input.headers)) {
+      if (typeof value !== "string") {
+        throw new Error(`auth.headers["${name}"] must be a string`);
+      }
+      auth.headers[name] = value;
+    }
+  }
+
+  if (input.basicAuth !== undefined) {
+    const basic = input.basicAuth;
+    if (!isRecord(basic) || typeof basic.username !== "string" || typeof basic.password !== "string") {
+      throw new Error("auth.basicAuth needs a string username and password");
+    }
+    auth.basicAuth = { username: basic.username, password: basic.password };
+  }
+
+  if (input.storageState !== undefined) {
+    const state = input.storageState;
+    if (typeof state === "string") {
+      if (!options.allowStorageStatePath) {
+        throw new Error("auth.storageState must be a Playwright storage state object; file paths are only accepted by the CLI");
+      }
+      auth.storageState = state;
+    } else if (isRecord(state) && Array.isArray(state.cookies) && Array.isArray(state.origins)) {
+      auth.storageState = state as unknown as ExtractionAuth["storageState"];
+    } else {
+      throw new Error(
+        options.allowStorageStatePath
+          ? "auth.storageState must be a file path or a Playwright storage state object"
+          : "auth.storageState must be a Playwright storage state object"
+      );
+    }
+  }
+
+  return auth;
+}
+
+/**
+ * Context options that must be set when the browser context is created.
+ * Basic auth is only answered for the captured page's origin.
+ */
+export function authContextOptions(
+  auth: ExtractionAuth | undefined,
+  targetUrl: string
+): Pick<BrowserContextOptions, "httpCredentials" | "storageState"> {
+  if (!auth) return {};
+  return {
+    httpCredentials: auth.basicAuth && { ...auth.basicAuth, origin: new URL(targetUrl).origin },
+    storageState: auth.storageState,
+  };
+}
+
+/**
+ * Adds auth headers to requests for the captured page's origin only, so
+ * tokens never reach the CDNs, analytics or ad servers the page loads.
+ */
+export async function applyAuthHeaders(
+  context: BrowserContext,
+  auth: ExtractionAuth | undefined,
+  targetUrl: string
+): Promise<void> {
+  const headers = auth?.headers;
+  if (!headers || Object.keys(headers).length === 0) return;
+
+  const origin = new URL(targetUrl).origin;
+  await context.route(
+    (url) => url.origin === origin,
+    (route) => route.continue({ headers: { ...route.request().headers(), ...headers } })
+  );
+}
+
+/**
+ * Adds explicit cookies to the context. Cookies without a url or domain are
+ * scoped to the page being captured.
+ */
+export async function applyAuthCookies(
+  context: BrowserContext,
+  auth: ExtractionAuth | undefined,
+  targetUrl: string
+): Promise<void> {
+  if (!auth?.cookies?.length) return;
+
+  const origin = new URL(targetUrl).origin;
+  await context.addCookies(
+    auth.cookies.map((cookie) =>
+      cookie.url || cookie.domain ? cookie : { ...cookie, url: origin }
+    )
+  );
+}
+
+/**
+ * One-line summary of what was applied, without any values.
+ */
+export function describeAuth(auth: ExtractionAuth | undefined): string {
+  if (!auth) return "none";
+
+  const parts: string[] = [];
+  if (auth.cookies?.length) parts.push(`${auth.cookies.length} cookie(s)`);
+  if (auth.headers && Object.keys(auth.headers).length > 0) {
+    parts.push(`headers [${Object.keys(auth.headers).join(", ")}]`);
+  }
+  if (auth.basicAuth) parts.push("basic auth");
+  if (auth.storageState) parts.push("storage state");
+  return parts.length > 0 ? parts.join(", ") : "none";
+}
+
+/**
+ * Strips userinfo and masks credential-looking query params so URLs can be
+ * logged or stored in IR metadata.
+ */
+export function redactUrl(url: string): string {
+  try {
+    const parsed = new URL(url);
+    parsed.username = "";
+    parsed.password = "";
+    for (const key of Array.from(parsed.searchParams.keys())) {
+      if (SENSITIVE_QUERY_PARAM.test(key)) {
+        parsed.searchParams.set(key, "REDACTED");
+      }
+    }
+    return parsed.toString();
+  } catch {
+    return url;
+  }
+}
@@ -0,0 +1,137 @@
+/**
+ * REGION CAPTURE - Limit extraction to one element or part of the page
+ *
+ * `rootSelector` keeps the first matching element and its subtree;
+ * `clipRect` keeps elements that intersect a page region (CSS px, page
+ * coordinates). With both, the root is clipped to the region. The
+ * resolved region travels on IRDocument.capture and the compiler moves
+ * node rects so the region's top-left corner is 0,0.
+ */
+
+import type { Page } from "playwright";
+import type { IRCaptureRegion } from "../../ir.js";
+
+export type CaptureClipRect = NonNullable<IRCaptureRegion["clipRect"]>;
+
+const MAX_SELECTOR_LENGTH = 1000;
+
+/**
+ * Validates a `rootSelector` from a request body.
+ */
+export function normalizeRootSelector(input: unknown): string | undefined {
+  if (input === undefined || input === null || input === "") return undefined;
+  if (typeof input !== "string" || !input.trim()) {
+    throw new Error("rootSelector must be a non-empty string");
+  }
+  if (input.length > MAX_SELECTOR_LENGTH) {
+    throw new Error(`rootSelector must be at most ${MAX_SELECTOR_LENGTH} characters`);
+  }
+  return input.trim();
+}
+
+/**
+ * Validates a `clipRect` from a request body.
+ */
+export function normalizeClipRect(input: unknown): CaptureClipRect | undefined {
+  if (input === undefined || input === null) return undefined;
+  if (typeof input !== "object" || Array.isArray(input)) {
+    throw new Error("clipRect must be an object with x, y, width and height");
+  }
+
+  const rect = input as Record<string, unknown>;
+  const values: number[] = [];
+  for (const field of ["x", "y", "width", "height"]) {
+    const value = rect[field];
+    if (typeof value !== "number" || !isFinite(value)) {
+      throw new Error(`clipRect.${field} must be a number`);
+    }
+    values.push(value);
+  }
+
+  const [x, y, width, height] = values;
+  if (x < 0 || y < 0) {
+    throw new Error("clipRect.x and clipRect.y must not be negative");
+  }
+  if (width <= 0 || height <= 0) {
+    throw new Error("clipRect.width and clipRect.height must be positive");
+  }
+  return { x, y, width, height };
+}
+
+/**
+ * Measures the region on the laid-out page. Returns undefined for a
+ * whole-page capture; throws when the selector matches nothing or the
+ * region is empty.
+ */
+export async function resolveCaptureRegion(
+  page: Page,
+  rootSelector?: string,
+  clipRect?: CaptureClipRect
+): Promise<IRCaptureRegion | undefined> {
+  if (!rootSelector && !clipRect) return undefined;
+
+  const measured = await page.evaluate((selector) => {
+    const root = document.documentElement;
+    const pageSize = { width: root.scrollWidth, height: root.scrollHeight };
+    if (!selector) return { pageSize };
+
+    let element: Element | null;
+    try {
+      element = document.querySelector(selector);
+    } catch {
+      return { pageSize, error: "invalid" };
+    }
+    if (!element) return { pageSize, error: "missing" };
+
+    const rect = element.getBoundingClientRect();
+    return {
+      pageSize,
+      rect: {
+        x: rect.left + window.scrollX,
+        y: rect.top + window.scrollY,
+        width: rect.width,
+        height: rect.height,
+      },
+    };
+  }, rootSelector || null);
+
+  if (measured.error === "invalid") {
+    throw new Error(`rootSelector "${rootSelector}" is not a valid CSS selector`);
+  }
+  if (measured.error === "missing") {
+    throw new Error(`rootSelector "${rootSelector}" matched no element`);
+  }
+
+  let bounds = measured.rect || { x: 0, y: 0, ...measured.pageSize };
+  if (clipRect) {
+    bounds = intersect(bounds, clipRect);
+  }
+
+  const region: IRCaptureRegion = {
+    origin: { x: Math.round(bounds.x), y: Math.round(bounds.y) },
+    width: Math.round(bounds.width),
+    height: Math.round(bounds.height),
+  };
+  if (region.width <= 0 || region.height <= 0) {
+    throw new Error(
+      rootSelector && clipRect
+        ? `rootSelector "${rootSelector}" does not intersect clipRect`
+        : "Capture region is empty"
+    );
+  }
+
+  if (rootSelector) region.rootSelector = rootSelector;
+  if (clipRect) region.clipRect = clipRect;
+  return region;
+}
+
+function intersect(a: CaptureClipRect, b: CaptureClipRect): CaptureClipRect {
+  const x = Math.max(a.x, b.x);
+  const y = Math.max(a.y, b.y);
+  return {
+    x,
+    y,
+    width: Math.min(a.x + a.width, b.x + b.width) - x,
+    height: Math.min(a.y + a.height, b.y + b.height) - y,
+  };
+}
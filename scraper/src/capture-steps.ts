@@ -0,0 +1,208 @@
+/**
+ * PRE-CAPTURE STEPS - Declarative interactions run before Phase 0.5
+ *
+ * Lets a request open modals, expand accordions or fill forms so the state
+ * worth importing is on screen when extraction starts. Steps run in order;
+ * a failing step aborts the capture unless it is marked `optional`.
+ */
+
+import type { Page } from "playwright";
+import { redactUrl } from "./auth.js";
+
+interface StepBase {
+  timeout?: number; // Per-step timeout in ms (default: DEFAULT_STEP_TIMEOUT)
+  optional?: boolean; // Continue the capture if this step fails
+}
+
+export type CaptureStep = StepBase &
+  (
+    | { action: "navigate"; url: string }
+    | { action: "click"; selector: string }
+    | { action: "fill"; selector: string; value: string }
+    | { action: "press"; key: string; selector?: string }
+    | { action: "hover"; selector: string }
+    | { action: "scrollTo"; selector: string }
+    | {
+        action: "waitForSelector";
+        selector: string;
+        state?: "attached" | "detached" | "visible" | "hidden";
+      }
+    | { action: "waitForNetworkIdle" }
+  );
+
+export type CaptureStepAction = CaptureStep["action"];
+
+export interface CaptureStepResult {
+  index: number;
+  total: number;
+  description: string;
+  status: "ok" | "failed";
+  optional: boolean;
+  durationMs: number;
+  error?: string;
+}
+
+export type CaptureStepCallback = (result: CaptureStepResult) => void;
+
+const DEFAULT_STEP_TIMEOUT = 10000;
+const WAIT_STATES = new Set(["attached", "detached", "visible", "hidden"]);
+
+// Fields each action needs as non-empty strings
+const REQUIRED_FIELDS: Record<CaptureStepAction, string[]> = {
+  navigate: ["url"],
+  click: ["selector"],
+  fill: ["selector"],
+  press: ["key"],
+  hover: ["selector"],
+  scrollTo: ["selector"],
+  waitForSelector: ["selector"],
+  waitForNetworkIdle: [],
+};
+
+/**
+ * Validates a `steps` array from a request body.
+ */
+export function normalizeCaptureSteps(input: unknown): CaptureStep[] | undefined {
+  if (input === undefined || input === null) return undefined;
+  if (!Array.isArray(input)) {
+    throw new Error("steps must be an array");
+  }
+
+  return input.map((raw, index) => {
+    if (typeof raw !== "object" || raw === null) {
+      throw new Error(`steps[${index}] must be an object`);
+    }
+    const step = raw as Record<string, unknown>;
+    const action = step.action as CaptureStepAction;
+    if (typeof action !== "string" || !(action in REQUIRED_FIELDS)) {
+      throw new Error(
+        `steps[${index}].action must be one of: ${Object.keys(REQUIRED_FIELDS).join(", ")}`
+      );
+    }
+
+    for (const field of REQUIRED_FIELDS[action]) {
+      if (typeof step[field] !== "string" || step[field] === "") {
+        throw new Error(`steps[${index}] (${action}) needs a "${field}"`);
+      }
+    }
+    if (action === "fill" && typeof step.value !== "string") {
+      throw new Error(`steps[${index}] (fill) needs a string "value"`);
+    }
+    if (step.selector !== undefined && typeof step.selector !== "string") {
+      throw new Error(`steps[${index}].selector must be a string`);
+    }
+    if (action === "waitForSelector" && step.state !== undefined && !WAIT_STATES.has(step.state as string)) {
+      throw new Error(`steps[${index}].state must be one of: ${Array.from(WAIT_STATES).join(", ")}`);
+    }
+    if (step.timeout !== undefined && (typeof step.timeout !== "number" || step.timeout <= 0)) {
+      throw new Error(`steps[${index}].timeout must be a positive number`);
+    }
+
+    return { ...step, optional: step.optional === true } as CaptureStep;
+  });
+}
+
+/**
+ * Human-readable step label. Never includes fill values, which may be
+ * passwords or other credentials.
+ */
+export function describeCaptureStep(step: CaptureStep): string {
+  switch (step.action) {
+    case "navigate":
+      return `navigate to ${redactUrl(step.url)}`;
+    case "fill":
+      return `fill "${step.selector}"`;
+    case "press":
+      return step.selector ? `press ${step.key} in "${step.selector}"` : `press ${step.key}`;
+    case "waitForSelector":
+      return `wait for "${step.selector}"${step.state ? ` (${step.state})` : ""}`;
+    case "waitForNetworkIdle":
+      return "wait for network idle";
+    default:
+      return `${step.action} "${step.selector}"`;
+  }
+}
+
+async function runCaptureStep(page: Page, step: CaptureStep): Promise<void> {
+  const timeout = step.timeout ?? DEFAULT_STEP_TIMEOUT;
+
+  switch (step.action) {
+    case "navigate":
+      await page.goto(step.url, { waitUntil: "load", timeout });
+      break;
+    case "click":
+      await page.click(step.selector, { timeout });
+      break;
+    case "fill":
+      await page.fill(step.selector, step.value, { timeout });
+      break;
+    case "press":
+      if (step.selector) {
+        await page.press(step.selector, step.key, { timeout });
+      } else {
+        await page.keyboard.press(step.key);
+      }
+      break;
+    case "hover":
+      await page.hover(step.selector, { timeout });
+      break;
+    case "scrollTo":
+      await page.locator(step.selector).first().scrollIntoViewIfNeeded({ timeout });
+      break;
+    case "waitForSelector":
+      await page.waitForSelector(step.selector, { state: step.state ?? "visible", timeout });
+      break;
+    case "waitForNetworkIdle":
+      await page.waitForLoadState("networkidle", { timeout });
+      break;
+  }
+}
+
+/**
+ * Runs the steps in order and reports each outcome through `onStep`.
+ * Throws on the first failing step that is not optional.
+ */
+export async function runCaptureSteps(
+  page: Page,
+  steps: CaptureStep[],
+  onStep?: CaptureStepCallback
+): Promise<CaptureStepResult[]> {
+  const results: CaptureStepResult[] = [];
+
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+    const description = describeCaptureStep(step);
+    const started = Date.now();
+    let error: string | undefined;
+
+    try {
+      await runCaptureStep(page, step);
+    } catch (stepError: any) {
+      error = stepError?.message?.split("\n")[0] || String(stepError);
+    }
+
+    const result: CaptureStepResult = {
+      index,
+      total: steps.length,
+      description,
+      status: error ? "failed" : "ok",
+      optional: step.optional === true,
+      durationMs: Date.now() - started,
+      error,
+    };
+    results.push(result);
+
+    if (error) {
+      console.warn(`[Steps] ❌ ${index + 1}/${steps.length} ${description}: ${error}`);
+    } else {
+      console.log(`[Steps] ✅ ${index + 1}/${steps.length} ${description} (${result.durationMs}ms)`);
+    }
+    onStep?.(result);
+
+    if (error && !result.optional) {
+      throw new Error(`Capture step ${index + 1} (${description}) failed: ${error}`);
+    }
+  }
+
+  return results;
+}
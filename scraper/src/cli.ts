@@ -0,0 +1,356 @@
+#!/usr/bin/env node
+/**
+ * WEB-TO-FIGMA CLI - Headless capture for batch and CI use
+ *
+ * Runs the same pipeline as /scrape and writes to an output directory:
+ *   document.json   IRDocument (or IRResponsiveDocument) with binary payloads
+ *                   moved to files next to it
+ *   screenshots/    Node screenshots and raster fallbacks (PNG)
+ *   assets/         Image and SVG assets
+ *   bundle.json     Self-contained IRBundle for the plugin's "Import from file"
+ *   tokens/         Token export, when --tokens is given
+ */
+
+import { mkdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+import fetch from "node-fetch";
+import {
+  extractComplete,
+  extractResponsive,
+  normalizeBreakpoints,
+  normalizeRasterizeText,
+  DEFAULT_BREAKPOINTS,
+  EXTRACTION_MODE_PRESETS,
+  type ExtractionMode,
+  type ExtractionOptions,
+} from "./scraper.js";
+import { normalizeAuth, redactUrl } from "./auth.js";
+import { normalizeCaptureSteps } from "./capture-steps.js";
+import { normalizeClipRect, normalizeRootSelector } from "./capture-region.js";
+import { exportTokens, isTokenExportFormat, TOKEN_EXPORT_FORMATS, type TokenExportFormat } from "./token-export.js";
+import { IR_BUNDLE_FORMAT } from "../../ir.js";
+import type { IRBundle, IRDocument, IRResponsiveDocument } from "../../ir.js";
+
+const USAGE = `Usage: web-to-figma <url> [options]
+
+Output
+  -o, --out <dir>               Output directory (default: web-to-figma-output)
+  --tokens <format>             Also export tokens: ${TOKEN_EXPORT_FORMATS.join(", ")}
+  --no-bundle                   Skip bundle.json
+
+Capture
+  --mode <basic|hybrid|maximum> Preset the flags below start from (default: hybrid)
+  --viewport <WxH>              e.g. 1280x800
+  --breakpoints <list>          "default" or e.g. "Desktop=1440x900,Mobile=375"
+  --[no-]fonts                  captureFonts
+  --[no-]screenshots            captureScreenshots
+  --[no-]screenshot-complex-only
+  --[no-]states                 captureStates
+  --[no-]pseudo-elements        capturePseudoElements
+  --[no-]svg                    extractSVG
+  --[no-]phase0-screenshots     capturePhase0Screenshots
+  --[no-]color-schemes          captureColorSchemes
+  --auth <file.json>            ExtractionAuth (cookies, headers, basicAuth, storageState)
+  --steps <file.json>           Array of pre-capture steps
+  --root <selector>             Capture only this element and its subtree
+  --clip <x,y,w,h>              Capture only this page region (CSS px)
+  --rasterize-text <reasons>    Text imported as bitmaps, e.g. "gradient-text,text-stroke"
+                                or "none" (default: explicit-opt-in)`;
+
+const BOOLEAN_FLAGS: Record<string, keyof ExtractionOptions> = {
+  fonts: "captureFonts",
+  screenshots: "captureScreenshots",
+  "screenshot-complex-only": "screenshotComplexOnly",
+  states: "captureStates",
+  "pseudo-elements": "capturePseudoElements",
+  svg: "extractSVG",
+  "phase0-screenshots": "capturePhase0Screenshots",
+  "color-schemes": "captureColorSchemes",
+};
+
+const IMAGE_FETCH_TIMEOUT = 10000;
+
+interface CliArgs {
+  url: string;
+  outDir: string;
+  mode: ExtractionMode;
+  options: ExtractionOptions;
+  responsive: boolean;
+  tokens?: TokenExportFormat;
+  bundle: boolean;
+}
+
+async function readJsonFile(file: string, flag: string): Promise<unknown> {
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch (error: any) {
+    throw new Error(`${flag}: could not read ${file} (${error.message})`);
+  }
+}
+
+function parseViewport(value: string): { width: number; height: number } {
+  const match = value.match(/^(\d+)x(\d+)$/);
+  if (!match) throw new Error(`--viewport must look like 1280x800, got "${value}"`);
+  return { width: Number(match[1]), height: Number(match[2]) };
+}
+
+// "Desktop=1440x900,Mobile=375" -> [{ name, width, height }]
+function parseBreakpoints(value: string) {
+  if (value === "default") return DEFAULT_BREAKPOINTS;
+  return normalizeBreakpoints(
+    value.split(",").map((entry) => {
+      const [name, size] = entry.includes("=") ? entry.split("=") : [undefined, entry];
+      const [width, height] = size.split("x").map(Number);
+      return { name, width, height };
+    })
+  );
+}
+
+// "0,120,800,600" -> { x, y, width, height }
+function parseClipRect(value: string) {
+  const parts = value.split(",").map(Number);
+  if (parts.length !== 4) throw new Error(`--clip must look like 0,120,800,600, got "${value}"`);
+  const [x, y, width, height] = parts;
+  return normalizeClipRect({ x, y, width, height });
+}
+
+async function parseArgs(argv: string[]): Promise<CliArgs> {
+  let url: string | undefined;
+  let outDir = "web-to-figma-output";
+  let mode: ExtractionMode = "hybrid";
+  let tokens: TokenExportFormat | undefined;
+  let bundle = true;
+  const overrides: ExtractionOptions = {};
+
+  const valueOf = (index: number, flag: string) => {
+    const value = argv[index];
+    if (value === undefined || value.startsWith("--")) {
+      throw new Error(`${flag} needs a value`);
+    }
+    return value;
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const toggle = arg.match(/^--(no-)?(.+)$/);
+
+    if (arg === "-h" || arg === "--help") {
+      console.log(USAGE);
+      process.exit(0);
+    } else if (arg === "-o" || arg === "--out") {
+      outDir = valueOf(++i, arg);
+    } else if (arg === "--mode") {
+      const value = valueOf(++i, arg);
+      if (!(value in EXTRACTION_MODE_PRESETS)) {
+        throw new Error(`--mode must be one of: ${Object.keys(EXTRACTION_MODE_PRESETS).join(", ")}`);
+      }
+      mode = value as ExtractionMode;
+    } else if (arg === "--viewport") {
+      overrides.viewport = parseViewport(valueOf(++i, arg));
+    } else if (arg === "--breakpoints") {
+      overrides.breakpoints = parseBreakpoints(valueOf(++i, arg));
+    } else if (arg === "--auth") {
+      overrides.auth = normalizeAuth(await readJsonFile(valueOf(++i, arg), arg), {
+        allowStorageStatePath: true,
+      });
+    } else if (arg === "--steps") {
+      overrides.steps = normalizeCaptureSteps(await readJsonFile(valueOf(++i, arg), arg));
+    } else if (arg === "--root") {
+      overrides.rootSelector = normalizeRootSelector(valueOf(++i, arg));
+    } else if (arg === "--clip") {
+      overrides.clipRect = parseClipRect(valueOf(++i, arg));
+    } else if (arg === "--rasterize-text") {
+      const value = valueOf(++i, arg);
+      overrides.rasterizeText = normalizeRasterizeText(
+        value === "none" ? [] : value.split(",").map((reason) => reason.trim())
+      );
+    } else if (arg === "--tokens") {
+      const value = valueOf(++i, arg);
+      if (!isTokenExportFormat(value)) {
+        throw new Error(`--tokens must be one of: ${TOKEN_EXPORT_FORMATS.join(", ")}`);
+      }
+      tokens = value;
+    } else if (arg === "--no-bundle") {
+      bundle = false;
+    } else if (toggle && toggle[2] in BOOLEAN_FLAGS) {
+      (overrides as any)[BOOLEAN_FLAGS[toggle[2]]] = !toggle[1];
+    } else if (arg.startsWith("-")) {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (!url) {
+      url = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (!url || !/^https?:\/\//i.test(url)) {
+    throw new Error("A URL starting with http:// or https:// is required");
+  }
+
+  return {
+    url,
+    outDir,
+    mode,
+    options: { ...EXTRACTION_MODE_PRESETS[mode], ...overrides },
+    responsive: overrides.breakpoints !== undefined,
+    tokens,
+    bundle,
+  };
+}
+
+function safeFileName(id: string): string {
+  return id.replace(/[^\w.-]+/g, "_");
+}
+
+function dataUrlToBuffer(dataUrl: string): Buffer {
+  return Buffer.from(dataUrl.replace(/^data:[^,]*;base64,/, ""), "base64");
+}
+
+async function writeOutput(outDir: string, relativePath: string, contents: string | Buffer): Promise<void> {
+  const target = path.join(outDir, relativePath);
+  await mkdir(path.dirname(target), { recursive: true });
+  await writeFile(target, contents);
+}
+
+/**
+ * Returns a copy of the document whose screenshots and inlined image
+ * assets point at files written under `prefix`.
+ */
+async function externalizeDocument(
+  document: IRDocument,
+  outDir: string,
+  prefix: string
+): Promise<IRDocument> {
+  const copy: IRDocument = structuredClone(document);
+
+  for (const node of copy.nodes) {
+    const name = safeFileName(node.id);
+    if (node.screenshot?.src?.startsWith("data:")) {
+      const file = `${prefix}screenshots/${name}.png`;
+      await writeOutput(outDir, file, dataUrlToBuffer(node.screenshot.src));
+      node.screenshot.src = file;
+    }
+    const raster = node.rasterFallback?.image;
+    if (typeof raster?.src === "string" && raster.src.startsWith("data:")) {
+      const file = `${prefix}screenshots/${name}-raster.png`;
+      await writeOutput(outDir, file, dataUrlToBuffer(raster.src));
+      raster.src = file;
+    }
+  }
+
+  for (const asset of copy.assets.images) {
+    if (!asset.data) continue;
+    const extension = asset.format || asset.mimeType.split("/")[1]?.replace("svg+xml", "svg") || "bin";
+    const file = `${prefix}assets/images/${safeFileName(asset.id)}.${extension}`;
+    await writeOutput(outDir, file, dataUrlToBuffer(asset.data));
+    delete asset.data;
+    asset.file = file;
+  }
+
+  for (const asset of copy.assets.svgs) {
+    await writeOutput(outDir, `${prefix}assets/svgs/${safeFileName(asset.id)}.svg`, asset.svg);
+  }
+
+  return copy;
+}
+
+/**
+ * Downloads every remote image the plugin would otherwise fetch through
+ * the server's /proxy-image: <img> sources and CSS background images.
+ */
+async function collectBundleImages(documents: IRDocument[]): Promise<Record<string, string>> {
+  const urls = new Set<string>();
+  for (const document of documents) {
+    for (const node of document.nodes) {
+      if (node.image?.url && !node.image.data && /^https?:/.test(node.image.url)) {
+        urls.add(node.image.url);
+      }
+      for (const match of String(node.styles?.backgroundImage || "").matchAll(/url\(['"]?([^'"()]+)['"]?\)/g)) {
+        if (/^https?:/.test(match[1])) urls.add(match[1]);
+      }
+    }
+  }
+
+  const images: Record<string, string> = {};
+  for (const url of urls) {
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), IMAGE_FETCH_TIMEOUT);
+    try {
+      const response = await fetch(url, { signal: controller.signal as any });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      const contentType = response.headers.get("content-type") || "application/octet-stream";
+      const buffer = Buffer.from(await response.arrayBuffer());
+      images[url] = `data:${contentType};base64,${buffer.toString("base64")}`;
+    } catch (error: any) {
+      console.warn(`⚠ Image not bundled: ${redactUrl(url)} (${error.message})`);
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+  return images;
+}
+
+async function main() {
+  const args = await parseArgs(process.argv.slice(2));
+  console.log(`Capturing ${redactUrl(args.url)} (${args.mode}${args.responsive ? ", responsive" : ""})...`);
+
+  let captured: IRDocument | IRResponsiveDocument;
+  let documents: IRDocument[];
+  if (args.responsive) {
+    const responsive = await extractResponsive(args.url, args.options);
+    captured = responsive;
+    documents = responsive.breakpoints.map((breakpoint) => breakpoint.document);
+  } else {
+    const document = await extractComplete(args.url, args.options);
+    captured = document;
+    documents = [document];
+  }
+
+  let written: IRDocument | IRResponsiveDocument;
+  if ("breakpoints" in captured) {
+    const breakpoints = [];
+    for (const breakpoint of captured.breakpoints) {
+      const prefix = `${safeFileName(breakpoint.name)}/`;
+      breakpoints.push({
+        ...breakpoint,
+        document: await externalizeDocument(breakpoint.document, args.outDir, prefix),
+      });
+    }
+    written = { ...captured, breakpoints };
+  } else {
+    written = await externalizeDocument(captured, args.outDir, "");
+  }
+  await writeOutput(args.outDir, "document.json", JSON.stringify(written, null, 2));
+  console.log(`✓ ${path.join(args.outDir, "document.json")}`);
+
+  if (args.bundle) {
+    const bundle: IRBundle = {
+      format: IR_BUNDLE_FORMAT,
+      version: 1,
+      createdAt: new Date().toISOString(),
+      document: captured,
+      images: await collectBundleImages(documents),
+    };
+    await writeOutput(args.outDir, "bundle.json", JSON.stringify(bundle));
+    console.log(`✓ ${path.join(args.outDir, "bundle.json")} (${Object.keys(bundle.images).length} images inlined)`);
+  }
+
+  if (args.tokens) {
+    const result = exportTokens(documents[0].tokens, args.tokens);
+    for (const [relativePath, contents] of Object.entries(result.files)) {
+      await writeOutput(args.outDir, path.join("tokens", relativePath), contents);
+    }
+    console.log(`✓ ${result.tokenCount} tokens exported as ${result.format}`);
+  }
+
+  const nodeCount = documents.reduce((sum, document) => sum + document.nodes.length, 0);
+  console.log(`Done: ${nodeCount} nodes written to ${args.outDir}`);
+}
+
+main().catch((error) => {
+  console.error(`❌ ${error.message}`);
+  if (/required|needs a value|must|Unknown option|Unexpected argument/.test(error.message)) {
+    console.error(USAGE);
+  }
+  process.exit(1);
+});
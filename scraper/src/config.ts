@@ -6,6 +6,8 @@ export const CONFIG = {
   IMAGE_TIMEOUT_MS: parseInt(process.env.IMAGE_TIMEOUT_MS || '15000', 10),
   IMAGE_ASSEMBLY_TIMEOUT_MS: parseInt(process.env.IMAGE_ASSEMBLY_TIMEOUT_MS || '30000', 10),
   MAX_CONCURRENT_IMAGES: parseInt(process.env.MAX_CONCURRENT_IMAGES || '5', 10),
+  STREAM_WINDOW_SIZE: parseInt(process.env.STREAM_WINDOW_SIZE || '32', 10),
+  STREAM_RESUME_TIMEOUT_MS: parseInt(process.env.STREAM_RESUME_TIMEOUT_MS || '60000', 10),
   
   // Rendering Stability Layer Configuration
   FREEZE_LAYER_ENABLED: process.env.FREEZE_LAYER_ENABLED !== 'false', // Default: enabled
@@ -0,0 +1,246 @@
+/**
+ * IMPORT FIDELITY DIFF
+ *
+ * Compares a PNG export of the imported Figma frame with the Phase 0.5
+ * page screenshot of the same capture. Captures are kept in memory by
+ * capture id (IRDocument.meta.captureId) for the last few extractions,
+ * so the plugin can ask for a diff right after an import.
+ *
+ * Both images are compared at CSS pixel scale. A pixel differs when any
+ * channel is off by more than PIXEL_THRESHOLD; node scores are the share
+ * of differing pixels inside the node's rect.
+ */
+
+import sharp from 'sharp';
+import type { IRNode } from '../../ir.js';
+import type { PrimaryScreenshot } from './scraper.js';
+
+const MAX_STORED_CAPTURES = 5;
+const PIXEL_THRESHOLD = 0.1; // 0-1, per channel
+const MAX_DIFF_HEIGHT = 16384; // Full-page screenshots beyond this are cropped
+const MIN_OFFENDER_AREA = 64; // px², smaller nodes are too noisy to rank
+const WORST_OFFENDER_COUNT = 10;
+const FALLBACK_DIFF = 0.25; // Nodes above this are flagged for raster fallback
+
+interface StoredNode {
+  id: string;
+  name: string;
+  rect: { x: number; y: number; width: number; height: number };
+}
+
+interface StoredCapture {
+  screenshot: PrimaryScreenshot;
+  nodes: StoredNode[];
+}
+
+export interface FidelityNodeScore {
+  id: string;
+  name: string;
+  pixelDiff: number; // 0-1
+}
+
+export interface FidelityReport {
+  captureId: string;
+  score: number; // 0-1, share of matching pixels
+  width: number;
+  height: number;
+  heatmap: string; // PNG data URL
+  nodes: Record<string, NonNullable<IRNode['validation']>>;
+  worst: FidelityNodeScore[];
+}
+
+const captures = new Map<string, StoredCapture>();
+
+/**
+ * Keep a capture's page screenshot and node rects for a later diff.
+ * Oldest captures are dropped first.
+ */
+export function rememberCapture(captureId: string, screenshot: PrimaryScreenshot, nodes: IRNode[]): void {
+  if (!screenshot?.src) return;
+
+  captures.delete(captureId);
+  captures.set(captureId, {
+    screenshot,
+    nodes: nodes
+      .filter((node) => node.rect && node.rect.width > 0 && node.rect.height > 0)
+      .map((node) => ({ id: node.id, name: node.name || node.tag, rect: { ...node.rect } })),
+  });
+
+  while (captures.size > MAX_STORED_CAPTURES) {
+    const oldest = captures.keys().next().value as string;
+    captures.delete(oldest);
+  }
+}
+
+export function hasCapture(captureId: string): boolean {
+  return captures.has(captureId);
+}
+
+/**
+ * Diff a rendered import against its capture. `origin` is the page
+ * position of the render's top-left corner (a stream import exports the
+ * root node, which need not start at 0,0).
+ */
+export async function diffImport(
+  captureId: string,
+  render: Buffer,
+  origin: { x: number; y: number } = { x: 0, y: 0 }
+): Promise<FidelityReport> {
+  const capture = captures.get(captureId);
+  if (!capture) {
+    throw new Error(`Capture ${captureId} is no longer available; re-import to check fidelity`);
+  }
+
+  const { screenshot } = capture;
+  const pageBuffer = Buffer.from(screenshot.src.slice(screenshot.src.indexOf('base64,') + 7), 'base64');
+  const pageMeta = await sharp(pageBuffer).metadata();
+  const dpr = screenshot.dpr || 1;
+  const width = Math.round((pageMeta.width || 0) / dpr);
+  const height = Math.min(MAX_DIFF_HEIGHT, Math.round((pageMeta.height || 0) / dpr));
+  if (width <= 0 || height <= 0) {
+    throw new Error('Capture has an empty page screenshot');
+  }
+
+  const reference = await sharp(pageBuffer)
+    .resize(Math.round((pageMeta.width || 0) / dpr), Math.round((pageMeta.height || 0) / dpr), { fit: 'fill' })
+    .extract({ left: 0, top: 0, width, height })
+    .flatten({ background: '#ffffff' })
+    .removeAlpha()
+    .raw()
+    .toBuffer();
+
+  const rendered = await placeRender(render, origin, width, height);
+  const diff = new Uint8Array(width * height);
+  // Summed-area table of differing pixels for O(1) per-node counts
+  const integral = new Uint32Array((width + 1) * (height + 1));
+  let differing = 0;
+
+  for (let y = 0; y < height; y++) {
+    let rowSum = 0;
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 3;
+      const delta = Math.max(
+        Math.abs(reference[i] - rendered[i]),
+        Math.abs(reference[i + 1] - rendered[i + 1]),
+        Math.abs(reference[i + 2] - rendered[i + 2])
+      );
+      diff[y * width + x] = delta;
+      if (delta > PIXEL_THRESHOLD * 255) {
+        rowSum += 1;
+        differing += 1;
+      }
+      integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+    }
+  }
+
+  const countIn = (x0: number, y0: number, x1: number, y1: number) =>
+    integral[y1 * (width + 1) + x1] -
+    integral[y0 * (width + 1) + x1] -
+    integral[y1 * (width + 1) + x0] +
+    integral[y0 * (width + 1) + x0];
+
+  const nodes: FidelityReport['nodes'] = {};
+  const scored: Array<FidelityNodeScore & { area: number }> = [];
+  for (const node of capture.nodes) {
+    const x0 = clamp(Math.round(node.rect.x), 0, width);
+    const y0 = clamp(Math.round(node.rect.y), 0, height);
+    const x1 = clamp(Math.round(node.rect.x + node.rect.width), 0, width);
+    const y1 = clamp(Math.round(node.rect.y + node.rect.height), 0, height);
+    const area = (x1 - x0) * (y1 - y0);
+    if (area <= 0) continue;
+
+    const pixelDiff = round(countIn(x0, y0, x1, y1) / area);
+    nodes[node.id] = {
+      confidence: round(1 - pixelDiff),
+      pixelDiff,
+      useFallback: pixelDiff > FALLBACK_DIFF,
+      ...(pixelDiff > FALLBACK_DIFF ? { failureReason: 'pixel diff' } : {}),
+    };
+    scored.push({ id: node.id, name: node.name, pixelDiff, area });
+  }
+
+  const worst = scored
+    .filter((node) => node.area >= MIN_OFFENDER_AREA && node.pixelDiff > 0)
+    .sort((a, b) => b.pixelDiff - a.pixelDiff || b.area - a.area)
+    .slice(0, WORST_OFFENDER_COUNT)
+    .map(({ id, name, pixelDiff }) => ({ id, name, pixelDiff }));
+
+  return {
+    captureId,
+    score: round(1 - differing / (width * height)),
+    width,
+    height,
+    heatmap: await renderHeatmap(reference, diff, width, height),
+    nodes,
+    worst,
+  };
+}
+
+/**
+ * The render on a white page-sized canvas, at `origin`, as raw RGB
+ */
+async function placeRender(
+  render: Buffer,
+  origin: { x: number; y: number },
+  width: number,
+  height: number
+): Promise<Buffer> {
+  const meta = await sharp(render).metadata();
+  const left = Math.max(0, Math.round(origin.x));
+  const top = Math.max(0, Math.round(origin.y));
+  const cropX = left - Math.round(origin.x);
+  const cropY = top - Math.round(origin.y);
+  const cropWidth = Math.min((meta.width || 0) - cropX, width - left);
+  const cropHeight = Math.min((meta.height || 0) - cropY, height - top);
+
+  const canvas = sharp({
+    create: { width, height, channels: 3, background: { r: 255, g: 255, b: 255 } },
+  });
+  if (cropWidth <= 0 || cropHeight <= 0) {
+    return canvas.raw().toBuffer();
+  }
+
+  const visible = await sharp(render)
+    .extract({ left: cropX, top: cropY, width: cropWidth, height: cropHeight })
+    .png()
+    .toBuffer();
+  return canvas
+    .composite([{ input: visible, left, top }])
+    .flatten({ background: '#ffffff' })
+    .removeAlpha()
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * Faded grayscale page with differing pixels in red, stronger for larger
+ * differences
+ */
+async function renderHeatmap(
+  reference: Buffer,
+  diff: Uint8Array,
+  width: number,
+  height: number
+): Promise<string> {
+  const output = Buffer.alloc(width * height * 3);
+  for (let p = 0; p < width * height; p++) {
+    const i = p * 3;
+    const gray = 0.299 * reference[i] + 0.587 * reference[i + 1] + 0.114 * reference[i + 2];
+    const base = 165 + gray * 0.35;
+    const strength = diff[p] > PIXEL_THRESHOLD * 255 ? Math.max(0.35, diff[p] / 255) : 0;
+    output[i] = Math.round(base + (255 - base) * strength);
+    output[i + 1] = Math.round(base * (1 - strength));
+    output[i + 2] = Math.round(base * (1 - strength));
+  }
+
+  const png = await sharp(output, { raw: { width, height, channels: 3 } }).png().toBuffer();
+  return `data:image/png;base64,${png.toString('base64')}`;
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(max, Math.max(min, value));
+}
+
+function round(value: number): number {
+  return Math.round(value * 1000) / 1000;
+}
@@ -8,8 +8,10 @@
  * - Correct pseudo-element paint order
  * - Style normalization
  * - Clean IR output (stripped internal fields)
+ * - Auto layout inference for block / float / inline-block containers
  */
 
+import { createHash } from "crypto";
 import type { IRDocument, IRNode } from "../../ir.js";
 
 // Internal compilation context
@@ -19,6 +21,7 @@ interface CompilationContext {
   worldTransforms: Map<string, number[]>;
   pseudoNodes: IRNode[];
   processedNodes: Set<string>;
+  origin: { x: number; y: number }; // Page point that becomes 0,0 (region captures)
 }
 
 interface StackingContext {
@@ -42,7 +45,8 @@ export function compileIR(document: IRDocument): IRDocument {
     paintOrder: [],
     worldTransforms: new Map(),
     pseudoNodes: [],
-    processedNodes: new Set()
+    processedNodes: new Set(),
+    origin: document.capture?.origin || { x: 0, y: 0 }
   };
 
   // Step 1: Analyze and build stacking contexts
@@ -72,6 +76,16 @@ export function compileIR(document: IRDocument): IRDocument {
   // Step 7: Strip internal fields for clean IR
   console.log("[IR Compiler] Step 7: Cleaning IR output...");
   const cleanNodes = stripInternalFields(styleNormalizedNodes);
+
+  // Step 8: Mark repeated subtrees as components and instances
+  console.log("[IR Compiler] Step 8: Detecting repeated components...");
+  const componentStats = detectRepeatedComponents(cleanNodes);
+  console.log(`[IR Compiler] Found ${componentStats.components} components with ${componentStats.instances} instances`);
+
+  // Step 9: Infer auto layout stacks for containers that aren't flex/grid
+  console.log("[IR Compiler] Step 9: Inferring auto layout stacks...");
+  const inferredStacks = inferAutoLayoutStacks(cleanNodes);
+  console.log(`[IR Compiler] Inferred ${inferredStacks} auto layout stacks`);
   
   // Build compiled document with compiler metadata in phases
   const compilerInfo = `compiler-v1.0.0-${Date.now() - startTime}ms`;
@@ -274,21 +288,33 @@ function flattenDOMTree(nodes: IRNode[], context: CompilationContext): IRNode[]
 
 /**
  * Step 3: Normalize Coordinates
+ *
+ * Region captures (IRDocument.capture) are moved so the region's top-left
+ * corner is the origin.
  */
 function normalizeCoordinates(nodes: IRNode[], context: CompilationContext): IRNode[] {
   // Build world transform map
   buildWorldTransforms(nodes, context);
+  const { origin } = context;
   
   return nodes.map(node => {
     const normalizedNode = { ...node };
+
+    if ((origin.x !== 0 || origin.y !== 0) && normalizedNode.rect) {
+      normalizedNode.rect = {
+        ...normalizedNode.rect,
+        x: normalizedNode.rect.x - origin.x,
+        y: normalizedNode.rect.y - origin.y,
+      };
+    }
     
     // Apply world transform to coordinates
     if ((normalizedNode.layout as any)?.viewport) {
       const transform = context.worldTransforms.get(node.id) || [1, 0, 0, 0, 1, 0];
       const viewport = (normalizedNode.layout as any).viewport;
       const worldCoords = applyTransform(
-        viewport.x,
-        viewport.y,
+        viewport.x - origin.x,
+        viewport.y - origin.y,
         transform
       );
       
@@ -385,7 +411,7 @@ function applyLayoutResolution(nodes: IRNode[], context: CompilationContext): IR
     
     // Resolve grid layout
     if (resolvedNode.styles?.display?.includes('grid')) {
-      resolvedNode.layout = resolveGridLayout(resolvedNode, nodes);
+      resolvedNode.layout = resolveGridLayout(resolvedNode);
     }
     
     // Apply box model corrections
@@ -456,74 +482,52 @@ function resolveFlexLayout(node: IRNode, allNodes: IRNode[]): any {
 }
 
 /**
- * Resolve grid layout into final rect values
+ * Resolve grid layout tracks
+ *
+ * Child rects already hold the browser's placement, so they are left
+ * alone. Documents captured without track data get it from the computed
+ * templates, which list every track in px; without per-item placement
+ * those grids are never treated as expressible.
  */
-function resolveGridLayout(node: IRNode, allNodes: IRNode[]): any {
+function resolveGridLayout(node: IRNode): any {
   const layout = { ...node.layout };
-  
-  // Check for legacy viewport or rect format
-  const hasViewport = (layout as any)?.viewport;
-  const hasRect = node.rect;
-  
-  if (!hasViewport && !hasRect) {
+
+  if (!layout.grid || layout.grid.tracks || !node.styles) {
     return layout;
   }
-  
-  if (!node.styles) {
+
+  const columns = parsePixelTrackList(node.styles.gridTemplateColumns);
+  const rows = parsePixelTrackList(node.styles.gridTemplateRows);
+  if (columns.length === 0 || rows.length === 0) {
     return layout;
   }
-  
-  // Extract grid properties
-  const gridTemplateColumns = node.styles.gridTemplateColumns;
-  const gridTemplateRows = node.styles.gridTemplateRows;
-  const gap = parseFloat(node.styles.gap || '0');
-  
-  // Find grid children
-  const children = allNodes.filter(n => n.parent === node.id);
-  
-  // Calculate grid item positions (simplified)
-  if (children.length > 0 && gridTemplateColumns) {
-    const columns = parseGridTemplate(gridTemplateColumns);
-    const rows = parseGridTemplate(gridTemplateRows || 'auto');
-    
-    children.forEach((child, index) => {
-      const childViewport = (child.layout as any)?.viewport;
-      const childRect = child.rect;
-      
-      if (childViewport && hasViewport) {
-        const parentViewport = (layout as any).viewport;
-        const col = index % columns.length;
-        const row = Math.floor(index / columns.length);
-        
-        childViewport.x = parentViewport.x + (col * (parentViewport.width / columns.length));
-        childViewport.y = parentViewport.y + (row * (parentViewport.height / Math.max(1, rows.length)));
-      } else if (childRect && hasRect) {
-        const col = index % columns.length;
-        const row = Math.floor(index / columns.length);
-        
-        childRect.x = node.rect!.x + (col * (node.rect!.width / columns.length));
-        childRect.y = node.rect!.y + (row * (node.rect!.height / Math.max(1, rows.length)));
-      }
-    });
-  }
-  
+
+  layout.grid = {
+    ...layout.grid,
+    tracks: {
+      columns,
+      rows,
+      columnsFlexible: false,
+      rowsFlexible: false,
+      expressible: false,
+      unsupported: ['missing item placement'],
+    },
+  };
   return layout;
 }
 
 /**
- * Parse grid template (simplified)
+ * Parse a computed grid-template list ("120px [name] 80px") into px sizes
  */
-function parseGridTemplate(template: string): number[] {
-  if (!template || template === 'none') return [1];
-  
-  // Simple fraction parsing
-  const parts = template.split(' ');
-  return parts.map((part, index) => {
-    if (part.includes('fr')) {
-      return parseFloat(part);
-    }
-    return 1;
-  });
+function parsePixelTrackList(template: string | undefined): number[] {
+  if (!template || template === 'none') return [];
+
+  return template
+    .replace(/\[[^\]]*\]/g, ' ')
+    .trim()
+    .split(/\s+/)
+    .filter(part => part.endsWith('px'))
+    .map(part => parseFloat(part));
 }
 
 /**
@@ -743,4 +747,297 @@ function stripInternalFields(nodes: IRNode[]): IRNode[] {
     
     return cleanNode;
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Step 8: Detect Repeated Components
+ *
+ * Fingerprints every subtree by tag structure, class list and a style
+ * signature (text content and image sources are left out, they become
+ * instance overrides). Identical fingerprints become one main component
+ * (the first occurrence) plus instances via IRFigmaHints.component.
+ */
+const COMPONENT_STYLE_KEYS = [
+  'display',
+  'flexDirection',
+  'backgroundColor',
+  'backgroundImage',
+  'borderRadius',
+  'borderWidth',
+  'borderColor',
+  'boxShadow',
+  'color',
+  'fontFamily',
+  'fontSize',
+  'fontWeight',
+];
+
+// Classes that mark one occurrence as different (current nav link, open item)
+const STATE_CLASS_PATTERN = /^(is-|has-)?(active|current|selected|open|closed|expanded|collapsed)$/;
+
+const MIN_COMPONENT_NODES = 3; // Smaller subtrees need MIN_SMALL_REPEATS
+const MIN_SMALL_REPEATS = 3;
+const COMPONENT_LEAF_TAGS = new Set(['a', 'button', 'li']);
+
+function detectRepeatedComponents(nodes: IRNode[]): { components: number; instances: number } {
+  const nodeMap = new Map(nodes.map(node => [node.id, node]));
+  const order = new Map(nodes.map((node, index) => [node.id, index]));
+  const fingerprints = new Map<string, string>();
+  const subtreeSizes = new Map<string, number>();
+  const statefulSubtrees = new Set<string>();
+
+  const fingerprint = (node: IRNode): string => {
+    const cached = fingerprints.get(node.id);
+    if (cached !== undefined) return cached;
+
+    const classes = (node.classList || [])
+      .filter(cls => !STATE_CLASS_PATTERN.test(cls))
+      .sort()
+      .join('.');
+    const styles = node.styles || {};
+    const styleSignature = COMPONENT_STYLE_KEYS.map(key => styles[key] ?? '').join(';');
+
+    let size = 1;
+    let stateful = !!node.states;
+    const childPrints: string[] = [];
+    for (const childId of node.children || []) {
+      const child = nodeMap.get(childId);
+      if (!child) continue;
+      childPrints.push(fingerprint(child));
+      size += subtreeSizes.get(child.id) || 1;
+      stateful = stateful || statefulSubtrees.has(child.id);
+    }
+
+    // Hashed so parent prints stay short on deep trees
+    const print = createHash('sha1')
+      .update(`${node.tag}|${node.type}|${classes}|${styleSignature}[${childPrints.join(',')}]`)
+      .digest('hex');
+    fingerprints.set(node.id, print);
+    subtreeSizes.set(node.id, size);
+    if (stateful) statefulSubtrees.add(node.id);
+    return print;
+  };
+
+  const groups = new Map<string, IRNode[]>();
+  for (const node of nodes) {
+    const print = fingerprint(node);
+    if (!node.parent || node.pseudo || (node.styles as any)?.position === 'fixed') continue;
+    // State capture turns these into component sets of their own
+    if (statefulSubtrees.has(node.id)) continue;
+
+    const size = subtreeSizes.get(node.id) || 1;
+    if (size < MIN_COMPONENT_NODES && !COMPONENT_LEAF_TAGS.has(node.tag)) continue;
+
+    const group = groups.get(print) || [];
+    group.push(node);
+    groups.set(print, group);
+  }
+
+  // Largest subtrees first so a repeated card wins over the repeated
+  // buttons inside it
+  const candidates = Array.from(groups.values()).sort(
+    (a, b) => (subtreeSizes.get(b[0].id) || 0) - (subtreeSizes.get(a[0].id) || 0)
+  );
+
+  const claimed = new Set<string>();
+  const claimSubtree = (node: IRNode) => {
+    claimed.add(node.id);
+    for (const childId of node.children || []) {
+      const child = nodeMap.get(childId);
+      if (child && !claimed.has(child.id)) claimSubtree(child);
+    }
+  };
+
+  let components = 0;
+  let instances = 0;
+
+  for (const group of candidates) {
+    const members = group
+      .filter(node => !claimed.has(node.id))
+      .sort((a, b) => (order.get(a.id) || 0) - (order.get(b.id) || 0));
+    const size = subtreeSizes.get(group[0].id) || 1;
+    const minRepeats = size < MIN_COMPONENT_NODES ? MIN_SMALL_REPEATS : 2;
+    if (members.length < minRepeats) continue;
+
+    const [master, ...copies] = members;
+    master.figma = {
+      ...(master.figma || {}),
+      nodeType: 'COMPONENT',
+      component: { isComponent: true, isInstance: false },
+    };
+    for (const copy of copies) {
+      copy.figma = {
+        ...(copy.figma || {}),
+        nodeType: 'INSTANCE',
+        component: { isComponent: false, isInstance: true, masterComponentId: master.id },
+      };
+    }
+
+    members.forEach(claimSubtree);
+    components += 1;
+    instances += copies.length;
+  }
+
+  return { components, instances };
+}
+
+/**
+ * Step 9: Infer Auto Layout Stacks
+ *
+ * Block flow, floats and inline-block rows have no flex data, so their
+ * children would be placed absolutely. When the in-flow children of such
+ * a container form a clean vertical stack or a single horizontal row
+ * (no overlaps, paint order following position, shared alignment) the
+ * container gets an IRFigmaHints.autoLayout hint. `confidence` drops with
+ * uneven gaps, ragged alignment and very short stacks; the plugin only
+ * converts hints above its threshold.
+ */
+const INFERENCE_TOLERANCE = 1; // px of rounding noise between rects
+const INFERABLE_TYPES = new Set(['FRAME', 'TEXT', 'IMAGE', 'SVG']);
+
+type InferredAutoLayout = NonNullable<NonNullable<IRNode['figma']>['autoLayout']>;
+
+function inferAutoLayoutStacks(nodes: IRNode[]): number {
+  const nodeMap = new Map(nodes.map(node => [node.id, node]));
+  let inferred = 0;
+
+  for (const node of nodes) {
+    if (node.type !== 'FRAME' || !node.rect) continue;
+    const display = node.styles?.display || '';
+    if (display.includes('flex') || display.includes('grid')) continue;
+    if (node.figma?.autoLayout && node.figma.autoLayout.layoutMode !== 'NONE') continue;
+
+    const children = (node.children || [])
+      .map(id => nodeMap.get(id))
+      .filter((child): child is IRNode => !!child && !child.pseudo);
+    if (children.length < 2) continue;
+
+    // Out-of-flow or transformed children would need absolute placement
+    const blocked = children.some(child => {
+      const styles = child.styles || {};
+      return (
+        !INFERABLE_TYPES.has(child.type) ||
+        styles.position === 'absolute' ||
+        styles.position === 'fixed' ||
+        (styles.transform && styles.transform !== 'none') ||
+        child.rect.width <= 0 ||
+        child.rect.height <= 0
+      );
+    });
+    if (blocked) continue;
+
+    const hint = inferStack(node, children, 'VERTICAL') || inferStack(node, children, 'HORIZONTAL');
+    if (!hint) continue;
+
+    node.figma = {
+      ...(node.figma || { nodeType: 'FRAME' }),
+      autoLayout: hint,
+    };
+    inferred += 1;
+  }
+
+  return inferred;
+}
+
+function inferStack(
+  container: IRNode,
+  children: IRNode[],
+  layoutMode: 'HORIZONTAL' | 'VERTICAL'
+): InferredAutoLayout | null {
+  const vertical = layoutMode === 'VERTICAL';
+  const start = (rect: IRNode['rect']) => (vertical ? rect.y : rect.x);
+  const end = (rect: IRNode['rect']) => (vertical ? rect.y + rect.height : rect.x + rect.width);
+  const crossStart = (rect: IRNode['rect']) => (vertical ? rect.x : rect.y);
+  const crossEnd = (rect: IRNode['rect']) => (vertical ? rect.x + rect.width : rect.y + rect.height);
+
+  const sorted = [...children].sort((a, b) => start(a.rect) - start(b.rect));
+
+  // Children must follow each other along the axis without overlapping
+  const gaps: number[] = [];
+  for (let i = 1; i < sorted.length; i++) {
+    const gap = start(sorted[i].rect) - end(sorted[i - 1].rect);
+    if (gap < -INFERENCE_TOLERANCE) return null;
+    gaps.push(Math.max(0, gap));
+  }
+
+  // A row must be a single line: every child shares some cross-axis span
+  if (!vertical) {
+    const top = Math.max(...sorted.map(child => crossStart(child.rect)));
+    const bottom = Math.min(...sorted.map(child => crossEnd(child.rect)));
+    if (top >= bottom) return null;
+  }
+
+  // The plugin appends children in paint order, which must match
+  const paintOrders = sorted.map(child => child.layout?.stacking?.paintOrder ?? 0);
+  for (let i = 1; i < paintOrders.length; i++) {
+    if (paintOrders[i] < paintOrders[i - 1]) return null;
+  }
+
+  const rect = container.rect;
+  const containerCrossStart = crossStart(rect);
+  const containerCrossSize = vertical ? rect.width : rect.height;
+  const spread = (values: number[]) => Math.max(...values) - Math.min(...values);
+
+  const starts = sorted.map(child => crossStart(child.rect) - containerCrossStart);
+  const ends = sorted.map(child => crossEnd(child.rect) - containerCrossStart);
+  const centers = sorted.map((child, i) => (starts[i] + ends[i]) / 2);
+
+  let counterAxisAlignItems: 'MIN' | 'CENTER' | 'MAX';
+  let crossBefore = 0;
+  let crossAfter = 0;
+  let alignSpread: number;
+  if (spread(starts) <= INFERENCE_TOLERANCE) {
+    counterAxisAlignItems = 'MIN';
+    crossBefore = Math.min(...starts);
+    alignSpread = spread(starts);
+  } else if (spread(centers) <= INFERENCE_TOLERANCE) {
+    // Padding on one side shifts the centre line onto the children's
+    counterAxisAlignItems = 'CENTER';
+    const offset = centers[0] - containerCrossSize / 2;
+    crossBefore = Math.max(0, offset * 2);
+    crossAfter = Math.max(0, -offset * 2);
+    alignSpread = spread(centers);
+  } else if (spread(ends) <= INFERENCE_TOLERANCE) {
+    counterAxisAlignItems = 'MAX';
+    crossAfter = containerCrossSize - Math.max(...ends);
+    alignSpread = spread(ends);
+  } else {
+    // Ragged: keep MIN but make sure the hint stays under threshold
+    counterAxisAlignItems = 'MIN';
+    crossBefore = Math.max(0, Math.min(...starts));
+    alignSpread = Math.min(spread(starts), spread(centers), spread(ends));
+  }
+
+  const sortedGaps = [...gaps].sort((a, b) => a - b);
+  const itemSpacing = Math.round(sortedGaps[Math.floor(sortedGaps.length / 2)]);
+  const gapSpread = spread(gaps);
+
+  const gapScore = gapSpread <= INFERENCE_TOLERANCE ? 1 : gapSpread <= 4 ? 0.7 : 0.3;
+  const alignScore = alignSpread <= INFERENCE_TOLERANCE ? 1 : 0.3;
+  const countScore = sorted.length >= 3 ? 1 : 0.85;
+  const confidence = Math.round(gapScore * alignScore * countScore * 100) / 100;
+
+  const leading = start(sorted[0].rect) - start(rect);
+  if (leading < -INFERENCE_TOLERANCE || crossBefore < -INFERENCE_TOLERANCE) return null;
+
+  const padding = vertical
+    ? { top: leading, right: crossAfter, bottom: 0, left: crossBefore }
+    : { top: crossBefore, right: 0, bottom: crossAfter, left: leading };
+
+  return {
+    layoutMode,
+    primaryAxisSizingMode: 'FIXED',
+    counterAxisSizingMode: 'FIXED',
+    itemSpacing,
+    padding: {
+      top: Math.round(Math.max(0, padding.top)),
+      right: Math.round(Math.max(0, padding.right)),
+      bottom: Math.round(Math.max(0, padding.bottom)),
+      left: Math.round(Math.max(0, padding.left)),
+    },
+    primaryAxisAlignItems: 'MIN',
+    counterAxisAlignItems,
+    confidence,
+    source: 'inferred',
+  };
+}
@@ -22,9 +22,37 @@ import * as fs from "fs";
 import * as path from "path";
 import crypto from "crypto";
 import sharp from "sharp";
-import type { IRDocument, IRFontAsset, IRImageAsset, IRSVGAsset } from "../../ir.js";
+import type {
+  IRBreakpoint,
+  IRCaptureRegion,
+  IRDocument,
+  IRFontAsset,
+  IRFontMetrics,
+  IRGridItem,
+  IRImageAsset,
+  IRInteractionState,
+  IRInteractionStates,
+  IRLayout,
+  IRColorSchemeToken,
+  IRResponsiveDocument,
+  IRStateVariant,
+  IRSVGAsset,
+} from "../../ir.js";
 import { legacyMigrator, computeBoxModelBounds, CSSInheritanceResolver, GridUtils } from "../../ir.js";
 import { compileIR } from "./ir-compiler.js";
+import { rememberCapture } from "./fidelity.js";
+import {
+  applyAuthCookies,
+  applyAuthHeaders,
+  authContextOptions,
+  describeAuth,
+  redactUrl,
+  type ExtractionAuth,
+} from "./auth.js";
+import { inferDesignTokens } from "./token-inference.js";
+import { runCaptureSteps, type CaptureStep, type CaptureStepCallback } from "./capture-steps.js";
+import { resolveCaptureRegion, type CaptureClipRect } from "./capture-region.js";
+import { installSvgSerializer } from "./svg-inline.js";
 import { parseEffectsToIR, analyzeTextShadowComplexity, analyzeFilterComplexity } from "./effects-parser.js";
 import { CSSStyleNormalizer, type NormalizedStyles } from "../css-style-normalizer.js";
 
@@ -403,6 +431,14 @@ export interface ExtractionOptions {
   extractSVG?: boolean;
   viewport?: { width: number; height: number };
   capturePhase0Screenshots?: boolean; // NEW: Enable Phase 0.5 element screenshots (default: false)
+  breakpoints?: IRBreakpoint[]; // Used by extractResponsive (default: DEFAULT_BREAKPOINTS)
+  auth?: ExtractionAuth; // Cookies, headers, basic auth or storage state; never logged or stored
+  steps?: CaptureStep[]; // Interactions run after the page loads, before Phase 0.5
+  onCaptureStep?: CaptureStepCallback; // Reports each step's outcome (e.g. over WebSocket)
+  captureColorSchemes?: boolean; // Also render with prefers-color-scheme: dark and record color deltas (default: false)
+  rootSelector?: string; // Capture only the first matching element and its subtree
+  clipRect?: CaptureClipRect; // Capture only elements intersecting this page region (CSS px)
+  rasterizeText?: TextRasterPolicy; // Phase 6 reasons whose text is imported as a bitmap (default: DEFAULT_RASTERIZE_TEXT)
 }
 
 // ==================== NEW PHASE 0.5 INTERFACES ====================
@@ -413,6 +449,7 @@ export interface PrimaryScreenshot {
   height: number;
   dpr: number;
   hash: string;
+  origin?: { x: number; y: number }; // Page position of the top-left corner (region captures)
 }
 
 export interface PrimaryScreenshots {
@@ -422,9 +459,28 @@ export interface PrimaryScreenshots {
 
 // ==================== NEW PHASE 6 INTERFACES ====================
 
+export type TextRasterReason =
+  | "explicit-opt-in"
+  | "large-heading"
+  | "non-system-font"
+  | "text-shadow-blur"
+  | "letter-spacing"
+  | "text-stroke"
+  | "gradient-text"
+  | "rotated-transform"
+  | "mix-blend-mode";
+
+/**
+ * Per-reason choice between a bitmap and editable text. `true` imports
+ * the text as its raster; otherwise the plugin rebuilds it natively and
+ * keeps the raster as a hidden reference layer.
+ */
+export type TextRasterPolicy = Partial<Record<TextRasterReason, boolean>>;
+
 export interface RasterFallback {
   enabled: boolean;
-  reason?: string;
+  reason?: string; // Every matching TextRasterReason, comma-separated
+  mode?: "replace" | "reference"; // Raster shown instead of the text, or kept hidden beside it
   image?: {
     src: string;
     format: "png";
@@ -458,6 +514,7 @@ export interface RasterStats {
   failed: number;
   retried: number;
   skipped: number;
+  replaced: number; // Rasters that stand in for their text
   large: string[];
 }
 
@@ -836,7 +893,8 @@ async function screenshotEverything(
   page: Page,
   renderEnv: RenderEnv,
   enableElementScreenshots: boolean = false,
-  enablePageScreenshot: boolean = false // NEW: Control page screenshot (default: disabled to prevent hanging)
+  enablePageScreenshot: boolean = false, // NEW: Control page screenshot (default: disabled to prevent hanging)
+  region?: IRCaptureRegion
 ): Promise<PrimaryScreenshots> {
   console.log("[Phase 0.5] 📸 Capturing primary screenshots...");
   console.log(`  📄 Page screenshot: ${enablePageScreenshot ? 'ENABLED' : 'DISABLED'}`);
@@ -864,6 +922,9 @@ async function screenshotEverything(
           type: "png",
           fullPage: true,
           scale: screenshotDPR > 1 ? "device" : "css",
+          ...(region
+            ? { clip: { x: region.origin.x, y: region.origin.y, width: region.width, height: region.height } }
+            : {}),
         }),
         new Promise<Buffer>((_, reject) =>
           setTimeout(() => reject(new Error('Page screenshot timeout')), PAGE_SCREENSHOT_TIMEOUT)
@@ -887,10 +948,11 @@ async function screenshotEverything(
   const result: PrimaryScreenshots = {
     page: {
       src: pageScreenshot.length > 0 ? `data:image/png;base64,${pageScreenshot.toString("base64")}` : '',
-      width: viewport?.width || 0,
-      height: viewport?.height || 0,
+      width: region?.width ?? (viewport?.width || 0),
+      height: region?.height ?? (viewport?.height || 0),
       dpr: screenshotDPR,
       hash: pageHash,
+      ...(region ? { origin: region.origin } : {}),
     },
     elementCount: 0,
   };
@@ -929,8 +991,9 @@ async function screenshotEverything(
   // Query elements with timeout protection
   let allElements: any[];
   try {
+    const scope = region?.rootSelector ? await page.$(region.rootSelector) : null;
     allElements = await Promise.race([
-      page.$$("*"),
+      scope ? scope.$$("*").then((children) => [scope, ...children]) : page.$$("*"),
       new Promise<any[]>((_, reject) =>
         setTimeout(() => reject(new Error('Element query timeout')), ELEMENT_QUERY_TIMEOUT)
       )
@@ -963,6 +1026,16 @@ async function screenshotEverything(
           skippedCount++;
           return;
         }
+        if (
+          region?.clipRect &&
+          (rect.x >= region.origin.x + region.width ||
+            rect.y >= region.origin.y + region.height ||
+            rect.x + rect.width <= region.origin.x ||
+            rect.y + rect.height <= region.origin.y)
+        ) {
+          skippedCount++;
+          return;
+        }
 
         const elementId = await element.evaluate((el: Element) => {
           if (el.id) return el.id;
@@ -1620,14 +1693,62 @@ async function captureRenderEnvironment(page: Page): Promise<RenderEnv> {
 
 // ==================== PHASE 6: TEXT RASTERIZATION ====================
 
-function shouldRasterizeText(node: any): string | null {
+const TEXT_RASTER_REASONS: TextRasterReason[] = [
+  "explicit-opt-in",
+  "large-heading",
+  "non-system-font",
+  "text-shadow-blur",
+  "letter-spacing",
+  "text-stroke",
+  "gradient-text",
+  "rotated-transform",
+  "mix-blend-mode",
+];
+
+// Only an explicit data-hifidelity="true" asks for a bitmap by default
+export const DEFAULT_RASTERIZE_TEXT: TextRasterPolicy = { "explicit-opt-in": true };
+
+/**
+ * Validates a `rasterizeText` option: an object of reason -> boolean
+ * (unlisted reasons keep their default), or the complete list of reasons
+ * to rasterize.
+ */
+export function normalizeRasterizeText(input: unknown): TextRasterPolicy | undefined {
+  if (input === undefined || input === null) return undefined;
+
+  if (typeof input !== "object") {
+    throw new Error("rasterizeText must be an object of reason flags or a list of reasons");
+  }
+
+  const entries: Array<[string, unknown]> = Array.isArray(input)
+    ? input.map((reason) => [String(reason), true])
+    : Object.entries(input as Record<string, unknown>);
+
+  const policy: TextRasterPolicy = Array.isArray(input)
+    ? Object.fromEntries(TEXT_RASTER_REASONS.map((reason) => [reason, false]))
+    : {};
+  for (const [reason, enabled] of entries) {
+    if (!TEXT_RASTER_REASONS.includes(reason as TextRasterReason)) {
+      throw new Error(`Unknown rasterizeText reason "${reason}" (expected ${TEXT_RASTER_REASONS.join(", ")})`);
+    }
+    if (typeof enabled !== "boolean") {
+      throw new Error(`rasterizeText.${reason} must be true or false`);
+    }
+    policy[reason as TextRasterReason] = enabled;
+  }
+  return policy;
+}
+
+// Every reason the text qualifies for a bitmap, in TEXT_RASTER_REASONS order
+function textRasterReasons(node: any): TextRasterReason[] {
   const { typography, compositing, styles, dataAttributes } = node;
+  const reasons: TextRasterReason[] = [];
 
-  if (!typography) return null;
+  if (!typography) return reasons;
 
   // Explicit opt-in
   if (dataAttributes?.["data-hifidelity"] === "true") {
-    return "explicit-opt-in";
+    reasons.push("explicit-opt-in");
   }
 
   // Large headings
@@ -1638,7 +1759,7 @@ function shouldRasterizeText(node: any): string | null {
     ["h1", "h2"].includes(node.tag || "") &&
     fontSize >= MIN_LARGE_HEADING_SIZE
   ) {
-    return "large-heading";
+    reasons.push("large-heading");
   }
 
   // Non-system fonts
@@ -1649,7 +1770,7 @@ function shouldRasterizeText(node: any): string | null {
   ).toLowerCase();
   const isSystemFont = SYSTEM_FONTS.some((sf) => fontFamily.includes(sf));
   if (!isSystemFont && fontFamily && fontFamily !== "unknown") {
-    return "non-system-font";
+    reasons.push("non-system-font");
   }
 
   // Text effects
@@ -1657,48 +1778,49 @@ function shouldRasterizeText(node: any): string | null {
   if (shadow && shadow !== "none") {
     const blurMatch = shadow.match(/(\d+(?:\.\d+)?)px[^)]*\)/);
     if (blurMatch && parseFloat(blurMatch[1]) > TEXT_SHADOW_BLUR_THRESHOLD) {
-      return "text-shadow-blur";
+      reasons.push("text-shadow-blur");
     }
   }
 
   const letterSpacing =
     typography.layout?.letterSpacing || typography.letterSpacing || "0";
   if (Math.abs(parseFloat(letterSpacing)) > 0.1) {
-    return "letter-spacing";
+    reasons.push("letter-spacing");
   }
 
   if (typography.effects?.stroke || typography.effects?.strokeWidth) {
-    return "text-stroke";
+    reasons.push("text-stroke");
   }
 
   if (
     typography.effects?.gradientText ||
     typography.specialCases?.isGradientText
   ) {
-    return "gradient-text";
+    reasons.push("gradient-text");
   }
 
   // Rotated text
   const transform = compositing?.transform || styles?.transform;
   if (transform && transform !== "none") {
     if (transform.includes("rotate") && !transform.includes("rotate(0")) {
-      return "rotated-transform";
+      reasons.push("rotated-transform");
     }
   }
 
   // Blend modes
   const mixBlendMode = compositing?.mixBlendMode || styles?.mixBlendMode;
   if (mixBlendMode && mixBlendMode !== "normal") {
-    return "mix-blend-mode";
+    reasons.push("mix-blend-mode");
   }
 
-  return null;
+  return reasons;
 }
 
 async function rasterizeElementText(
   page: Page,
   node: any,
-  reason: string,
+  reasons: TextRasterReason[],
+  mode: "replace" | "reference",
   renderEnv: RenderEnv
 ): Promise<{
   success: boolean;
@@ -1745,7 +1867,8 @@ async function rasterizeElementText(
         success: true,
         data: {
           enabled: true,
-          reason,
+          reason: reasons.join(","),
+          mode,
           image: {
             src: `data:image/png;base64,${screenshot.toString("base64")}`,
             format: "png",
@@ -1779,10 +1902,16 @@ async function rasterizeElementText(
   };
 }
 
+/**
+ * Captures a bitmap of every text node textRasterReasons flags. Text with
+ * any reason enabled in `policy` is replaced by it; the rest stays
+ * editable and carries the bitmap as a reference.
+ */
 async function processTextRasterization(
   page: Page,
   nodes: any[],
-  renderEnv: RenderEnv
+  renderEnv: RenderEnv,
+  policy: TextRasterPolicy = DEFAULT_RASTERIZE_TEXT
 ): Promise<{ nodes: any[]; stats: RasterStats }> {
   console.log("[Phase 6] 🎨 Starting text rasterization...");
   const startTime = performance.now();
@@ -1796,18 +1925,19 @@ async function processTextRasterization(
     failed: 0,
     retried: 0,
     skipped: 0,
+    replaced: 0,
     large: [],
   };
 
-  const candidates: Array<{ node: any; reason: string; index: number }> = [];
+  const candidates: Array<{ node: any; reasons: TextRasterReason[]; index: number }> = [];
 
   for (let i = 0; i < nodes.length; i++) {
     const node = nodes[i];
     if (node.typography) {
       stats.textElements++;
-      const reason = shouldRasterizeText(node);
-      if (reason) {
-        candidates.push({ node, reason, index: i });
+      const reasons = textRasterReasons(node);
+      if (reasons.length > 0) {
+        candidates.push({ node, reasons, index: i });
       }
     }
   }
@@ -1820,10 +1950,9 @@ async function processTextRasterization(
   if (candidates.length > MAX_RASTERIZE_COUNT) {
     toRasterize = candidates
       .sort((a, b) => {
-        if (a.reason === "explicit-opt-in" && b.reason !== "explicit-opt-in")
-          return -1;
-        if (b.reason === "explicit-opt-in" && a.reason !== "explicit-opt-in")
-          return 1;
+        const aExplicit = a.reasons.includes("explicit-opt-in");
+        const bExplicit = b.reasons.includes("explicit-opt-in");
+        if (aExplicit !== bExplicit) return aExplicit ? -1 : 1;
 
         const aSize = parseFloat(
           a.node.typography?.font?.size || a.node.typography?.fontSize || "0"
@@ -1842,19 +1971,23 @@ async function processTextRasterization(
 
   for (const candidate of toRasterize) {
     try {
+      const mode = candidate.reasons.some((reason) => policy[reason]) ? "replace" : "reference";
       const result = await rasterizeElementText(
         page,
         candidate.node,
-        candidate.reason,
+        candidate.reasons,
+        mode,
         renderEnv
       );
 
       if (result.success && result.data) {
         nodes[candidate.index].rasterFallback = result.data;
         stats.rasterized++;
+        if (mode === "replace") stats.replaced++;
         stats.totalImageSize += result.data.image!.fileSize;
-        stats.reasons[candidate.reason] =
-          (stats.reasons[candidate.reason] || 0) + 1;
+        for (const reason of candidate.reasons) {
+          stats.reasons[reason] = (stats.reasons[reason] || 0) + 1;
+        }
 
         if (result.data.image!.fileSize > 25 * 1024) {
           stats.large.push(candidate.node.id);
@@ -1886,7 +2019,7 @@ async function processTextRasterization(
   console.log(
     `[Phase 6] ✅ Completed: ${
       stats.rasterized
-    } rasterized in ${duration.toFixed(0)}ms`
+    } rasterized (${stats.replaced} replacing their text) in ${duration.toFixed(0)}ms`
   );
 
   return { nodes, stats };
@@ -2190,11 +2323,16 @@ function calculateConfidenceScore(node: any): number {
 
 function validateReconstruction(node: any): ValidationResult {
   const confidence = calculateConfidenceScore(node);
-  const useFallback = confidence < CONFIDENCE_THRESHOLD;
+  // A closed shadow root's content never reaches the IR, only its pixels
+  const closedShadowRoot = node.shadow?.mode === "closed";
+  const useFallback = confidence < CONFIDENCE_THRESHOLD || closedShadowRoot;
 
   let failureReason: string | undefined;
   if (useFallback) {
     const reasons: string[] = [];
+    if (closedShadowRoot) {
+      reasons.push("closed shadow root");
+    }
     if (
       node.typography?.effects?.gradientText ||
       node.typography?.specialCases?.isGradientText
@@ -2793,6 +2931,12 @@ function captureLayoutGeometry(
           childrenCount: 0,
         };
       }
+    } else if ((window as any).__webToFigmaClosedShadowHosts?.has(htmlElement)) {
+      layout.shadow = {
+        hasHostShadow: true,
+        shadowRootMode: "closed",
+        childrenCount: 0,
+      };
     }
 
     return layout;
@@ -4052,19 +4196,80 @@ function updateFontUsageInNodes(fontAssets: IRFontAsset[], extractedData: any):
   return updatedFontAssets;
 }
 
+/**
+ * Measure x-height, cap height and average advance for each font family in
+ * em units, so the plugin can pick a metric-compatible substitute when the
+ * family isn't installed in Figma. Families the browser couldn't load are
+ * skipped; measuring them would only describe the browser's own fallback.
+ */
+async function measureFontMetrics(
+  page: Page,
+  fontAssets: IRFontAsset[]
+): Promise<IRFontAsset[]> {
+  const families = Array.from(new Set(fontAssets.map((font) => font.family)));
+  if (families.length === 0) return fontAssets;
+
+  const metricsByFamily: Record<string, IRFontMetrics> = await page.evaluate(
+    (familyList: string[]) => {
+      const SAMPLE = "abcdefghijklmnopqrstuvwxyz ABCDEFGHIJKLMNOPQRSTUVWXYZ";
+      const SIZE = 100;
+      const canvas = document.createElement("canvas");
+      const ctx = canvas.getContext("2d");
+      const result: Record<string, { xHeight: number; capHeight: number; avgCharWidth: number }> = {};
+      if (!ctx) return result;
+
+      for (const family of familyList) {
+        const quoted = `"${family.replace(/"/g, '\\"')}"`;
+        try {
+          if (document.fonts && !document.fonts.check(`${SIZE}px ${quoted}`)) continue;
+        } catch {
+          continue;
+        }
+        ctx.font = `${SIZE}px ${quoted}`;
+        const x = ctx.measureText("x");
+        const h = ctx.measureText("H");
+        const sample = ctx.measureText(SAMPLE);
+        if (!x.actualBoundingBoxAscent || !sample.width) continue;
+        result[family] = {
+          xHeight: Math.round((x.actualBoundingBoxAscent / SIZE) * 1000) / 1000,
+          capHeight: Math.round((h.actualBoundingBoxAscent / SIZE) * 1000) / 1000,
+          avgCharWidth: Math.round((sample.width / SAMPLE.length / SIZE) * 1000) / 1000,
+        };
+      }
+      return result;
+    },
+    families
+  ).catch((error) => {
+    console.warn("[Font Metrics] Measurement failed:", error);
+    return {};
+  });
+
+  console.log(
+    `[Font Metrics] Measured ${Object.keys(metricsByFamily).length}/${families.length} families`
+  );
+
+  return fontAssets.map((font) =>
+    metricsByFamily[font.family] ? { ...font, metrics: metricsByFamily[font.family] } : font
+  );
+}
+
 // ==================== COMPREHENSIVE ASSET RESOLVER ====================
 
 /**
  * Comprehensive asset collection for images, SVG, canvas, and video frames
  */
-async function collectAllAssets(page: Page, baseUrl: string): Promise<{
+async function collectAllAssets(
+  page: Page,
+  baseUrl: string,
+  region?: IRCaptureRegion
+): Promise<{
   imageAssets: IRImageAsset[];
   svgAssets: IRSVGAsset[];
 }> {
   console.log("[Asset Collection] Starting comprehensive asset extraction...");
   
   // Extract all assets from the page
-  const assetsData = await page.evaluate(() => {
+  const assetsData = await page.evaluate((region) => {
     const assets = {
       images: [] as any[],
       svgs: [] as any[],
@@ -4072,10 +4277,27 @@ async function collectAllAssets(page: Page, baseUrl: string): Promise<{
       videos: [] as any[]
     };
 
+    // Region captures only collect assets inside the root and the clip
+    const scopeRoot = region?.rootSelector ? document.querySelector(region.rootSelector) : null;
+    const queryScope = <T extends Element>(selector: string): T[] =>
+      Array.from(document.querySelectorAll<T>(selector)).filter((element) => {
+        if (scopeRoot && !scopeRoot.contains(element)) return false;
+        if (!region?.clipRect) return true;
+        const rect = element.getBoundingClientRect();
+        const x = rect.left + window.scrollX;
+        const y = rect.top + window.scrollY;
+        return (
+          x < region.origin.x + region.width &&
+          y < region.origin.y + region.height &&
+          x + rect.width > region.origin.x &&
+          y + rect.height > region.origin.y
+        );
+      });
+
     // ==================== IMAGE COLLECTION ====================
     
     // Collect <img> elements
-    const imgElements = document.querySelectorAll('img');
+    const imgElements = queryScope<HTMLImageElement>('img');
     imgElements.forEach((img, index) => {
       if (img.src || img.srcset) {
         const rect = img.getBoundingClientRect();
@@ -4108,7 +4330,7 @@ async function collectAllAssets(page: Page, baseUrl: string): Promise<{
     });
 
     // Collect CSS background images
-    const elementsWithBg = document.querySelectorAll('*');
+    const elementsWithBg = queryScope('*');
     elementsWithBg.forEach((element, index) => {
       const computedStyle = window.getComputedStyle(element);
       const backgroundImage = computedStyle.backgroundImage;
@@ -4148,7 +4370,7 @@ async function collectAllAssets(page: Page, baseUrl: string): Promise<{
     // ==================== SVG COLLECTION ====================
     
     // Collect inline SVG elements
-    const svgElements = document.querySelectorAll('svg');
+    const svgElements = queryScope<SVGSVGElement>('svg');
     svgElements.forEach((svg, index) => {
       const rect = svg.getBoundingClientRect();
       
@@ -4163,10 +4385,11 @@ async function collectAllAssets(page: Page, baseUrl: string): Promise<{
         }
       }
       
+      const serializeSvg = (window as any).__webToFigmaSerializeSvg;
       assets.svgs.push({
         id: `svg_${index}`,
         type: 'inline',
-        svg: svg.outerHTML,
+        svg: serializeSvg ? serializeSvg(svg) : svg.outerHTML,
         viewBox,
         width: svg.getAttribute('width'),
         height: svg.getAttribute('height'),
@@ -4186,7 +4409,7 @@ async function collectAllAssets(page: Page, baseUrl: string): Promise<{
     // ==================== CANVAS COLLECTION ====================
     
     // Collect canvas elements and their snapshots
-    const canvasElements = document.querySelectorAll('canvas');
+    const canvasElements = queryScope<HTMLCanvasElement>('canvas');
     canvasElements.forEach((canvas, index) => {
       const rect = canvas.getBoundingClientRect();
       
@@ -4237,7 +4460,7 @@ async function collectAllAssets(page: Page, baseUrl: string): Promise<{
     // ==================== VIDEO COLLECTION ====================
     
     // Collect video elements and capture frames
-    const videoElements = document.querySelectorAll('video');
+    const videoElements = queryScope<HTMLVideoElement>('video');
     videoElements.forEach((video, index) => {
       const rect = video.getBoundingClientRect();
       
@@ -4351,7 +4574,7 @@ async function collectAllAssets(page: Page, baseUrl: string): Promise<{
     }
 
     return assets;
-  });
+  }, region);
 
   console.log(`[Asset Collection] Found ${assetsData.images.length} images, ${assetsData.svgs.length} SVGs, ${assetsData.canvases.length} canvases, ${assetsData.videos.length} videos`);
 
@@ -4665,12 +4888,14 @@ function extractSVGPaths(svgContent: string): Array<{
   fill?: string;
   stroke?: string;
   strokeWidth?: string;
+  fillRule?: string;
 }> {
   const paths: Array<{
     d: string;
     fill?: string;
     stroke?: string;
     strokeWidth?: string;
+    fillRule?: string;
   }> = [];
   
   // Simple regex-based path extraction (could be enhanced with proper XML parsing)
@@ -4683,13 +4908,15 @@ function extractSVGPaths(svgContent: string): Array<{
       const fillMatch = pathMatch.match(/fill=["']([^"']*)["']/i);
       const strokeMatch = pathMatch.match(/stroke=["']([^"']*)["']/i);
       const strokeWidthMatch = pathMatch.match(/stroke-width=["']([^"']*)["']/i);
+      const fillRuleMatch = pathMatch.match(/fill-rule=["']([^"']*)["']/i);
       
       if (dMatch) {
         paths.push({
           d: dMatch[1],
           fill: fillMatch ? fillMatch[1] : undefined,
           stroke: strokeMatch ? strokeMatch[1] : undefined,
-          strokeWidth: strokeWidthMatch ? strokeWidthMatch[1] : undefined
+          strokeWidth: strokeWidthMatch ? strokeWidthMatch[1] : undefined,
+          fillRule: fillRuleMatch ? fillRuleMatch[1] : undefined
         });
       }
     });
@@ -5614,6 +5841,8 @@ async function applyPageScreenshotFallback(
   const baseImage = sharp(imageBuffer);
   const metadata = await baseImage.metadata();
   const pageDpr = pageScreenshot.dpr || 1;
+  // Region screenshots start at the region's corner, not the page's
+  const origin = pageScreenshot.origin || { x: 0, y: 0 };
   const imageWidth =
     metadata.width ?? Math.round((pageScreenshot.width || 0) * pageDpr);
   const imageHeight =
@@ -5637,8 +5866,8 @@ async function applyPageScreenshotFallback(
       continue;
     }
 
-    let left = Math.max(0, Math.floor((rect.x || 0) * pageDpr));
-    let top = Math.max(0, Math.floor((rect.y || 0) * pageDpr));
+    let left = Math.max(0, Math.floor(((rect.x || 0) - origin.x) * pageDpr));
+    let top = Math.max(0, Math.floor(((rect.y || 0) - origin.y) * pageDpr));
     let width = Math.max(1, Math.round(rect.width * pageDpr));
     let height = Math.max(1, Math.round(rect.height * pageDpr));
 
@@ -5691,20 +5920,143 @@ async function applyPageScreenshotFallback(
   }
 }
 
+// Computed-style properties compared between the default and each state
+const STATE_STYLE_PROPERTIES = [
+  "backgroundColor",
+  "backgroundImage",
+  "color",
+  "borderColor",
+  "borderStyle",
+  "borderWidth",
+  "borderRadius",
+  "boxShadow",
+  "opacity",
+  "outlineColor",
+  "outlineStyle",
+  "outlineWidth",
+  "outlineOffset",
+  "textDecoration",
+  "transform",
+  "filter",
+];
+
+// When one member changes, the whole group is reported so the plugin can
+// rebuild the stroke / focus ring without the default values
+const STATE_STYLE_GROUPS = [
+  ["borderColor", "borderStyle", "borderWidth"],
+  ["outlineColor", "outlineStyle", "outlineWidth", "outlineOffset"],
+];
+
+const STATE_MAX_DESCENDANTS = 50;
+const STATE_SETTLE_MS = 100;
+const STATE_ACTION_TIMEOUT = 2000;
+
+type StateStyleSnapshot = Record<string, Record<string, string>>;
+
+async function snapshotStateStyles(
+  element: ElementHandle
+): Promise<StateStyleSnapshot> {
+  return element.evaluate(
+    (root, { properties, maxDescendants }) => {
+      const ids: WeakMap<Element, string> | undefined = (window as any)
+        .__webToFigmaNodeIds;
+      const snapshot: Record<string, Record<string, string>> = {};
+      const rootElement = root as Element;
+      const elements = [
+        rootElement,
+        ...Array.from(rootElement.querySelectorAll("*")).slice(0, maxDescendants),
+      ];
+
+      for (const el of elements) {
+        const id = ids?.get(el);
+        if (!id) continue;
+        const computed = window.getComputedStyle(el) as any;
+        const values: Record<string, string> = {};
+        for (const property of properties) {
+          values[property] = computed[property];
+        }
+        snapshot[id] = values;
+      }
+      return snapshot;
+    },
+    { properties: STATE_STYLE_PROPERTIES, maxDescendants: STATE_MAX_DESCENDANTS }
+  );
+}
+
+function diffStateStyles(
+  before: Record<string, string>,
+  after: Record<string, string>
+): Record<string, string> {
+  const delta: Record<string, string> = {};
+  for (const property of STATE_STYLE_PROPERTIES) {
+    if (after[property] !== undefined && after[property] !== before[property]) {
+      delta[property] = after[property];
+    }
+  }
+  for (const group of STATE_STYLE_GROUPS) {
+    if (group.some((property) => property in delta)) {
+      for (const property of group) {
+        delta[property] = after[property];
+      }
+    }
+  }
+  return delta;
+}
+
+/**
+ * Builds a state variant from two snapshots. Returns null when nothing
+ * changed, so visually identical states do not become variants.
+ */
+function buildStateVariant(
+  nodeId: string,
+  baseline: StateStyleSnapshot,
+  current: StateStyleSnapshot,
+  screenshot: EnhancedScreenshot | null
+): IRStateVariant | null {
+  const styles = diffStateStyles(baseline[nodeId] || {}, current[nodeId] || {});
+  const descendants: Record<string, Record<string, string>> = {};
+
+  for (const [id, values] of Object.entries(current)) {
+    if (id === nodeId || !baseline[id]) continue;
+    const delta = diffStateStyles(baseline[id], values);
+    if (Object.keys(delta).length > 0) {
+      descendants[id] = delta;
+    }
+  }
+
+  if (Object.keys(styles).length === 0 && Object.keys(descendants).length === 0) {
+    return null;
+  }
+
+  return {
+    styles,
+    ...(Object.keys(descendants).length > 0 ? { descendants } : {}),
+    ...(screenshot ? { screenshot } : {}),
+  };
+}
+
 async function captureInteractionStates(
   page: Page,
   nodes: any[],
   renderEnv: RenderEnv
-): Promise<Record<string, Record<string, EnhancedScreenshot>>> {
-  const states: Record<string, Record<string, EnhancedScreenshot>> = {};
+): Promise<Record<string, IRInteractionStates>> {
+  const states: Record<string, IRInteractionStates> = {};
   const screenshotDPR = calculateScreenshotDPR(renderEnv);
 
+  // The stability layer disables pointer events on <body>; hover and
+  // press need them back while states are captured
+  const previousPointerEvents = await page.evaluate(() => {
+    const previous = document.body.style.pointerEvents;
+    document.body.style.pointerEvents = "";
+    return previous;
+  });
+
   for (const node of nodes) {
     try {
       const element = await page.$(node.selector);
       if (!element) continue;
 
-      const nodeStates: Record<string, EnhancedScreenshot> = {};
+      const nodeStates: IRInteractionStates = {};
 
       const createEnhancedScreenshot = async (
         screenshotBuffer: Buffer
@@ -5728,51 +6080,96 @@ async function captureInteractionStates(
         return null;
       };
 
-      try {
-        await element.hover();
-        await page.waitForTimeout(100);
-        const hoverScreenshot = await element.screenshot({
-          type: "png",
-          omitBackground: true,
-          scale: screenshotDPR > 1 ? "device" : "css",
-        });
-        const enhancedHover = await createEnhancedScreenshot(hoverScreenshot);
-        if (enhancedHover) {
-          nodeStates.hover = enhancedHover;
-        }
-      } catch (e) {}
+      const resetState = async () => {
+        await page.mouse.move(0, 0);
+        await element.evaluate((el) => (el as HTMLElement).blur?.());
+      };
 
-      if (node.componentHint === "button" || node.componentHint === "input") {
+      // Enter a state, record computed-style deltas plus a reference
+      // screenshot, then leave the state again
+      const captureState = async (
+        state: IRInteractionState,
+        enter: () => Promise<void>,
+        exit: () => Promise<void>
+      ) => {
         try {
-          await element.focus();
-          await page.waitForTimeout(100);
-          const focusScreenshot = await element.screenshot({
-            type: "png",
-            omitBackground: true,
-            scale: screenshotDPR > 1 ? "device" : "css",
-          });
-          const enhancedFocus = await createEnhancedScreenshot(focusScreenshot);
-          if (enhancedFocus) {
-            nodeStates.focus = enhancedFocus;
+          await enter();
+          await page.waitForTimeout(STATE_SETTLE_MS);
+          const current = await snapshotStateStyles(element);
+          const screenshot = await createEnhancedScreenshot(
+            await element.screenshot({
+              type: "png",
+              omitBackground: true,
+              scale: screenshotDPR > 1 ? "device" : "css",
+            })
+          );
+          const variant = buildStateVariant(node.id, baseline, current, screenshot);
+          if (variant) {
+            nodeStates[state] = variant;
           }
-        } catch (e) {}
+        } catch (e) {
+        } finally {
+          await exit().catch(() => {});
+        }
+      };
+
+      await resetState();
+      await page.waitForTimeout(STATE_SETTLE_MS);
+      const baseline = await snapshotStateStyles(element);
+
+      await captureState(
+        "hover",
+        () => element.hover({ timeout: STATE_ACTION_TIMEOUT }),
+        resetState
+      );
+
+      if (node.componentHint === "button" || node.componentHint === "input") {
+        await captureState("focus", () => element.focus(), resetState);
       }
 
       if (node.componentHint === "button") {
-        try {
-          await element.click({ delay: 50 });
-          const activeScreenshot = await element.screenshot({
-            type: "png",
-            omitBackground: true,
-            scale: screenshotDPR > 1 ? "device" : "css",
-          });
-          const enhancedActive = await createEnhancedScreenshot(
-            activeScreenshot
-          );
-          if (enhancedActive) {
-            nodeStates.active = enhancedActive;
+        // Release over the element, where the click lands on the button,
+        // and swallow that click in the capture phase so the page's
+        // handlers and default actions never see it
+        await captureState(
+          "active",
+          async () => {
+            await element.hover({ timeout: STATE_ACTION_TIMEOUT });
+            await page.evaluate(() => {
+              const swallowClick = (event: Event) => {
+                event.preventDefault();
+                event.stopImmediatePropagation();
+              };
+              (window as any).__webToFigmaSwallowClick = swallowClick;
+              window.addEventListener("click", swallowClick, { capture: true, once: true });
+            });
+            await page.mouse.down();
+          },
+          async () => {
+            await page.mouse.up();
+            await page.evaluate(() => {
+              const swallowClick = (window as any).__webToFigmaSwallowClick;
+              if (swallowClick) {
+                window.removeEventListener("click", swallowClick, { capture: true });
+                delete (window as any).__webToFigmaSwallowClick;
+              }
+            });
+            await resetState();
           }
-        } catch (e) {}
+        );
+      }
+
+      const canDisable = await element.evaluate(
+        (el) =>
+          ["BUTTON", "INPUT", "SELECT", "TEXTAREA"].includes(el.tagName) &&
+          !(el as HTMLButtonElement).disabled
+      );
+      if (canDisable) {
+        await captureState(
+          "disabled",
+          () => element.evaluate((el) => el.setAttribute("disabled", "")),
+          () => element.evaluate((el) => el.removeAttribute("disabled"))
+        );
       }
 
       if (Object.keys(nodeStates).length > 0) {
@@ -5783,9 +6180,90 @@ async function captureInteractionStates(
     }
   }
 
+  await page.evaluate((previous) => {
+    document.body.style.pointerEvents = previous;
+  }, previousPointerEvents);
+
   return states;
 }
 
+// ==================== COLOR SCHEMES ====================
+
+const COLOR_SCHEME_ROLES: Record<string, string> = {
+  backgroundColor: "surface",
+  color: "text",
+  borderColor: "border",
+};
+const COLOR_SCHEME_SETTLE_MS = 300;
+
+async function snapshotSchemeColors(page: Page): Promise<StateStyleSnapshot> {
+  return page.evaluate((properties) => {
+    const ids: WeakMap<Element, string> | undefined = (window as any)
+      .__webToFigmaNodeIds;
+    const snapshot: Record<string, Record<string, string>> = {};
+    if (!ids) return snapshot;
+
+    for (const el of Array.from(document.querySelectorAll("*"))) {
+      const id = ids.get(el);
+      if (!id) continue;
+      const computed = window.getComputedStyle(el) as any;
+      const values: Record<string, string> = {};
+      for (const property of properties) {
+        values[property] = computed[property];
+      }
+      snapshot[id] = values;
+    }
+    return snapshot;
+  }, Object.keys(COLOR_SCHEME_ROLES));
+}
+
+/**
+ * Re-renders the page with `prefers-color-scheme: dark`, diffs the computed
+ * colors per node and returns one token per distinct light/dark pair.
+ * Matching nodes get `colorTokens` pointing at those tokens. The page is
+ * left in the light scheme the main extraction ran in.
+ */
+async function captureColorSchemes(
+  page: Page,
+  nodes: any[]
+): Promise<IRColorSchemeToken[]> {
+  await page.emulateMedia({ colorScheme: "light" });
+  await page.waitForTimeout(COLOR_SCHEME_SETTLE_MS);
+  const light = await snapshotSchemeColors(page);
+
+  await page.emulateMedia({ colorScheme: "dark" });
+  await page.waitForTimeout(COLOR_SCHEME_SETTLE_MS);
+  const dark = await snapshotSchemeColors(page);
+
+  await page.emulateMedia({ colorScheme: "light" });
+
+  const tokens = new Map<string, IRColorSchemeToken>();
+  const roleCounts: Record<string, number> = {};
+
+  for (const node of nodes) {
+    const lightValues = light[node.id];
+    const darkValues = dark[node.id];
+    if (!lightValues || !darkValues) continue;
+
+    for (const [property, role] of Object.entries(COLOR_SCHEME_ROLES)) {
+      const lightValue = lightValues[property];
+      const darkValue = darkValues[property];
+      if (!lightValue || !darkValue || lightValue === darkValue) continue;
+
+      const key = `${role}|${lightValue}|${darkValue}`;
+      let token = tokens.get(key);
+      if (!token) {
+        roleCounts[role] = (roleCounts[role] || 0) + 1;
+        token = { name: `${role}/${roleCounts[role]}`, light: lightValue, dark: darkValue };
+        tokens.set(key, token);
+      }
+      node.colorTokens = { ...(node.colorTokens || {}), [property]: token.name };
+    }
+  }
+
+  return Array.from(tokens.values());
+}
+
 // ==================== AUTO SCROLL ====================
 
 async function autoScroll(page: Page) {
@@ -5974,27 +6452,25 @@ function applySemanticNaming(nodes: any[]): any[] {
 
 // ==================== MAIN EXTRACTION FUNCTION ====================
 
-export async function extractComplete(
-  url: string,
-  options: ExtractionOptions = {}
-): Promise<IRDocument> {
-  const {
-    captureFonts = true,
-    captureScreenshots = false, // Default: DISABLED to prevent timeout (was true)
-    screenshotComplexOnly = true,
-    captureStates = false,
-    capturePseudoElements = true,
-    extractSVG = true,
-    viewport = { width: 1440, height: 900 },
-    capturePhase0Screenshots = false, // Default: disabled to prevent hanging
-  } = options;
-
-  console.log("Starting extraction with options:", options);
-  console.log(`🚀 Extracting: ${url}`);
+const DEFAULT_VIEWPORT = { width: 1440, height: 900 };
+const OVERALL_TIMEOUT = 10 * 60 * 1000; // 10 minutes max
 
-  const OVERALL_TIMEOUT = 10 * 60 * 1000; // 10 minutes max
-  const startTime = Date.now();
+/**
+ * Browser, page and abort state shared by every extraction pass.
+ * Responsive capture runs several passes against the same session.
+ */
+interface ExtractionSession {
+  browser: Browser;
+  page: Page;
+  aborted: boolean;
+  abortTimer: ReturnType<typeof setTimeout>;
+}
 
+async function openExtractionSession(
+  viewport: { width: number; height: number },
+  url: string,
+  auth?: ExtractionAuth
+): Promise<ExtractionSession> {
   const browser = await chromium.launch({
     headless: true,
     args: [
@@ -6006,21 +6482,21 @@ export async function extractComplete(
     ],
   });
 
-  // Overall timeout wrapper - use abort flag instead of force-closing browser
-  let isAborted = false;
-  const extractionTimeout = setTimeout(() => {
-    console.error('❌ EXTRACTION TIMEOUT: Exceeded 10 minutes, setting abort flag...');
-    isAborted = true;
-  }, OVERALL_TIMEOUT);
-
   try {
     const context = await browser.newContext({
       viewport,
       deviceScaleFactor: 2,
       userAgent:
         "Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36",
+      ...authContextOptions(auth, url),
     });
 
+    if (auth) {
+      await applyAuthCookies(context, auth, url);
+      await applyAuthHeaders(context, auth, url);
+      console.log(`🔐 Auth applied: ${describeAuth(auth)}`);
+    }
+
     const page = await context.newPage();
 
     // Ensure helper injected before any scripts run (TS emits __name helper references)
@@ -6031,13 +6507,99 @@ export async function extractComplete(
       }
     });
 
-    // Navigate and wait for full load
-    console.log("[Phase 0] 🌐 Navigating to URL...");
-    await page.goto(url, {
-      waitUntil: "load",
-      timeout: 60000,
+    // Closed shadow roots are invisible from outside; remember their hosts so
+    // the walk can flag them for a screenshot fallback instead of missing them
+    await page.addInitScript(() => {
+      const global = window as any;
+      if (global.__webToFigmaClosedShadowHosts) return;
+      const hosts = new WeakSet<Element>();
+      global.__webToFigmaClosedShadowHosts = hosts;
+      const attachShadow = Element.prototype.attachShadow;
+      Element.prototype.attachShadow = function (this: Element, init: ShadowRootInit) {
+        const root = attachShadow.call(this, init);
+        if (init && init.mode === "closed") hosts.add(this);
+        return root;
+      };
     });
-    console.log("[Phase 0] ✅ Page loaded");
+    await page.addInitScript(installSvgSerializer);
+
+    const session = { browser, page, aborted: false } as ExtractionSession;
+
+    // Overall timeout wrapper - use abort flag instead of force-closing browser
+    session.abortTimer = setTimeout(() => {
+      console.error('❌ EXTRACTION TIMEOUT: Exceeded 10 minutes, setting abort flag...');
+      session.aborted = true;
+    }, OVERALL_TIMEOUT);
+
+    return session;
+  } catch (error) {
+    await browser.close();
+    throw error;
+  }
+}
+
+async function closeExtractionSession(session: ExtractionSession): Promise<void> {
+  clearTimeout(session.abortTimer);
+  await session.browser.close();
+  console.log('🔒 Browser closed');
+}
+
+async function navigateForExtraction(page: Page, url: string): Promise<void> {
+  console.log("[Phase 0] 🌐 Navigating to URL...");
+  await page.goto(url, {
+    waitUntil: "load",
+    timeout: 60000,
+  });
+  console.log("[Phase 0] ✅ Page loaded");
+}
+
+export async function extractComplete(
+  url: string,
+  options: ExtractionOptions = {}
+): Promise<IRDocument> {
+  const { viewport = DEFAULT_VIEWPORT } = options;
+
+  console.log("Starting extraction with options:", {
+    ...options,
+    auth: options.auth ? describeAuth(options.auth) : undefined,
+    steps: options.steps ? `${options.steps.length} step(s)` : undefined,
+  });
+  console.log(`🚀 Extracting: ${redactUrl(url)}`);
+
+  const session = await openExtractionSession(viewport, url, options.auth);
+
+  try {
+    await navigateForExtraction(session.page, url);
+    return await extractFromPage(session, url, options);
+  } catch (error) {
+    console.error('❌ EXTRACTION FAILED:', error);
+    throw error;
+  } finally {
+    await closeExtractionSession(session);
+  }
+}
+
+/**
+ * Runs Phases 0.5-11 against an already navigated page. The page keeps its
+ * current viewport, so callers can resize it between passes.
+ */
+async function extractFromPage(
+  session: ExtractionSession,
+  url: string,
+  options: ExtractionOptions = {}
+): Promise<IRDocument> {
+  const {
+    captureFonts = true,
+    captureScreenshots = false, // Default: DISABLED to prevent timeout (was true)
+    screenshotComplexOnly = true,
+    captureStates = false,
+    capturePseudoElements = true,
+    extractSVG = true,
+    viewport = DEFAULT_VIEWPORT,
+  } = options;
+
+  const page = session.page;
+  const startTime = Date.now();
 
   // ✅ PHASE 1: Wait for fully loaded (fonts, images, lazy content)
   console.log("[Phase 1] ⏳ Waiting for page to fully load...");
@@ -6072,6 +6634,12 @@ export async function extractComplete(
     };
   }
 
+  // Scripted interactions (open modals, expand accordions, fill forms)
+  if (options.steps?.length) {
+    console.log(`[Steps] 🖱️  Running ${options.steps.length} pre-capture step(s)...`);
+    await runCaptureSteps(page, options.steps, options.onCaptureStep);
+  }
+
   // ✅ PHASE 2: Capture rendering environment
   console.log("[Phase 2] 📐 Capturing render environment...");
   let renderEnv: RenderEnv;
@@ -6121,13 +6689,30 @@ export async function extractComplete(
 
   await applyRenderingStabilityLayer(page);
 
+  // Region captures are measured on the settled layout; a selector that
+  // matches nothing fails the capture rather than importing the whole page
+  const captureRegion = await resolveCaptureRegion(page, options.rootSelector, options.clipRect);
+  if (captureRegion) {
+    console.log(
+      `[Region] ✂️  Capturing ${captureRegion.width}×${captureRegion.height} at ` +
+        `${captureRegion.origin.x},${captureRegion.origin.y}` +
+        (captureRegion.rootSelector ? ` (${captureRegion.rootSelector})` : "")
+    );
+  }
+
   // ✅ PHASE 0.5: Screenshot everything first (Builder.io approach)
   console.log("[Phase 0.5] 📸 Screenshot-everything-first...");
   const capturePhase0Screenshots = options.capturePhase0Screenshots ?? false;
   const enablePageScreenshot = true; // Capture full page screenshot for fallback generation
   let primaryScreenshots: PrimaryScreenshots;
   try {
-    primaryScreenshots = await screenshotEverything(page, renderEnv, capturePhase0Screenshots, enablePageScreenshot);
+    primaryScreenshots = await screenshotEverything(
+      page,
+      renderEnv,
+      capturePhase0Screenshots,
+      enablePageScreenshot,
+      captureRegion
+    );
     console.log(
       `[Phase 0.5] ✅ ${primaryScreenshots.elementCount} elements screenshotted`
     );
@@ -6686,6 +7271,12 @@ export async function extractComplete(
                 childrenCount: 0,
               };
             }
+          } else if ((window as any).__webToFigmaClosedShadowHosts?.has(htmlElement)) {
+            layout.shadow = {
+              hasHostShadow: true,
+              shadowRootMode: "closed",
+              childrenCount: 0,
+            };
           }
 
           return layout;
@@ -7143,6 +7734,73 @@ export async function extractComplete(
         }
       };
 
+      // ==================== SHADOW DOM ====================
+
+      // Hosts of closed shadow roots, recorded by the init script
+      const closedShadowHosts: WeakSet<Element> =
+        (window as any).__webToFigmaClosedShadowHosts || new WeakSet();
+
+      const isSlot = (element: Element): element is HTMLSlotElement =>
+        element.tagName === "SLOT";
+
+      /**
+       * Element children in the flat tree: an open host renders its shadow
+       * root, a slot its assigned elements (or fallback content), and light
+       * children that no slot picks up are not rendered at all
+       */
+      const flatChildren = (element: Element): Element[] => {
+        if (isSlot(element)) {
+          const assigned = element.assignedElements({ flatten: true });
+          return assigned.length > 0 ? assigned : Array.from(element.children);
+        }
+        if (element.shadowRoot) {
+          return Array.from(element.shadowRoot.children);
+        }
+        // A closed host is captured as one screenshot
+        if (closedShadowHosts.has(element)) return [];
+        return Array.from(element.children);
+      };
+
+      /**
+       * Same as flatChildren, for all child nodes (text included)
+       */
+      const flatChildNodes = (node: Node): Node[] => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+          const element = node as Element;
+          if (isSlot(element)) {
+            const assigned = element.assignedNodes({ flatten: true });
+            return assigned.length > 0 ? assigned : Array.from(element.childNodes);
+          }
+          if (element.shadowRoot) {
+            return Array.from(element.shadowRoot.childNodes);
+          }
+        }
+        return Array.from(node.childNodes);
+      };
+
+      const isInShadowTree = (element: Element): boolean =>
+        element.getRootNode() instanceof ShadowRoot;
+
+      const hasShadowRoot = (element: Element): boolean =>
+        !!element.shadowRoot || closedShadowHosts.has(element);
+
+      /**
+       * Rendered text of an element whose content comes through shadow
+       * roots or slots. Light-DOM elements use plain textContent.
+       */
+      const composedTextContent = (element: Element): string => {
+        if (!element.shadowRoot && !isInShadowTree(element)) {
+          return element.textContent || "";
+        }
+        const collect = (node: Node): string => {
+          if (node.nodeType === Node.TEXT_NODE) return node.textContent || "";
+          if (node.nodeType !== Node.ELEMENT_NODE) return "";
+          if (/^(STYLE|SCRIPT|TEMPLATE)$/.test((node as Element).tagName)) return "";
+          return flatChildNodes(node).map(collect).join("");
+        };
+        return collect(element);
+      };
+
       /**
        * Extract text content from element
        */
@@ -7151,7 +7809,7 @@ export async function extractComplete(
           const htmlElement = element as HTMLElement;
           let extractedText = "";
 
-          const textContent = element.textContent?.trim() || "";
+          const textContent = composedTextContent(element).trim();
           if (textContent) {
             extractedText = textContent;
           }
@@ -7239,7 +7897,7 @@ export async function extractComplete(
         computedStyle: CSSStyleDeclaration
       ): boolean => {
         try {
-          const textContent = element.textContent?.trim() || "";
+          const textContent = composedTextContent(element).trim();
 
           if (textContent.length > 0) {
             const display = computedStyle.display;
@@ -7327,7 +7985,22 @@ export async function extractComplete(
        * Extract all styles
        */
       const extractAllStyles = (styles: CSSStyleDeclaration, el: Element) => {
+        // Item properties only mean something inside a flex or grid parent
+        const parentDisplay = el.parentElement ? getComputedStyle(el.parentElement).display : "";
+        const itemStyles = parentDisplay.includes("flex")
+          ? {
+              flexGrow: styles.flexGrow,
+              flexShrink: styles.flexShrink,
+              flexBasis: styles.flexBasis,
+              alignSelf: styles.alignSelf,
+              order: styles.order,
+            }
+          : parentDisplay.includes("grid")
+            ? { justifySelf: styles.justifySelf, alignSelf: styles.alignSelf }
+            : {};
+
         return {
+          ...itemStyles,
           backgroundColor: styles.backgroundColor,
           backgroundImage: styles.backgroundImage,
           backgroundSize: styles.backgroundSize,
@@ -7361,7 +8034,15 @@ export async function extractComplete(
           justifyContent: styles.justifyContent,
           alignItems: styles.alignItems,
           gap: styles.gap,
+          rowGap: styles.rowGap,
+          columnGap: styles.columnGap,
           flexWrap: styles.flexWrap,
+          alignContent: styles.alignContent,
+          justifyItems: styles.justifyItems,
+          minWidth: styles.minWidth,
+          maxWidth: styles.maxWidth,
+          minHeight: styles.minHeight,
+          maxHeight: styles.maxHeight,
           boxShadow: styles.boxShadow,
           opacity: styles.opacity,
           filter: styles.filter,
@@ -7373,6 +8054,12 @@ export async function extractComplete(
           fontFamily: styles.fontFamily,
           lineHeight: styles.lineHeight,
           textAlign: styles.textAlign,
+          // Text effects the plugin rebuilds as editable text
+          letterSpacing: styles.letterSpacing,
+          backgroundClip: (styles as any).webkitBackgroundClip || styles.backgroundClip,
+          webkitTextFillColor: (styles as any).webkitTextFillColor,
+          webkitTextStrokeWidth: (styles as any).webkitTextStrokeWidth,
+          webkitTextStrokeColor: (styles as any).webkitTextStrokeColor,
         };
       };
 
@@ -7796,15 +8483,22 @@ export async function extractComplete(
        * Generate CSS selector
        */
       const generateSelector = (element: Element): string => {
-        if (element.id) return `#${element.id}`;
+        // Inside a shadow root the path is scoped to that root and prefixed
+        // with the host's selector; Playwright's CSS engine pierces open roots
+        const scope = element.getRootNode();
+        const shadowScope = scope instanceof ShadowRoot ? scope : null;
+        const prefix = shadowScope ? `${generateSelector(shadowScope.host)} ` : "";
+        const queryRoot: Document | ShadowRoot = shadowScope || document;
+
+        if (element.id) return `${prefix}#${element.id}`;
 
         const classes = Array.from(element.classList).filter(
           (c) => c && !c.includes(" ")
         );
         if (classes.length > 0) {
           const selector = `.${classes[0]}`;
-          if (document.querySelectorAll(selector).length === 1) {
-            return selector;
+          if (queryRoot.querySelectorAll(selector).length === 1) {
+            return prefix + selector;
           }
         }
 
@@ -7814,9 +8508,11 @@ export async function extractComplete(
         while (current && current !== document.body) {
           const tag = current.tagName.toLowerCase();
           const parent: Element | null = current.parentElement;
+          const siblingPool =
+            parent || (shadowScope && current.parentNode === shadowScope ? shadowScope : null);
 
-          if (parent) {
-            const siblings = Array.from(parent.children).filter(
+          if (siblingPool) {
+            const siblings = Array.from(siblingPool.children).filter(
               (child): child is Element => child.tagName === current!.tagName
             );
             const index = siblings.indexOf(current) + 1;
@@ -7828,7 +8524,7 @@ export async function extractComplete(
           current = parent;
         }
 
-        return path.join(" > ");
+        return prefix + path.join(" > ");
       };
 
       /**
@@ -7846,6 +8542,43 @@ export async function extractComplete(
         return vars;
       };
 
+      // Computed custom properties have var() already substituted, so the
+      // declared text is read from the stylesheets to keep alias chains.
+      const getCSSVariableAliases = () => {
+        const aliases: Record<string, string> = {};
+        const visit = (rules: CSSRuleList) => {
+          for (const rule of Array.from(rules)) {
+            if (rule instanceof CSSStyleRule) {
+              let appliesToRoot = false;
+              try {
+                appliesToRoot = document.documentElement.matches(rule.selectorText);
+              } catch {
+                // Selectors the engine can't match (e.g. vendor prefixes)
+              }
+              if (!appliesToRoot) continue;
+              for (let i = 0; i < rule.style.length; i++) {
+                const prop = rule.style[i];
+                const raw = rule.style.getPropertyValue(prop).trim();
+                if (prop.startsWith("--") && raw.includes("var(")) {
+                  aliases[prop] = raw;
+                }
+              }
+            } else if ((rule as CSSGroupingRule).cssRules) {
+              visit((rule as CSSGroupingRule).cssRules);
+            }
+          }
+        };
+
+        for (const sheet of Array.from(document.styleSheets)) {
+          try {
+            visit(sheet.cssRules);
+          } catch {
+            // Cross-origin stylesheet, rules not readable
+          }
+        }
+        return aliases;
+      };
+
       /**
        * Parse CSS flex shorthand into individual components
        */
@@ -7961,7 +8694,7 @@ export async function extractComplete(
       /**
        * Minimal grid utility helpers for browser context
        */
-      type GridLayout = import("../../ir.js").IRLayout["grid"];
+      type GridLayout = IRLayout["grid"];
       type GridUtilsType = {
         isGridDisplay: (display?: string) => boolean;
         normalizeJustifyContent: (value?: string) => NonNullable<GridLayout>["justifyContent"];
@@ -8261,7 +8994,7 @@ export async function extractComplete(
         legacyLayout: any,
         flexData: ReturnType<typeof resolveFlexLayout>,
         styles: CSSStyleDeclaration
-      ): import("../../ir.js").IRLayout {
+      ): IRLayout {
         const parseSpacing = (property: string) => {
           const value = styles.getPropertyValue(property) || "0";
           if (!value || value === "0" || value === "auto") {
@@ -8285,7 +9018,7 @@ export async function extractComplete(
             boxSizing: (styles.boxSizing || "content-box") as "content-box" | "border-box"
           },
           position: {
-            type: (styles.position || "static") as import("../../ir.js").IRLayout["position"]["type"],
+            type: (styles.position || "static") as IRLayout["position"]["type"],
             top: styles.top || undefined,
             right: styles.right || undefined,
             bottom: styles.bottom || undefined,
@@ -8294,8 +9027,8 @@ export async function extractComplete(
           display: {
             type: styles.display || "block",
             overflow: {
-              x: (styles.overflowX || "visible") as import("../../ir.js").IRLayout["display"]["overflow"]["x"],
-              y: (styles.overflowY || "visible") as import("../../ir.js").IRLayout["display"]["overflow"]["y"]
+              x: (styles.overflowX || "visible") as IRLayout["display"]["overflow"]["x"],
+              y: (styles.overflowY || "visible") as IRLayout["display"]["overflow"]["y"]
             }
           },
           flex: flexData.containerData,
@@ -8432,13 +9165,394 @@ export async function extractComplete(
         return [1, 0, 0, 0, 1, 0];
       }
 
+      // Phrasing elements that can become a styled run of their parent's
+      // text. SUB/SUP are left out: Figma has no baseline shift.
+      const INLINE_RUN_TAGS = new Set([
+        "A", "ABBR", "B", "BDI", "BDO", "BR", "CITE", "CODE", "DATA", "DEL",
+        "DFN", "EM", "I", "INS", "KBD", "MARK", "Q", "S", "SAMP", "SMALL",
+        "SPAN", "STRONG", "TIME", "U", "VAR",
+      ]);
+
+      const hasPseudoContent = (element: Element): boolean => {
+        for (const pseudo of ["::before", "::after"]) {
+          const content = getComputedStyle(element, pseudo).content;
+          if (content && content !== "none" && content !== "normal") return true;
+        }
+        return false;
+      };
+
+      /**
+       * An inline element that only changes how its text looks: no box of
+       * its own (background, border, padding, offset) and nothing but more
+       * of the same inside it.
+       */
+      const isInlineRunElement = (
+        element: Element,
+        rootTextTransform: string
+      ): boolean => {
+        if (!INLINE_RUN_TAGS.has(element.tagName.toUpperCase())) return false;
+        const style = getComputedStyle(element);
+        if (style.display !== "inline" || style.position !== "static") return false;
+        if (element.tagName.toUpperCase() === "BR") return true;
+        if (
+          style.backgroundImage !== "none" ||
+          !/^(transparent|rgba\(0, 0, 0, 0\))$/.test(style.backgroundColor) ||
+          parseFloat(style.borderTopWidth) > 0 ||
+          parseFloat(style.borderRightWidth) > 0 ||
+          parseFloat(style.borderBottomWidth) > 0 ||
+          parseFloat(style.borderLeftWidth) > 0 ||
+          parseFloat(style.paddingLeft) > 0 ||
+          parseFloat(style.paddingRight) > 0 ||
+          style.boxShadow !== "none" ||
+          style.verticalAlign !== "baseline" ||
+          style.textTransform !== rootTextTransform ||
+          hasPseudoContent(element)
+        ) {
+          return false;
+        }
+        return Array.from(element.children).every((child) =>
+          isInlineRunElement(child, rootTextTransform)
+        );
+      };
+
+      /**
+       * Collapses an element's inline formatting context (text plus
+       * <strong>, <em>, <a>, <span>...) into one string with styled runs,
+       * so the plugin builds a single text layer instead of one per tag.
+       * Offsets index the whitespace-collapsed text the node carries.
+       */
+      const extractInlineTextRuns = (
+        root: Element,
+        rootStyle: CSSStyleDeclaration
+      ): { text: string; runs: any[] } | null => {
+        if (root.children.length === 0) return null;
+        if (!/^(normal|nowrap)$/.test(rootStyle.whiteSpace)) return null;
+        if (hasPseudoContent(root)) return null;
+        // Slotted and shadow content isn't reachable by the tree walker
+        if (
+          hasShadowRoot(root) ||
+          root.querySelector("slot") ||
+          Array.from(root.querySelectorAll("*")).some(hasShadowRoot)
+        ) {
+          return null;
+        }
+        if (
+          !Array.from(root.children).every((child) =>
+            isInlineRunElement(child, rootStyle.textTransform)
+          )
+        ) {
+          return null;
+        }
+
+        let text = "";
+        const runs: any[] = [];
+        const walker = document.createTreeWalker(
+          root,
+          NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT
+        );
+        for (let current = walker.nextNode(); current; current = walker.nextNode()) {
+          if (current.nodeType === Node.ELEMENT_NODE) {
+            if ((current as Element).tagName.toUpperCase() === "BR") {
+              text = text.replace(/ $/, "") + "\n";
+            }
+            continue;
+          }
+
+          let segment = (current.textContent || "").replace(/\s+/g, " ");
+          if (segment.startsWith(" ") && (text === "" || /[ \n]$/.test(text))) {
+            segment = segment.slice(1);
+          }
+          if (!segment) continue;
+
+          const owner = current.parentElement || root;
+          const start = text.length;
+          text += segment;
+          if (owner === root) continue;
+
+          const style = getComputedStyle(owner);
+          const link = owner.closest("a");
+          // Decorations propagate to descendants without being inherited
+          const decorations = new Set<string>();
+          for (
+            let decorated: Element | null = owner;
+            decorated;
+            decorated = decorated === root ? null : decorated.parentElement
+          ) {
+            getComputedStyle(decorated)
+              .textDecorationLine.split(" ")
+              .forEach((line) => line !== "none" && decorations.add(line));
+          }
+          runs.push({
+            start,
+            end: text.length,
+            styles: {
+              fontFamily: style.fontFamily,
+              fontWeight: style.fontWeight,
+              fontStyle: style.fontStyle,
+              fontSize: style.fontSize,
+              color: style.color,
+              textDecoration: Array.from(decorations).join(" ") || "none",
+              letterSpacing: style.letterSpacing,
+            },
+            href:
+              link && root.contains(link) && (link as HTMLAnchorElement).href
+                ? (link as HTMLAnchorElement).href
+                : undefined,
+          });
+        }
+
+        const trimmed = text.replace(/\s+$/, "");
+        if (!trimmed) return null;
+        return {
+          text: trimmed,
+          runs: runs
+            .map((run) => ({ ...run, end: Math.min(run.end, trimmed.length) }))
+            .filter((run) => run.end > run.start),
+        };
+      };
+
+      const parseTrackList = (value: string): number[] =>
+        value
+          .replace(/\[[^\]]*\]/g, " ")
+          .trim()
+          .split(/\s+/)
+          .map((track) => parseFloat(track))
+          .filter((track) => !isNaN(track));
+
+      /**
+       * Start offset of each track inside the content box, after
+       * justify-content / align-content hands out the free space.
+       */
+      const distributeTracks = (
+        sizes: number[],
+        gap: number,
+        available: number,
+        distribution: string
+      ): { starts: number[]; free: number } => {
+        const used = sizes.reduce((sum, size) => sum + size, 0) + gap * (sizes.length - 1);
+        const free = Math.max(0, available - used);
+        let offset = 0;
+        let extra = 0;
+        if (distribution.includes("center")) offset = free / 2;
+        else if (/(^|\s)(end|flex-end)$/.test(distribution)) offset = free;
+        else if (distribution === "space-between") extra = sizes.length > 1 ? free / (sizes.length - 1) : 0;
+        else if (distribution === "space-around") {
+          extra = free / sizes.length;
+          offset = extra / 2;
+        } else if (distribution === "space-evenly") {
+          extra = free / (sizes.length + 1);
+          offset = extra;
+        }
+
+        const starts: number[] = [];
+        let position = offset;
+        for (const size of sizes) {
+          starts.push(position);
+          position += size + gap + extra;
+        }
+        return { starts, free };
+      };
+
+      /** Explicit placement from grid-row/grid-column, 0-based, or null */
+      const parseGridLine = (
+        start: string,
+        end: string,
+        trackCount: number
+      ): { index: number; span: number } | null => {
+        if (!/^\d+$/.test(start)) return null;
+        const index = parseInt(start, 10) - 1;
+        let span = 1;
+        const spanMatch = end.match(/^span (\d+)$/);
+        if (/^\d+$/.test(end)) span = parseInt(end, 10) - 1 - index;
+        else if (spanMatch) span = parseInt(spanMatch[1], 10);
+        else if (end !== "auto") return null;
+        if (index < 0 || span < 1 || index + span > trackCount) return null;
+        return { index, span };
+      };
+
+      /** Tracks (inclusive) covered by [from, to] in content-box pixels */
+      const coveredTracks = (
+        from: number,
+        to: number,
+        starts: number[],
+        sizes: number[]
+      ): { index: number; span: number } => {
+        let first = 0;
+        starts.forEach((start, i) => {
+          if (start <= from + 1) first = i;
+        });
+        let last = sizes.length - 1;
+        for (let i = sizes.length - 1; i >= first; i--) {
+          if (starts[i] + sizes[i] >= to - 1) last = i;
+        }
+        return { index: first, span: Math.max(1, last - first + 1) };
+      };
+
+      /**
+       * Reads a grid container's resolved tracks (computed
+       * grid-template-* lists every track in px) and which cells each
+       * in-flow child occupies, then decides whether Figma's grid auto
+       * layout can reproduce it. When it can't, "rows"/"columns" names the
+       * nested auto-layout fallback, which needs single-row (or
+       * single-column) items.
+       */
+      const resolveGridGeometry = (
+        el: Element,
+        styles: CSSStyleDeclaration
+      ): {
+        tracks: NonNullable<NonNullable<IRLayout["grid"]>["tracks"]>;
+        items: Map<Element, IRGridItem>;
+      } | null => {
+        const columns = parseTrackList(styles.gridTemplateColumns);
+        const rows = parseTrackList(styles.gridTemplateRows);
+        if (columns.length === 0 || rows.length === 0) return null;
+
+        const rect = el.getBoundingClientRect();
+        const contentLeft = rect.left + parseFloat(styles.borderLeftWidth) + parseFloat(styles.paddingLeft);
+        const contentTop = rect.top + parseFloat(styles.borderTopWidth) + parseFloat(styles.paddingTop);
+        const contentWidth =
+          el.clientWidth - parseFloat(styles.paddingLeft) - parseFloat(styles.paddingRight);
+        const contentHeight =
+          el.clientHeight - parseFloat(styles.paddingTop) - parseFloat(styles.paddingBottom);
+        const columnGap = parseFloat(styles.columnGap) || 0;
+        const rowGap = parseFloat(styles.rowGap) || 0;
+
+        const columnLayout = distributeTracks(columns, columnGap, contentWidth, styles.justifyContent);
+        const rowLayout = distributeTracks(rows, rowGap, contentHeight, styles.alignContent);
+
+        const unsupported: string[] = [];
+        if (/subgrid|masonry/.test(styles.gridTemplateColumns + styles.gridTemplateRows)) {
+          unsupported.push("subgrid/masonry");
+        }
+        if (styles.direction === "rtl") unsupported.push("rtl");
+        const distributes = (value: string) =>
+          value !== "normal" && value !== "stretch" && !/^(start|flex-start|left|top)$/.test(value);
+        if (columnLayout.free > 1 && distributes(styles.justifyContent)) {
+          unsupported.push("justify-content");
+        }
+        if (rowLayout.free > 1 && distributes(styles.alignContent)) {
+          unsupported.push("align-content");
+        }
+
+        const items = new Map<Element, IRGridItem>();
+        const occupied = new Set<string>();
+        for (const child of Array.from(el.children)) {
+          const childStyles = getComputedStyle(child);
+          if (childStyles.display === "none") continue;
+          if (childStyles.position === "absolute" || childStyles.position === "fixed") continue;
+          if (childStyles.display === "contents") {
+            unsupported.push("display: contents");
+            continue;
+          }
+
+          const childRect = child.getBoundingClientRect();
+          const left = childRect.left - parseFloat(childStyles.marginLeft) - contentLeft;
+          const right = childRect.right + parseFloat(childStyles.marginRight) - contentLeft;
+          const top = childRect.top - parseFloat(childStyles.marginTop) - contentTop;
+          const bottom = childRect.bottom + parseFloat(childStyles.marginBottom) - contentTop;
+
+          const column =
+            parseGridLine(childStyles.gridColumnStart, childStyles.gridColumnEnd, columns.length) ||
+            coveredTracks(left, right, columnLayout.starts, columns);
+          const row =
+            parseGridLine(childStyles.gridRowStart, childStyles.gridRowEnd, rows.length) ||
+            coveredTracks(top, bottom, rowLayout.starts, rows);
+
+          for (let r = row.index; r < row.index + row.span; r++) {
+            for (let c = column.index; c < column.index + column.span; c++) {
+              if (occupied.has(`${r}:${c}`)) unsupported.push("overlapping items");
+              occupied.add(`${r}:${c}`);
+            }
+          }
+          items.set(child, {
+            row: row.index,
+            column: column.index,
+            rowSpan: row.span,
+            columnSpan: column.span,
+          });
+        }
+
+        const placements = Array.from(items.values());
+        const isEven = (sizes: number[], free: number) =>
+          free <= 1 && Math.max(...sizes) - Math.min(...sizes) <= 0.5;
+        const expressible = unsupported.length === 0;
+        let fallback: "rows" | "columns" | undefined;
+        if (!expressible) {
+          if (placements.every((item) => item.rowSpan === 1)) fallback = "rows";
+          else if (placements.every((item) => item.columnSpan === 1)) fallback = "columns";
+        }
+
+        return {
+          tracks: {
+            columns,
+            rows,
+            columnsFlexible: isEven(columns, columnLayout.free),
+            rowsFlexible: isEven(rows, rowLayout.free),
+            expressible,
+            unsupported: expressible ? undefined : Array.from(new Set(unsupported)),
+            fallback,
+          },
+          items,
+        };
+      };
+
+      // Elements entirely outside a clipRect are skipped
+      const isOutsideCaptureRegion = (rect: DOMRect): boolean => {
+        const region = opts.captureRegion;
+        if (!region?.clipRect) return false;
+        const x = rect.left + window.scrollX;
+        const y = rect.top + window.scrollY;
+        return (
+          x >= region.origin.x + region.width ||
+          y >= region.origin.y + region.height ||
+          x + rect.width <= region.origin.x ||
+          y + rect.height <= region.origin.y
+        );
+      };
+
       // ==================== MAIN EXTRACTION ====================
 
       const nodes: any[] = [];
       const valueFrequency = new Map();
       const cssVars = getCSSVariables();
-      const elements = document.querySelectorAll("*");
+      // Region captures walk only the root's subtree
+      const regionRoot = opts.captureRegion?.rootSelector
+        ? document.querySelector(opts.captureRegion.rootSelector)
+        : null;
+      // Elements in flat-tree order: open shadow roots are walked in place
+      // of their host's light children, and slotted elements appear where
+      // their slot renders them. Slots that generate no box are skipped and
+      // their content is parented to the slot's own parent.
+      const flatParents = new Map<Element, Element>();
+      const flatChildLists = new Map<Element, Element[]>();
+      const elements: Element[] = [];
+      const stack: Array<{ element: Element; parent: Element | null }> = [
+        { element: regionRoot || document.documentElement, parent: null },
+      ];
+      while (stack.length > 0) {
+        const { element, parent } = stack.pop()!;
+        const transparent =
+          isSlot(element) && getComputedStyle(element).display === "contents";
+        if (!transparent) {
+          elements.push(element);
+          flatChildLists.set(element, []);
+          if (parent) {
+            flatParents.set(element, parent);
+            flatChildLists.get(parent)!.push(element);
+          }
+        }
+        const children = flatChildren(element);
+        for (let c = children.length - 1; c >= 0; c--) {
+          stack.push({ element: children[c], parent: transparent ? parent : element });
+        }
+      }
       const nodeMap = new Map();
+      // Inline elements folded into an ancestor's text runs get no node
+      const inlineRunElements = new WeakSet<Element>();
+      // Shapes inside an <svg> that is imported as a whole
+      const svgContentElements = new WeakSet<Element>();
+      // Cells of grid children, filled in when their container is visited
+      const gridItems = new Map<Element, IRGridItem>();
 
       console.log(`[DOM Extraction] Found ${elements.length} total elements`);
 
@@ -8458,7 +9572,21 @@ export async function extractComplete(
         }
 
         const el = elements[i] as HTMLElement;
+        // Direct children are marked when their ancestor is visited; deeper
+        // descendants inherit the mark from their flat parent
+        const flatParent = flatParents.get(el);
+        if (inlineRunElements.has(el) || (flatParent && inlineRunElements.has(flatParent))) {
+          inlineRunElements.add(el);
+          continue;
+        }
+        if (svgContentElements.has(el) || (flatParent && svgContentElements.has(flatParent))) {
+          svgContentElements.add(el);
+          continue;
+        }
         const rect = el.getBoundingClientRect();
+        if (isOutsideCaptureRegion(rect)) {
+          continue;
+        }
         const styles = getComputedStyle(el);
 
         const isIntentionallyHidden =
@@ -8470,7 +9598,15 @@ export async function extractComplete(
           continue;
         }
 
-        const nodeId = generateId();
+        // Ids live on the window so repeated passes in the same session
+        // (responsive breakpoints) give each element the same node id.
+        const stableIds: WeakMap<Element, string> =
+          ((window as any).__webToFigmaNodeIds ||= new WeakMap());
+        let nodeId = stableIds.get(el);
+        if (!nodeId) {
+          nodeId = generateId();
+          stableIds.set(el, nodeId);
+        }
         nodeMap.set(el, nodeId);
 
         const styleData = extractAllStyles(styles, el);
@@ -8502,10 +9638,15 @@ export async function extractComplete(
           };
         }
 
+        // Outermost <svg> only; its content travels as one self-contained
+        // document and gets no nodes of its own
+        const isSvgRoot = el instanceof SVGSVGElement && !el.ownerSVGElement;
         let svgData = null;
-        if (el.tagName === "SVG") {
+        if (isSvgRoot) {
+          const serializeSvg = (window as any).__webToFigmaSerializeSvg;
+          Array.from(el.children).forEach((child) => svgContentElements.add(child));
           svgData = {
-            content: el.outerHTML,
+            content: serializeSvg ? serializeSvg(el) : el.outerHTML,
             viewBox: el.getAttribute("viewBox"),
             width: el.getAttribute("width"),
             height: el.getAttribute("height"),
@@ -8532,10 +9673,25 @@ export async function extractComplete(
 
         // Create IRLayout from legacy layout and flexbox data
         const irLayout = createIRLayoutFromLegacy(layout, flexLayoutData, styles);
+        if (irLayout.grid) {
+          const gridGeometry = resolveGridGeometry(el, styles);
+          if (gridGeometry) {
+            irLayout.grid.tracks = gridGeometry.tracks;
+            gridGeometry.items.forEach((item, child) => gridItems.set(child, item));
+          }
+        }
+        const gridItem = gridItems.get(el);
+        if (gridItem) {
+          irLayout.gridItem = gridItem;
+        }
 
         const hasTypography = shouldCaptureTypography(el, styles);
+        const inlineText = hasTypography ? extractInlineTextRuns(el, styles) : null;
+        if (inlineText) {
+          Array.from(el.children).forEach((child) => inlineRunElements.add(child));
+        }
         const extractedText = hasTypography
-          ? extractTextContent(el)
+          ? inlineText?.text ?? extractTextContent(el)
           : undefined;
         
         // Extract browser-accurate text metrics using the enhanced function
@@ -8546,7 +9702,7 @@ export async function extractComplete(
         let nodeType: "IMAGE" | "SVG" | "CANVAS" | "VIDEO" | "FRAME" | "TEXT";
         if (el.tagName === "IMG") {
           nodeType = "IMAGE";
-        } else if (el.tagName === "SVG") {
+        } else if (isSvgRoot) {
           nodeType = "SVG";
         } else if (el.tagName === "CANVAS") {
           nodeType = "CANVAS";
@@ -8563,6 +9719,22 @@ export async function extractComplete(
         // Compute world-space transform matrix
         const worldTransform = computeWorldMatrix(el);
 
+        // ::part() rules are already in the computed styles; the names are
+        // kept so the element can be traced back to its styling hook
+        const parts = Array.from(el.part);
+        const shadowMode = el.shadowRoot
+          ? el.shadowRoot.mode
+          : closedShadowHosts.has(el)
+            ? "closed"
+            : undefined;
+        const shadow =
+          shadowMode || parts.length > 0
+            ? {
+                ...(shadowMode ? { mode: shadowMode } : {}),
+                ...(parts.length > 0 ? { parts } : {}),
+              }
+            : undefined;
+
         // ✅ CREATE NODE WITH TOP-LEVEL STRUCTURE
         const node = {
           id: nodeId,
@@ -8587,10 +9759,10 @@ export async function extractComplete(
           typography: hasTypography
             ? {
                 text: {
-                  content: el.textContent || "",
+                  content: composedTextContent(el),
                   innerText: (el as HTMLElement).innerText || "",
                   innerHTML: el.innerHTML.substring(0, 500),
-                  length: (el.textContent || "").length,
+                  length: composedTextContent(el).length,
                   isClipped: el.scrollWidth > el.clientWidth,
                   lineCount: calculatePreciseLineCount(el, styles),
                   firstLineHeight: getFirstLineHeight(el),
@@ -8668,7 +9840,8 @@ export async function extractComplete(
           // Content - Enhanced text with rawText and html
           text: extractedText ? {
             rawText: extractedText,
-            html: el.innerHTML.substring(0, 1000) // Reasonable HTML snippet limit
+            html: el.innerHTML.substring(0, 1000), // Reasonable HTML snippet limit
+            runs: inlineText && inlineText.runs.length > 0 ? inlineText.runs : undefined,
           } : undefined,
           
           // Browser-accurate text metrics
@@ -8679,7 +9852,7 @@ export async function extractComplete(
 
           // Hierarchy
           children: [],
-          parent: el.parentElement ? nodeMap.get(el.parentElement) : undefined,
+          parent: flatParent ? nodeMap.get(flatParent) : undefined,
 
           // Metadata
           selector: generateSelector(el),
@@ -8691,6 +9864,7 @@ export async function extractComplete(
             Object.keys(dataAttributes).length > 0 ? dataAttributes : undefined,
           ariaLabel: el.getAttribute("aria-label") || undefined,
           role: el.getAttribute("role") || undefined,
+          shadow: shadow,
 
           // Pseudo-elements attached as IRNode children
           pseudo: (() => {
@@ -8708,9 +9882,11 @@ export async function extractComplete(
           })(),
 
           // Flags
-          needsScreenshot: opts.screenshotComplexOnly
-            ? needsScreenshot(styles, el, pseudoElements)
-            : false,
+          needsScreenshot:
+            shadow?.mode === "closed" ||
+            (opts.screenshotComplexOnly
+              ? needsScreenshot(styles, el, pseudoElements)
+              : false),
         };
 
         nodes.push(node);
@@ -8733,7 +9909,7 @@ export async function extractComplete(
         const node = nodes.find((n) => n.id === nodeId);
         if (!node) continue;
 
-        const childNodes = Array.from(el.children)
+        const childNodes = (flatChildLists.get(el) || [])
           .map((child) => nodeMap.get(child))
           .filter((id) => id);
 
@@ -8761,46 +9937,6 @@ export async function extractComplete(
         return tokens;
       };
 
-      const inferDesignSystem = (nodes: any[]) => {
-        const spacings = new Set<number>();
-        const radii = new Set<number>();
-        const colors = new Set<string>();
-        const fontSizes = new Set<number>();
-        const fontWeights = new Set<string>();
-
-        nodes.forEach((node) => {
-          if (node.styles.padding) {
-            const values = node.styles.padding.match(/\d+/g);
-            if (values)
-              values.forEach((v: string) => spacings.add(parseInt(v)));
-          }
-          if (node.styles.gap) {
-            const value = node.styles.gap.match(/\d+/);
-            if (value) spacings.add(parseInt(value[0]));
-          }
-          if (node.styles.borderRadius) {
-            const values = node.styles.borderRadius.match(/\d+/g);
-            if (values) values.forEach((v: string) => radii.add(parseInt(v)));
-          }
-          if (node.styles.backgroundColor)
-            colors.add(node.styles.backgroundColor);
-          if (node.styles.color) colors.add(node.styles.color);
-          if (node.styles.fontSize) {
-            const size = parseFloat(node.styles.fontSize);
-            if (!isNaN(size)) fontSizes.add(size);
-          }
-          if (node.styles.fontWeight) fontWeights.add(node.styles.fontWeight);
-        });
-
-        return {
-          spacing: Array.from(spacings).sort((a, b) => a - b),
-          radii: Array.from(radii).sort((a, b) => a - b),
-          colors: Array.from(colors),
-          fontSizes: Array.from(fontSizes).sort((a, b) => a - b),
-          fontWeights: Array.from(fontWeights).sort(),
-        };
-      };
-
       // Return final data
       const elapsed = Date.now() - startTime;
           console.log(`[DOM Extraction] Completed in ${elapsed}ms - ${nodes.length} nodes extracted`);
@@ -8809,8 +9945,8 @@ export async function extractComplete(
         nodes: nodes,
         tokens: {
           explicit: cssVars,
+          aliases: getCSSVariableAliases(),
           implicit: generateImplicitTokens(valueFrequency),
-          inferred: inferDesignSystem(nodes),
         },
         viewport: {
           width: window.innerWidth,
@@ -8818,7 +9954,7 @@ export async function extractComplete(
         },
       };
     },
-    { capturePseudoElements, screenshotComplexOnly, renderEnv }
+    { capturePseudoElements, screenshotComplexOnly, renderEnv, captureRegion }
       ),
       // Timeout promise
       new Promise((_, reject) =>
@@ -8830,12 +9966,20 @@ export async function extractComplete(
     // Return minimal fallback data to allow pipeline to continue
     data = {
       nodes: [],
-      tokens: { explicit: {}, implicit: {}, inferred: { spacing: [], radii: [], colors: [], fontSizes: [], fontWeights: [] } },
+      tokens: { explicit: {}, implicit: {} },
       viewport: { width: viewport.width, height: viewport.height }
     };
   }
 
   console.log(`[Phases 3-5] ✅ ${data.nodes.length} nodes`);
+
+  // Cluster the raw style values into a cleaned, role-named token set
+  data.tokens.inferred = inferDesignTokens(data.nodes);
+  const semantic = data.tokens.inferred.semantic;
+  console.log(
+    `[Tokens] ✅ ${semantic.colors.length} colors, ${semantic.spacing.baseUnit}px spacing unit ` +
+      `(${Math.round(semantic.spacing.coverage * 100)}% fit), type scale ${semantic.typeScale.ratio}`
+  );
   // Attach primary screenshots
   for (const node of data.nodes) {
     const screenshot = await page.evaluate((id) => {
@@ -8849,7 +9993,12 @@ export async function extractComplete(
   // ✅ PHASE 6: Text Rasterization
   console.log("[Phase 6] 🎨 Text rasterization...");
   const { nodes: nodesWithRaster, stats: rasterStats } =
-    await processTextRasterization(page, data.nodes, renderEnv);
+    await processTextRasterization(
+      page,
+      data.nodes,
+      renderEnv,
+      { ...DEFAULT_RASTERIZE_TEXT, ...options.rasterizeText }
+    );
   console.log(`[Phase 6] ✅ ${rasterStats.rasterized} rasterized`);
 
   // ✅ PHASE 7: Figma Pre-Conversion
@@ -8911,11 +10060,12 @@ export async function extractComplete(
   if (captureFonts && fontAssets.length > 0) {
     console.log("[Font Processing] Analyzing font usage across extracted nodes...");
     fontAssets = updateFontUsageInNodes(fontAssets, { nodes: nodesWithNames });
+    fontAssets = await measureFontMetrics(page, fontAssets);
   }
 
   // Comprehensive Asset Collection (Images, SVG, Canvas, Video)
   console.log("[Asset Collection] Starting comprehensive asset extraction...");
-  const { imageAssets, svgAssets } = await collectAllAssets(page, url);
+  const { imageAssets, svgAssets } = await collectAllAssets(page, url, captureRegion);
   console.log(`[Asset Collection] ✅ Collected ${imageAssets.length} image assets, ${svgAssets.length} SVG assets`);
 
   // Font Faces
@@ -8924,7 +10074,7 @@ export async function extractComplete(
   // Capture screenshots if requested
   let screenshots: Record<string, EnhancedScreenshot> = {};
   let screenshotCandidates: any[] = [];
-  if (captureScreenshots && !isAborted) {
+  if (captureScreenshots && !session.aborted) {
     const candidatePool = (screenshotComplexOnly
       ? nodesWithNames.filter((n: any) => n.needsScreenshot)
       : nodesWithNames
@@ -8965,13 +10115,13 @@ export async function extractComplete(
         screenshots
       );
     }
-  } else if (isAborted) {
+  } else if (session.aborted) {
     console.log('[Phase 3] ⏱️  Skipping screenshots due to timeout');
   }
 
   // Capture states if requested
-  let states: Record<string, Record<string, EnhancedScreenshot>> = {};
-  if (captureStates && !isAborted) {
+  let states: Record<string, IRInteractionStates> = {};
+  if (captureStates && !session.aborted) {
     states = await captureInteractionStates(
       page,
       nodesWithNames.filter(
@@ -8979,10 +10129,28 @@ export async function extractComplete(
       ),
       renderEnv
     );
-  } else if (captureStates && isAborted) {
+  } else if (captureStates && session.aborted) {
     console.log('[Phase 3] ⏱️  Skipping state capture due to timeout');
   }
 
+  for (const node of nodesWithNames) {
+    if (states[node.id]) {
+      node.states = states[node.id];
+    }
+  }
+
+  // Light/dark color deltas for themeable variables
+  if (options.captureColorSchemes && !session.aborted) {
+    console.log("[Color Schemes] 🌗 Capturing dark scheme...");
+    try {
+      const colorSchemes = await captureColorSchemes(page, nodesWithNames);
+      data.tokens = { ...(data.tokens || {}), colorSchemes };
+      console.log(`[Color Schemes] ✅ ${colorSchemes.length} colors change between light and dark`);
+    } catch (error) {
+      console.error("❌ [Color Schemes] Dark scheme capture failed, continuing:", error);
+    }
+  }
+
   const extractionDuration = ((Date.now() - startTime) / 1000).toFixed(1);
   console.log(`✅ Extraction complete in ${extractionDuration}s`);
 
@@ -9043,7 +10211,7 @@ export async function extractComplete(
 
     // Metadata
     meta: {
-      url,
+      url: redactUrl(url),
       extractedAt: new Date().toISOString(),
       version: "2.0.0-ultimate",
       phases: "0.5,1,2,3,4,5,6,7,8,9,10",
@@ -9053,6 +10221,9 @@ export async function extractComplete(
 
   // Convert to unified IR schema
   const result: IRDocument = legacyMigrator.migrateFromExtractedData(legacyResult);
+  if (captureRegion) {
+    result.capture = captureRegion;
+  }
   
   // Compile and normalize IR for Figma-ready output
   console.log("[Phase 10] Starting IR compilation and normalization...");
@@ -9079,48 +10250,212 @@ export async function extractComplete(
     .reduce((sum, chain) => sum + Object.keys(chain.explicit).length, 0);
     
   console.log(`[Phase 11] ✅ Inheritance resolution complete - ${inheritedPropsCount} inherited props, ${explicitPropsCount} explicit props`);
+
+  // The page screenshot stays on the server for the plugin's fidelity check
+  if (primaryScreenshots?.page?.src) {
+    compiledResult.meta.captureId = crypto.randomUUID();
+    rememberCapture(compiledResult.meta.captureId, primaryScreenshots.page, compiledResult.nodes);
+  }
   
   return compiledResult;
+}
+
+// ==================== RESPONSIVE EXTRACTION ====================
 
+export const DEFAULT_BREAKPOINTS: IRBreakpoint[] = [
+  { name: "Desktop", width: 1440, height: 900 },
+  { name: "Tablet", width: 768, height: 1024 },
+  { name: "Mobile", width: 375, height: 812 },
+];
+
+const MIN_BREAKPOINT_WIDTH = 200;
+const MAX_BREAKPOINT_WIDTH = 3840;
+
+/**
+ * Validate breakpoints coming from request bodies. Invalid entries are
+ * dropped; an empty result falls back to DEFAULT_BREAKPOINTS.
+ */
+export function normalizeBreakpoints(input: unknown): IRBreakpoint[] {
+  if (!Array.isArray(input)) return DEFAULT_BREAKPOINTS;
+
+  const seen = new Set<number>();
+  const breakpoints: IRBreakpoint[] = [];
+
+  for (const entry of input) {
+    const width = Math.round(Number(entry?.width));
+    if (!isFinite(width) || width < MIN_BREAKPOINT_WIDTH || width > MAX_BREAKPOINT_WIDTH) {
+      continue;
+    }
+    if (seen.has(width)) continue;
+    seen.add(width);
+
+    const height = Math.round(Number(entry?.height));
+    breakpoints.push({
+      name: typeof entry?.name === "string" && entry.name.trim() ? entry.name.trim() : `${width}px`,
+      width,
+      height: isFinite(height) && height > 0 ? height : DEFAULT_VIEWPORT.height,
+    });
+  }
+
+  return breakpoints.length > 0 ? breakpoints : DEFAULT_BREAKPOINTS;
+}
+
+/**
+ * Semantic names are numbered per pass, so a node hidden at one width shifts
+ * the counters of everything after it. Reuse the first name seen for each
+ * node id so layers line up across breakpoint frames.
+ */
+function alignBreakpointNames(documents: IRDocument[]): void {
+  const names = new Map<string, string>();
+
+  for (const document of documents) {
+    for (const node of document.nodes as any[]) {
+      const existing = names.get(node.id);
+      if (existing) {
+        node.name = existing;
+      } else if (node.name) {
+        names.set(node.id, node.name);
+      }
+    }
+  }
+}
+
+/**
+ * Each breakpoint pass numbers its color-scheme tokens from 1, and only the
+ * first document's tokens are streamed. Merge them into one list and
+ * rewrite node references so every breakpoint binds to the same variables.
+ */
+function alignColorSchemeTokens(documents: IRDocument[]): void {
+  const merged = new Map<string, IRColorSchemeToken>();
+  const roleCounts: Record<string, number> = {};
+
+  for (const document of documents) {
+    const renames = new Map<string, string>();
+    for (const token of document.tokens?.colorSchemes || []) {
+      const role = token.name.split("/")[0];
+      const key = `${role}|${token.light}|${token.dark}`;
+      let target = merged.get(key);
+      if (!target) {
+        roleCounts[role] = (roleCounts[role] || 0) + 1;
+        target = { ...token, name: `${role}/${roleCounts[role]}` };
+        merged.set(key, target);
+      }
+      renames.set(token.name, target.name);
+    }
+
+    for (const node of document.nodes) {
+      if (!node.colorTokens) continue;
+      for (const [property, name] of Object.entries(node.colorTokens)) {
+        node.colorTokens[property] = renames.get(name) || name;
+      }
+    }
+  }
+
+  if (merged.size === 0) return;
+  for (const document of documents) {
+    if (document.tokens) {
+      document.tokens.colorSchemes = Array.from(merged.values());
+    }
+  }
+}
+
+/**
+ * Breakpoint-set mode: loads the page once, then re-lays it out at each
+ * breakpoint width and runs the full pipeline per width.
+ */
+export async function extractResponsive(
+  url: string,
+  options: ExtractionOptions = {}
+): Promise<IRResponsiveDocument> {
+  const breakpoints = normalizeBreakpoints(options.breakpoints);
+
+  console.log(
+    `🚀 Responsive extraction: ${redactUrl(url)} at ${breakpoints.map((bp) => `${bp.name} (${bp.width}px)`).join(", ")}`
+  );
+
+  const session = await openExtractionSession(breakpoints[0], url, options.auth);
+
+  try {
+    await navigateForExtraction(session.page, url);
+
+    const captured: IRResponsiveDocument["breakpoints"] = [];
+    for (const breakpoint of breakpoints) {
+      if (session.aborted) {
+        console.warn(`⏱️  Skipping breakpoint ${breakpoint.name} due to timeout`);
+        break;
+      }
+
+      console.log(`[Breakpoint] 📐 ${breakpoint.name}: ${breakpoint.width}x${breakpoint.height}`);
+      await session.page.setViewportSize({
+        width: breakpoint.width,
+        height: breakpoint.height,
+      });
+      // Let media queries, ResizeObservers and lazy images settle at the new width
+      await session.page.waitForLoadState("networkidle", { timeout: 5000 }).catch(() => {});
+      await session.page.waitForTimeout(300);
+
+      // Steps only run on the first pass; later widths re-lay out the same state
+      const document = await extractFromPage(session, url, {
+        ...options,
+        steps: captured.length === 0 ? options.steps : undefined,
+        viewport: { width: breakpoint.width, height: breakpoint.height },
+      });
+      captured.push({ ...breakpoint, document });
+    }
+
+    alignBreakpointNames(captured.map((entry) => entry.document));
+    alignColorSchemeTokens(captured.map((entry) => entry.document));
+
+    return {
+      url: redactUrl(url),
+      capturedAt: new Date().toISOString(),
+      breakpoints: captured,
+    };
   } catch (error) {
-    console.error('❌ EXTRACTION FAILED:', error);
+    console.error('❌ RESPONSIVE EXTRACTION FAILED:', error);
     throw error;
   } finally {
-    clearTimeout(extractionTimeout);
-    await browser.close();
-    console.log('🔒 Browser closed');
+    await closeExtractionSession(session);
   }
 }
 
 // ==================== PRESET EXTRACTION MODES ====================
 
-export async function extractBasic(url: string) {
-  return extractComplete(url, {
+export type ExtractionMode = "basic" | "hybrid" | "maximum";
+
+export const EXTRACTION_MODE_PRESETS: Record<ExtractionMode, ExtractionOptions> = {
+  basic: {
     captureFonts: false,
     captureScreenshots: false,
     captureStates: false,
     capturePseudoElements: false,
-  });
-}
-
-export async function extractHybrid(url: string) {
-  return extractComplete(url, {
+  },
+  hybrid: {
     captureFonts: true,
     captureScreenshots: true,
     screenshotComplexOnly: true,
     captureStates: false,
     capturePseudoElements: true,
-  });
-}
-
-export async function extractMaximum(url: string) {
-  return extractComplete(url, {
+  },
+  maximum: {
     captureFonts: true,
     captureScreenshots: true,
     screenshotComplexOnly: false,
     captureStates: true,
     capturePseudoElements: true,
-  });
+  },
+};
+
+export async function extractBasic(url: string, options: ExtractionOptions = {}) {
+  return extractComplete(url, { ...EXTRACTION_MODE_PRESETS.basic, ...options });
+}
+
+export async function extractHybrid(url: string, options: ExtractionOptions = {}) {
+  return extractComplete(url, { ...EXTRACTION_MODE_PRESETS.hybrid, ...options });
+}
+
+export async function extractMaximum(url: string, options: ExtractionOptions = {}) {
+  return extractComplete(url, { ...EXTRACTION_MODE_PRESETS.maximum, ...options });
 }
 
 // Backward compatibility
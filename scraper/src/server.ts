@@ -14,9 +14,24 @@ import cors from 'cors';
 import { WebSocket, WebSocketServer } from 'ws';
 import { createServer } from 'http';
 import net from 'net';
-import { extractBasic, extractHybrid, extractMaximum } from './scraper.js';
-import { StreamController } from './stream-controller.js';
-import type { IRNode } from '../../ir.js';
+import {
+  extractBasic,
+  extractHybrid,
+  extractMaximum,
+  extractResponsive,
+  normalizeBreakpoints,
+  normalizeRasterizeText,
+  EXTRACTION_MODE_PRESETS,
+  type ExtractionMode,
+  type ExtractionOptions,
+} from './scraper.js';
+import { StreamController, type StreamOptions, type StreamPayload } from './stream-controller.js';
+import { normalizeAuth, redactUrl } from './auth.js';
+import { normalizeCaptureSteps, type CaptureStepResult } from './capture-steps.js';
+import { normalizeClipRect, normalizeRootSelector } from './capture-region.js';
+import { exportTokens, isTokenExportFormat, TOKEN_EXPORT_FORMATS } from './token-export.js';
+import { diffImport, hasCapture } from './fidelity.js';
+import type { IRDocument, IRNode } from '../../ir.js';
 import fetch from 'node-fetch';
 import { ProgressTracker, CircularProgressBar, type ProgressUpdate } from './progress-tracker.js';
 import { logger, type LogMessage } from './logger.js';
@@ -155,19 +170,80 @@ app.get('/screenshot', async (req, res) => {
   }
 });
 
+function resolveExtractionMode(mode: unknown): ExtractionMode {
+  return mode === 'basic' || mode === 'maximum' ? mode : 'hybrid';
+}
+
+/**
+ * Validates the optional capture settings shared by /scrape and /ws.
+ * Throws with a message that is safe to send back to the client.
+ */
+function parseRequestOptions(body: any): ExtractionOptions {
+  return {
+    auth: normalizeAuth(body.auth),
+    steps: normalizeCaptureSteps(body.steps),
+    captureColorSchemes: body.captureColorSchemes === true,
+    rootSelector: normalizeRootSelector(body.rootSelector),
+    clipRect: normalizeClipRect(body.clipRect),
+    rasterizeText: normalizeRasterizeText(body.rasterizeText),
+  };
+}
+
+/**
+ * Streaming settings a /ws client asks for. Older plugins send neither and
+ * get JSON image chunks paced by fixed delays.
+ */
+function parseStreamOptions(body: any): StreamOptions {
+  const windowSize = Number(body.windowSize);
+  return {
+    binaryFrames: body.binaryFrames === true,
+    acknowledged: body.ack === true,
+    windowSize: Number.isInteger(windowSize) && windowSize > 0 ? windowSize : undefined,
+  };
+}
+
+function toStreamPayload(data: IRDocument): StreamPayload {
+  return {
+    nodes: data.nodes,
+    fonts: data.assets.fonts,
+    tokens: data.tokens,
+    stackingContexts: [],
+    paintOrder: [],
+    captureId: data.meta.captureId,
+    region: data.capture ? { width: data.capture.width, height: data.capture.height } : undefined
+  };
+}
+
 /**
  * Main scrape endpoint (HTTP)
  */
 app.post('/scrape', async (req, res) => {
-  const { url, mode = 'hybrid' } = req.body;
+  const { url, mode = 'hybrid', breakpoints } = req.body;
   
   if (!url) {
     return res.status(400).json({ error: 'URL required in request body' });
   }
+
+  let requestOptions: ExtractionOptions;
+  try {
+    requestOptions = parseRequestOptions(req.body);
+  } catch (error: any) {
+    return res.status(400).json({ error: error.message });
+  }
   
-  console.log(`Scraping ${url} in ${mode} mode...`);
+  console.log(`Scraping ${redactUrl(url)} in ${mode} mode...`);
   
   try {
+    if (breakpoints) {
+      const responsive = await extractResponsive(url, {
+        ...EXTRACTION_MODE_PRESETS[resolveExtractionMode(mode)],
+        breakpoints: normalizeBreakpoints(breakpoints),
+        ...requestOptions,
+      });
+      console.log(`✓ Responsive extraction complete: ${responsive.breakpoints.length} breakpoints`);
+      return res.json(responsive);
+    }
+
     let data;
     
     // Console progress tracker for HTTP requests
@@ -180,14 +256,14 @@ app.post('/scrape', async (req, res) => {
     
     switch (mode) {
       case 'basic':
-        data = await extractBasic(url);
+        data = await extractBasic(url, requestOptions);
         break;
       case 'maximum':
-        data = await extractMaximum(url);
+        data = await extractMaximum(url, requestOptions);
         break;
       case 'hybrid':
       default:
-        data = await extractHybrid(url);
+        data = await extractHybrid(url, requestOptions);
         break;
     }
     
@@ -205,6 +281,75 @@ app.post('/scrape', async (req, res) => {
   }
 });
 
+/**
+ * Design token export: W3C DTCG, Style Dictionary or Tailwind.
+ * Pass `tokens` from an earlier /scrape response, or a `url` to capture
+ * with the basic preset.
+ */
+app.post('/tokens', async (req, res) => {
+  const { url, tokens, format = 'dtcg' } = req.body;
+
+  if (!isTokenExportFormat(format)) {
+    return res.status(400).json({ error: `format must be one of: ${TOKEN_EXPORT_FORMATS.join(', ')}` });
+  }
+  if (!tokens && !url) {
+    return res.status(400).json({ error: 'tokens or url required in request body' });
+  }
+
+  let requestOptions: ExtractionOptions;
+  try {
+    requestOptions = parseRequestOptions(req.body);
+  } catch (error: any) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const source = tokens ?? (await extractBasic(url, requestOptions)).tokens;
+    const result = exportTokens(source, format);
+    console.log(`✓ Exported ${result.tokenCount} tokens as ${format}`);
+    res.json(result);
+  } catch (error: any) {
+    console.error('Token export error:', error.message);
+    res.status(500).json({
+      error: 'Token export failed',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Import fidelity: the plugin's PNG export of an imported frame, diffed
+ * against the capture's page screenshot. `x`/`y` give the page position
+ * of the export's top-left corner.
+ */
+app.post('/fidelity', express.raw({ type: 'image/png', limit: '100mb' }), async (req, res) => {
+  const captureId = typeof req.query.captureId === 'string' ? req.query.captureId : '';
+  if (!captureId || !hasCapture(captureId)) {
+    return res.status(404).json({
+      error: 'Capture not found',
+      details: 'Only the last few captures made by this server can be checked; re-import the page first'
+    });
+  }
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: 'PNG body required (Content-Type: image/png)' });
+  }
+
+  try {
+    const report = await diffImport(captureId, req.body, {
+      x: Number(req.query.x) || 0,
+      y: Number(req.query.y) || 0
+    });
+    console.log(`✓ Fidelity ${(report.score * 100).toFixed(1)}% for capture ${captureId}`);
+    res.json(report);
+  } catch (error: any) {
+    console.error('Fidelity error:', error.message);
+    res.status(500).json({
+      error: 'Fidelity check failed',
+      details: error.message
+    });
+  }
+});
+
 /**
  * Create HTTP server
  */
@@ -213,8 +358,8 @@ const server = createServer(app);
 /**
  * WebSocket server for streaming large pages
  */
-function sendProgress(ws: WebSocket, payload: any) {
-  if (ws.readyState === WebSocket.OPEN) {
+function sendProgress(ws: WebSocket | null, payload: any) {
+  if (ws?.readyState === WebSocket.OPEN) {
     ws.send(JSON.stringify({ type: 'PROGRESS', payload }));
   }
 }
@@ -222,9 +367,36 @@ function sendProgress(ws: WebSocket, payload: any) {
 const wss = new WebSocketServer({
   server,
   path: '/ws',
-  maxPayload: 100 * 1024 * 1024 // 100MB
+  maxPayload: 100 * 1024 * 1024, // 100MB
+  // Compresses JSON frames; binary image frames opt out per message
+  perMessageDeflate: {
+    threshold: 1024
+  }
 });
 
+// Acknowledged streams by job id, for ACK and RESUME from any connection
+const streamJobs = new Map<string, StreamController>();
+
+function handleStreamControl(ws: WebSocket, message: any): void {
+  const job = typeof message.jobId === 'string' ? streamJobs.get(message.jobId) : undefined;
+  if (!job) {
+    if (message.type === 'RESUME') {
+      ws.send(JSON.stringify({
+        type: 'ERROR',
+        payload: { message: 'Import can no longer be resumed; start it again' }
+      }));
+    }
+    return;
+  }
+
+  if (message.type === 'ACK' && Number.isInteger(message.sequenceNumber)) {
+    job.acknowledge(message.sequenceNumber);
+  } else if (message.type === 'RESUME') {
+    console.log(`WebSocket: Resuming stream job ${job.jobId}`);
+    job.attach(ws, Number.isInteger(message.lastSequence) ? message.lastSequence : -1);
+  }
+}
+
 wss.on('connection', (ws) => {
   console.log('✓ WebSocket connection established');
 
@@ -240,6 +412,9 @@ wss.on('connection', (ws) => {
 
 ws.on('message', async (message) => {
   let keepAliveInterval: NodeJS.Timeout | null = null;
+  let controller: StreamController | undefined;
+  // A resumed job streams to the client's new socket
+  const client = () => (controller ? controller.socket : ws);
 
   const stopKeepAlive = () => {
     if (keepAliveInterval) {
@@ -251,8 +426,9 @@ ws.on('message', async (message) => {
   const startKeepAlive = () => {
     stopKeepAlive();
     keepAliveInterval = setInterval(() => {
-      if (ws.readyState === WebSocket.OPEN) {
-        sendProgress(ws, {
+      const socket = client();
+      if (socket?.readyState === WebSocket.OPEN) {
+        sendProgress(socket, {
           stage: 'heartbeat',
           phase: 'heartbeat',
           current: 0,
@@ -262,19 +438,44 @@ ws.on('message', async (message) => {
           timeElapsed: undefined,
           timeRemaining: undefined,
         });
-      } else {
+      } else if (!(controller && streamJobs.has(controller.jobId))) {
+        // Nobody left to tell, unless the job is waiting for a resume
         stopKeepAlive();
       }
     }, 5000);
   };
 
   try {
-    const { url, mode = 'hybrid' } = JSON.parse(message.toString());
-    console.log(`WebSocket: Extracting ${url} in ${mode} mode...`);
+    const request = JSON.parse(message.toString());
+    if (request.type === 'ACK' || request.type === 'RESUME') {
+      handleStreamControl(ws, request);
+      return;
+    }
+    const { url, mode = 'hybrid', breakpoints } = request;
+
+    let requestOptions: ExtractionOptions;
+    try {
+      requestOptions = parseRequestOptions(request);
+    } catch (validationError: any) {
+      ws.send(JSON.stringify({
+        type: 'error',
+        error: validationError.message
+      }));
+      return;
+    }
+
+    console.log(`WebSocket: Extracting ${redactUrl(url)} in ${mode} mode...`);
+
+    const streamOptions = parseStreamOptions(request);
+    controller = new StreamController(ws, streamOptions);
+    if (streamOptions.acknowledged) {
+      streamJobs.set(controller.jobId, controller);
+      controller.announceJob();
+    }
 
     // Initialize progress tracker
     const progressTracker = new ProgressTracker((update: ProgressUpdate) => {
-      sendProgress(ws, {
+      sendProgress(client(), {
         stage: update.stage,
           phase: update.phase,
           current: update.current,
@@ -283,7 +484,7 @@ ws.on('message', async (message) => {
           message: update.message,
           timeElapsed: update.timeElapsed,
           timeRemaining: update.timeRemaining,
-          url,
+          url: redactUrl(url),
           mode
       });
     });
@@ -291,20 +492,61 @@ ws.on('message', async (message) => {
     progressTracker.setTotalPhases(10); // Phases 0.5 through 10
     progressTracker.startPhase('Phase 0.5', 'Initializing page capture...');
     startKeepAlive();
+
+    const onCaptureStep = (result: CaptureStepResult) => {
+      const label = `Step ${result.index + 1}/${result.total}: ${result.description}`;
+      sendProgress(client(), {
+        stage: 'capture_step',
+        phase: 'Pre-capture steps',
+        current: result.index + 1,
+        total: result.total,
+        percentage: Math.round(((result.index + 1) / result.total) * 100),
+        message: result.status === 'ok'
+          ? `✓ ${label}`
+          : `✗ ${label} failed${result.optional ? ' (optional, continuing)' : ''}: ${result.error}`,
+        status: result.status,
+        error: result.error,
+        url: redactUrl(url),
+        mode
+      });
+    };
     
     try {
+      if (breakpoints) {
+        const responsive = await extractResponsive(url, {
+          ...EXTRACTION_MODE_PRESETS[resolveExtractionMode(mode)],
+          breakpoints: normalizeBreakpoints(breakpoints),
+          ...requestOptions,
+          onCaptureStep,
+        });
+
+        console.log(`✓ Responsive extraction complete: ${responsive.breakpoints.length} breakpoints`);
+        progressTracker.startPhase('Phase 10', 'Preparing breakpoints for streaming...');
+
+        await controller.streamResponsivePage(
+          responsive.breakpoints.map(({ document, ...breakpoint }) => ({
+            breakpoint,
+            payload: toStreamPayload(document),
+          }))
+        );
+
+        progressTracker.completePhase();
+        console.log('✓ WebSocket responsive extraction complete');
+        return;
+      }
+
       let data;
         
         switch (mode) {
           case 'basic':
-            data = await extractBasic(url);
+            data = await extractBasic(url, { ...requestOptions, onCaptureStep });
             break;
           case 'maximum':
-            data = await extractMaximum(url);
+            data = await extractMaximum(url, { ...requestOptions, onCaptureStep });
             break;
           case 'hybrid':
           default:
-            data = await extractHybrid(url);
+            data = await extractHybrid(url, { ...requestOptions, onCaptureStep });
             break;
         }
         
@@ -315,13 +557,9 @@ ws.on('message', async (message) => {
 
         progressTracker.updateStage('streaming_setup', 0, nodesForStreaming.length, 'Setting up streaming...');
 
-        const controller = new StreamController(ws);
         await controller.streamExtractedPage({
-          nodes: nodesForStreaming,
-          fonts: data.assets.fonts,
-          tokens: data.tokens,
-          stackingContexts: [],
-          paintOrder: []
+          ...toStreamPayload(data),
+          nodes: nodesForStreaming
         });
 
         progressTracker.completePhase();
@@ -329,7 +567,7 @@ ws.on('message', async (message) => {
         
       } catch (extractError: any) {
         console.error('Extraction failed:', extractError.message);
-        ws.send(JSON.stringify({ 
+        client()?.send(JSON.stringify({ 
           type: 'error', 
           error: extractError.message 
         }));
@@ -342,11 +580,18 @@ ws.on('message', async (message) => {
       }));
     } finally {
       stopKeepAlive();
+      if (controller) {
+        streamJobs.delete(controller.jobId);
+        controller.close();
+      }
     }
   });
   
   ws.on('close', () => {
     console.log('WebSocket connection closed');
+    for (const job of streamJobs.values()) {
+      job.detach(ws);
+    }
   });
   
   ws.on('error', (error) => {
@@ -436,7 +681,7 @@ async function startServer() {
 ║  📡 ENDPOINTS:                                            ║
 ║                                                           ║
 ║  POST /scrape                                             ║
-║    Body: { "url": "..." }                                ║
+║    Body: { "url", "breakpoints"?, "auth"?, "steps"? }    ║
 ║                                                           ║
 ║  GET  /proxy-image?url=IMAGE_URL                         ║
 ║  GET  /screenshot?url=PAGE_URL&dpr=2                     ║
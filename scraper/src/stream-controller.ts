@@ -1,8 +1,11 @@
+import { randomUUID } from 'crypto';
 import { WebSocket } from 'ws';
 import type {
   CompleteMessage,
+  IRBreakpoint,
   IRNode,
   ImageChunkMessage,
+  ImageChunkReference,
   StreamMessage
 } from '../../ir.js';
 import { ImageProcessor } from './image-processor.js';
@@ -15,65 +18,288 @@ export interface StreamPayload {
   tokens?: any;
   stackingContexts?: any[];
   paintOrder?: string[];
+  captureId?: string; // IRDocument.meta.captureId, for the fidelity check
+  region?: { width: number; height: number }; // Frame size when IRDocument.capture is set
 }
 
+export interface StreamOptions {
+  /**
+   * Send image bytes as binary frames (see encodeImageChunkFrame). Plugins
+   * that don't ask for them get JSON IMAGE_CHUNK messages and number[]
+   * imageData as before.
+   */
+  binaryFrames?: boolean;
+  /**
+   * The client acknowledges sequence numbers (ACK messages). Enables flow
+   * control and lets a dropped client resume the job with RESUME.
+   */
+  acknowledged?: boolean;
+  windowSize?: number; // Unacknowledged messages allowed in flight
+}
+
+interface OutgoingFrame {
+  sequenceNumber: number;
+  data: string | Buffer;
+  binary: boolean;
+}
+
+export interface ResponsiveStreamPage {
+  breakpoint: IRBreakpoint;
+  payload: StreamPayload;
+}
+
+/**
+ * BINARY IMAGE CHUNK FRAME
+ *
+ * A 16-byte big-endian header, the owning node id and the raw image bytes:
+ *
+ *   0  u8   frame kind (FRAME_KIND_IMAGE_CHUNK)
+ *   1  u8   frame version
+ *   2  u16  node id length in bytes
+ *   4  u32  sequence number
+ *   8  u32  chunk index
+ *   12 u32  total chunks
+ *   16      node id (UTF-8), then the chunk bytes
+ *
+ * The plugin UI decodes it into the same IMAGE_CHUNK message the JSON path
+ * produces, with `data` as a Uint8Array.
+ */
+export const FRAME_KIND_IMAGE_CHUNK = 1;
+export const FRAME_VERSION = 1;
+const FRAME_HEADER_SIZE = 16;
+
+export function encodeImageChunkFrame(
+  nodeId: string,
+  sequenceNumber: number,
+  chunkIndex: number,
+  totalChunks: number,
+  data: Uint8Array
+): Buffer {
+  const id = Buffer.from(nodeId, 'utf8');
+  const frame = Buffer.allocUnsafe(FRAME_HEADER_SIZE + id.length + data.length);
+  frame.writeUInt8(FRAME_KIND_IMAGE_CHUNK, 0);
+  frame.writeUInt8(FRAME_VERSION, 1);
+  frame.writeUInt16BE(id.length, 2);
+  frame.writeUInt32BE(sequenceNumber, 4);
+  frame.writeUInt32BE(chunkIndex, 8);
+  frame.writeUInt32BE(totalChunks, 12);
+  id.copy(frame, FRAME_HEADER_SIZE);
+  frame.set(data, FRAME_HEADER_SIZE + id.length);
+  return frame;
+}
+
+/**
+ * Streams an extraction to the plugin as sequenced messages.
+ *
+ * Acknowledged streams keep every message until the client ACKs its
+ * sequence number and pause whenever `windowSize` messages are
+ * unacknowledged. If the socket drops, the job waits for the client to
+ * reconnect with its job id and replays everything after the last
+ * sequence it received; a connected client that stops acknowledging for
+ * STREAM_RESUME_TIMEOUT_MS fails the job. Legacy clients are paced with
+ * fixed delays.
+ */
 export class StreamController {
+  readonly jobId = randomUUID();
   private sequenceNumber = 0;
   private readonly imageProcessor = new ImageProcessor();
+  // Processed image bytes by node id, waiting to be sent
+  private readonly imageBuffers = new Map<string, Buffer>();
   private totalNodes = 0;
+  private ws: WebSocket | null;
+  private readonly windowSize: number;
+  // Sent but not yet acknowledged, in sequence order
+  private readonly outbox: OutgoingFrame[] = [];
+  private lastAcknowledged = -1;
+  private lastAckAt = Date.now();
+  private waiters: Array<() => void> = [];
+  private resumeTimer: NodeJS.Timeout | null = null;
+  private abandoned = false;
+  private abandonReason = '';
+
+  constructor(ws: WebSocket, private readonly options: StreamOptions = {}) {
+    this.ws = ws;
+    this.windowSize = Math.max(1, options.windowSize || CONFIG.STREAM_WINDOW_SIZE);
+  }
 
-  constructor(private readonly ws: WebSocket) {}
+  /**
+   * Socket the job currently streams to; null while an acknowledged
+   * stream waits for its client to resume
+   */
+  get socket(): WebSocket | null {
+    return this.ws;
+  }
 
-  async streamExtractedPage(payload: StreamPayload): Promise<void> {
-    const { nodes, fonts = [], tokens, stackingContexts, paintOrder } = payload;
+  /**
+   * Tell an acknowledging client which job it is receiving, so it can
+   * resume after a disconnect
+   */
+  announceJob(): void {
+    this.send({
+      type: 'JOB',
+      payload: { jobId: this.jobId, windowSize: this.windowSize },
+      sequenceNumber: this.sequenceNumber++
+    });
+  }
 
-    try {
-      this.totalNodes = nodes.length;
-      this.attachImageSources(nodes);
-      await this.processAllImages(nodes);
-
-      if (tokens) {
-        this.send({
-          type: 'TOKENS',
-          payload: tokens,
-          sequenceNumber: this.sequenceNumber++
-        });
-      }
+  /**
+   * The client has received and processed every message up to and
+   * including `sequenceNumber`
+   */
+  acknowledge(sequenceNumber: number): void {
+    if (sequenceNumber <= this.lastAcknowledged) return;
+    this.lastAcknowledged = sequenceNumber;
+    this.lastAckAt = Date.now();
+    while (this.outbox.length > 0 && this.outbox[0].sequenceNumber <= sequenceNumber) {
+      this.outbox.shift();
+    }
+    this.wake();
+  }
 
-      if (fonts.length > 0) {
-        this.send({
-          type: 'FONTS',
-          payload: fonts,
-          sequenceNumber: this.sequenceNumber++
-        });
+  /**
+   * Continue on `ws`, replaying every unacknowledged message after
+   * `lastSequence`. Also used on the current socket to fill a gap.
+   */
+  attach(ws: WebSocket, lastSequence: number): void {
+    if (this.resumeTimer) {
+      clearTimeout(this.resumeTimer);
+      this.resumeTimer = null;
+    }
+    this.ws = ws;
+    this.lastAckAt = Date.now();
+    this.acknowledge(lastSequence);
+    for (const frame of this.outbox) {
+      if (frame.sequenceNumber > lastSequence) {
+        this.transmit(frame);
       }
+    }
+    this.wake();
+  }
 
-      // Send stacking contexts if available
-      if (stackingContexts && stackingContexts.length > 0) {
-        this.send({
-          type: 'STACKING_CONTEXTS',
-          payload: stackingContexts,
-          sequenceNumber: this.sequenceNumber++
-        });
-      }
+  /**
+   * The client's socket closed. Acknowledged streams hold their place for
+   * STREAM_RESUME_TIMEOUT_MS before giving up.
+   */
+  detach(ws: WebSocket): void {
+    if (this.ws !== ws) return;
+    this.ws = null;
+    if (!this.options.acknowledged || this.abandoned) return;
+
+    this.resumeTimer = setTimeout(
+      () => this.abandon(`Stream job ${this.jobId} was not resumed`),
+      CONFIG.STREAM_RESUME_TIMEOUT_MS
+    );
+  }
 
-      // Send paint order if available
-      if (paintOrder && paintOrder.length > 0) {
-        this.send({
-          type: 'PAINT_ORDER',
-          payload: paintOrder,
-          sequenceNumber: this.sequenceNumber++
-        });
-      }
+  async streamExtractedPage(payload: StreamPayload): Promise<void> {
+    try {
+      this.totalNodes = 0;
+      await this.streamPage(payload);
+      this.sendComplete(payload.captureId);
+      await this.drain();
+    } catch (error) {
+      this.sendError(error instanceof Error ? error.message : 'Unknown streaming error');
+    }
+  }
 
-      await this.streamNodes(nodes);
-      await this.streamImageChunks(nodes);
+  /**
+   * Streams one page per breakpoint. Each page is announced with a BREAKPOINT
+   * message so the plugin can open a new frame; tokens and fonts are only sent
+   * with the first page and a single COMPLETE closes the whole set.
+   */
+  async streamResponsivePage(pages: ResponsiveStreamPage[]): Promise<void> {
+    try {
+      this.totalNodes = 0;
+      for (let index = 0; index < pages.length; index++) {
+        const { breakpoint, payload } = pages[index];
+        await this.streamPage(
+          index === 0 ? payload : { ...payload, tokens: undefined, fonts: [] },
+          { ...breakpoint, index, total: pages.length }
+        );
+      }
       this.sendComplete();
+      await this.drain();
     } catch (error) {
       this.sendError(error instanceof Error ? error.message : 'Unknown streaming error');
     }
   }
 
+  /**
+   * Stop holding the job for a resume; called once streaming has returned
+   */
+  close(): void {
+    if (this.resumeTimer) {
+      clearTimeout(this.resumeTimer);
+      this.resumeTimer = null;
+    }
+    this.abandon(`Stream job ${this.jobId} was closed`);
+  }
+
+  private abandon(reason: string): void {
+    if (this.abandoned) return;
+    this.abandoned = true;
+    this.abandonReason = reason;
+    this.outbox.length = 0;
+    this.wake();
+  }
+
+  private async streamPage(
+    payload: StreamPayload,
+    breakpoint?: IRBreakpoint & { index: number; total: number }
+  ): Promise<void> {
+    const { nodes, fonts = [], tokens, stackingContexts, paintOrder, captureId, region } = payload;
+
+    this.totalNodes += nodes.length;
+    this.attachImageSources(nodes);
+    await this.processAllImages(nodes);
+
+    if (tokens) {
+      this.send({
+        type: 'TOKENS',
+        payload: tokens,
+        sequenceNumber: this.sequenceNumber++
+      });
+    }
+
+    if (fonts.length > 0) {
+      this.send({
+        type: 'FONTS',
+        payload: fonts,
+        sequenceNumber: this.sequenceNumber++
+      });
+    }
+
+    // Send stacking contexts if available
+    if (stackingContexts && stackingContexts.length > 0) {
+      this.send({
+        type: 'STACKING_CONTEXTS',
+        payload: stackingContexts,
+        sequenceNumber: this.sequenceNumber++
+      });
+    }
+
+    // Send paint order if available
+    if (paintOrder && paintOrder.length > 0) {
+      this.send({
+        type: 'PAINT_ORDER',
+        payload: paintOrder,
+        sequenceNumber: this.sequenceNumber++
+      });
+    }
+
+    // Announce the breakpoint after TOKENS, which resets plugin stream state
+    if (breakpoint) {
+      this.send({
+        type: 'BREAKPOINT',
+        payload: { ...breakpoint, captureId, region },
+        sequenceNumber: this.sequenceNumber++
+      });
+    }
+
+    await this.streamNodes(nodes);
+    await this.streamImageChunks(nodes);
+  }
+
   private attachImageSources(nodes: IRNode[]): void {
     nodes.forEach((node) => {
       if (node.type !== 'IMAGE') return;
@@ -111,25 +337,27 @@ export class StreamController {
           const { buffer, shouldStream } = result;
 
           if (shouldStream) {
-            Object.assign(node, {
-              imageChunkRef: {
-                totalSize: buffer.length,
-                totalChunks: Math.ceil(buffer.length / CONFIG.IMAGE_CHUNK_SIZE),
-                chunkSize: CONFIG.IMAGE_CHUNK_SIZE,
-                isStreamed: true as const
-              }
-            });
-
-            (node as any)._imageBuffer = buffer;
-            if (node.image) {
-              delete node.image.data;
-            }
+            node.imageChunkRef = {
+              totalSize: buffer.length,
+              totalChunks: Math.ceil(buffer.length / CONFIG.IMAGE_CHUNK_SIZE),
+              chunkSize: CONFIG.IMAGE_CHUNK_SIZE,
+              isStreamed: true
+            };
+            this.imageBuffers.set(node.id, buffer);
+          } else if (this.options.binaryFrames) {
+            // Sent as a single frame just ahead of the node's NODES batch
+            node.imageChunkRef = {
+              totalSize: buffer.length,
+              totalChunks: 1,
+              chunkSize: buffer.length,
+              isStreamed: false
+            };
+            this.imageBuffers.set(node.id, buffer);
           } else {
-            const uint8Array = new Uint8Array(buffer);
-            node.imageData = Array.from(uint8Array);
-            if (node.image) {
-              delete node.image.data;
-            }
+            node.imageData = Array.from(new Uint8Array(buffer));
+          }
+          if (node.image) {
+            delete node.image.data;
           }
         })
       );
@@ -159,6 +387,12 @@ export class StreamController {
     for (let i = 0; i < nodes.length; i += BATCH_SIZE) {
       const batch = nodes.slice(i, i + BATCH_SIZE).map((node) => this.cloneForTransport(node));
 
+      for (const node of batch) {
+        if (node.imageChunkRef && !node.imageChunkRef.isStreamed) {
+          await this.sendImageBuffer(node.id, node.imageChunkRef);
+        }
+      }
+
       const message: StreamMessage = {
         type: 'NODES',
         payload: { nodes: batch },
@@ -166,7 +400,7 @@ export class StreamController {
       };
 
       this.send(message);
-      await this.sleep(50);
+      await this.pace(50);
       const current = Math.min(i + batch.length, totalNodes);
       this.sendProgress({
         stage: 'streaming_nodes',
@@ -184,37 +418,52 @@ export class StreamController {
     }
 
     for (const node of streamedNodes) {
-      const buffer = (node as any)._imageBuffer as Buffer | undefined;
-      if (!buffer) continue;
-
-      const totalChunks = node.imageChunkRef!.totalChunks;
+      await this.sendImageBuffer(node.id, node.imageChunkRef!, 10);
 
-      for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
-        const start = chunkIndex * CONFIG.IMAGE_CHUNK_SIZE;
-        const end = Math.min(start + CONFIG.IMAGE_CHUNK_SIZE, buffer.length);
-        const chunkBuffer = buffer.slice(start, end);
+      this.sendProgress({
+        stage: 'streaming_images',
+        current: streamedNodes.indexOf(node) + 1,
+        total: streamedNodes.length
+      });
+    }
+  }
 
+  /**
+   * Send a node's processed image as the IMAGE_CHUNK messages its chunk
+   * reference announced, pausing `delayMs` between chunks
+   */
+  private async sendImageBuffer(
+    nodeId: string,
+    { totalChunks, chunkSize }: ImageChunkReference,
+    delayMs = 0
+  ): Promise<void> {
+    const buffer = this.imageBuffers.get(nodeId);
+    if (!buffer) return;
+    this.imageBuffers.delete(nodeId);
+
+    for (let chunkIndex = 0; chunkIndex < totalChunks; chunkIndex++) {
+      const start = chunkIndex * chunkSize;
+      const chunk = buffer.subarray(start, Math.min(start + chunkSize, buffer.length));
+      const sequenceNumber = this.sequenceNumber++;
+
+      if (this.options.binaryFrames) {
+        this.sendBinary(
+          encodeImageChunkFrame(nodeId, sequenceNumber, chunkIndex, totalChunks, chunk),
+          sequenceNumber
+        );
+      } else {
         const message: ImageChunkMessage = {
           type: 'IMAGE_CHUNK',
-          nodeId: node.id,
+          nodeId,
           chunkIndex,
           totalChunks,
-          data: Array.from(chunkBuffer),
-          sequenceNumber: this.sequenceNumber++,
+          data: Array.from(chunk),
+          sequenceNumber,
           timestamp: Date.now()
         };
-
         this.send(message);
-        await this.sleep(10);
       }
-
-      delete (node as any)._imageBuffer;
-
-      this.sendProgress({
-        stage: 'streaming_images',
-        current: streamedNodes.indexOf(node) + 1,
-        total: streamedNodes.length
-      });
+      await this.pace(delayMs);
     }
   }
 
@@ -223,10 +472,11 @@ export class StreamController {
     return cloned;
   }
 
-  private sendComplete(): void {
+  private sendComplete(captureId?: string): void {
     const stats: ProcessingStats = this.imageProcessor.getStats();
     const message: CompleteMessage = {
       type: 'COMPLETE',
+      captureId,
       totalNodes: this.totalNodes,
       totalImages: stats.totalImages,
       inlineImages: stats.inlineImages,
@@ -258,9 +508,91 @@ export class StreamController {
   }
 
   private send(message: StreamMessage | ImageChunkMessage | CompleteMessage): void {
-    if (this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(message));
+    this.queue({
+      sequenceNumber: message.sequenceNumber,
+      data: JSON.stringify(message),
+      binary: false
+    });
+  }
+
+  private sendBinary(frame: Buffer, sequenceNumber: number): void {
+    this.queue({ sequenceNumber, data: frame, binary: true });
+  }
+
+  private queue(frame: OutgoingFrame): void {
+    // An abandoned job keeps nothing for replay but can still report its error
+    if (this.options.acknowledged && !this.abandoned) {
+      this.outbox.push(frame);
+    }
+    this.transmit(frame);
+  }
+
+  // Image bytes are already compressed, so binary frames skip permessage-deflate
+  private transmit(frame: OutgoingFrame): void {
+    if (this.ws?.readyState === WebSocket.OPEN) {
+      this.ws.send(frame.data, frame.binary ? { binary: true, compress: false } : {});
+    }
+  }
+
+  /**
+   * Legacy clients get a fixed delay between messages; acknowledged
+   * streams wait until the window has room and a client is connected
+   */
+  private async pace(delayMs: number): Promise<void> {
+    if (!this.options.acknowledged) {
+      if (delayMs > 0) await this.sleep(delayMs);
+      return;
     }
+    await this.waitUntil(
+      () =>
+        this.ws !== null && this.sequenceNumber - 1 - this.lastAcknowledged < this.windowSize
+    );
+  }
+
+  // Wait until the client has acknowledged everything sent so far
+  private async drain(): Promise<void> {
+    if (!this.options.acknowledged) return;
+    await this.waitUntil(() => this.lastAcknowledged >= this.sequenceNumber - 1);
+  }
+
+  /**
+   * While a client is connected, each wait is bounded by
+   * STREAM_RESUME_TIMEOUT_MS since it started or since the last ACK,
+   * whichever is later, so time spent extracting before the first wait
+   * doesn't count; a disconnected job is bounded by the resume timer instead
+   */
+  private async waitUntil(condition: () => boolean): Promise<void> {
+    const startedAt = Date.now();
+    while (!condition()) {
+      if (this.abandoned) {
+        throw new Error(this.abandonReason);
+      }
+      if (this.ws === null) {
+        await new Promise<void>((resolve) => this.waiters.push(resolve));
+        continue;
+      }
+
+      const remaining =
+        Math.max(startedAt, this.lastAckAt) + CONFIG.STREAM_RESUME_TIMEOUT_MS - Date.now();
+      if (remaining <= 0) {
+        this.abandon(
+          `Stream job ${this.jobId} received no ACK for ${CONFIG.STREAM_RESUME_TIMEOUT_MS}ms`
+        );
+        continue;
+      }
+      let timer: NodeJS.Timeout | undefined;
+      await new Promise<void>((resolve) => {
+        this.waiters.push(resolve);
+        timer = setTimeout(resolve, remaining);
+      });
+      clearTimeout(timer);
+    }
+  }
+
+  private wake(): void {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach((resolve) => resolve());
   }
 
   private sleep(ms: number): Promise<void> {
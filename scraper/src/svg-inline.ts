@@ -0,0 +1,263 @@
+/**
+ * SELF-CONTAINED SVG - Serialize inline <svg> without page dependencies
+ *
+ * Inline SVG markup usually leans on the page around it: `<use>` points
+ * into sprite sheets elsewhere in the document, fills and strokes come
+ * from CSS or `currentColor`, gradients live in shared `<defs>`. The
+ * serializer installed here copies an <svg> with all of that resolved, so
+ * the plugin can build it with figma.createNodeFromSvg on its own.
+ *
+ * It is installed as window.__webToFigmaSerializeSvg by an init script,
+ * which lets both the DOM walk and asset collection use it.
+ */
+
+/**
+ * Runs in the page through page.addInitScript, so it must not reference
+ * anything outside its own body.
+ */
+export function installSvgSerializer(): void {
+  const global = window as any;
+  if (global.__webToFigmaSerializeSvg) return;
+
+  const SVG_NS = "http://www.w3.org/2000/svg";
+  const XLINK_NS = "http://www.w3.org/1999/xlink";
+  const MAX_USE_DEPTH = 8;
+  // Computed properties written back as presentation attributes
+  const INLINED_PROPERTIES = [
+    "fill",
+    "fill-opacity",
+    "fill-rule",
+    "clip-rule",
+    "stroke",
+    "stroke-width",
+    "stroke-opacity",
+    "stroke-linecap",
+    "stroke-linejoin",
+    "stroke-miterlimit",
+    "stroke-dasharray",
+    "stroke-dashoffset",
+    "opacity",
+    "font-family",
+    "font-size",
+    "font-weight",
+    "font-style",
+    "text-anchor",
+  ];
+  const STOP_PROPERTIES = ["stop-color", "stop-opacity"];
+  const PAINTED_TAGS =
+    /^(path|rect|circle|ellipse|line|polyline|polygon|text|tspan|textPath|use|g)$/;
+  const REFERENCE_ATTRIBUTES = [
+    "fill",
+    "stroke",
+    "clip-path",
+    "mask",
+    "filter",
+    "marker-start",
+    "marker-mid",
+    "marker-end",
+  ];
+
+  const localId = (value: string | null): string | null => {
+    const match = value && value.match(/^\s*#(.+)$/);
+    return match ? match[1] : null;
+  };
+
+  const hrefOf = (element: Element): string | null =>
+    element.getAttribute("href") || element.getAttributeNS(XLINK_NS, "href");
+
+  // Computed url() paints may be absolute ("url(\"https://site/#grad\")")
+  const urlId = (value: string | null): string | null => {
+    const match = value && value.match(/url\(\s*["']?[^"')]*#([^"')]+)["']?\s*\)/);
+    return match ? match[1] : null;
+  };
+
+  /**
+   * Write the element's computed paint and text properties onto its copy
+   * and drop them from its style attribute, so CSS rules, custom
+   * properties and currentColor no longer matter
+   */
+  const inlineComputedStyle = (original: Element, copy: Element) => {
+    const tag = original.localName;
+    const properties =
+      tag === "stop" ? STOP_PROPERTIES : PAINTED_TAGS.test(tag) ? INLINED_PROPERTIES : [];
+    if (properties.length === 0) return;
+
+    const computed = getComputedStyle(original);
+    const style = (copy as SVGElement).style;
+    for (const property of properties) {
+      let value = computed.getPropertyValue(property).trim();
+      if (!value) continue;
+      const id = urlId(value);
+      if (id) value = `url(#${id})`;
+      copy.setAttribute(property, value);
+      style?.removeProperty(property);
+    }
+    if (computed.display === "none") copy.setAttribute("display", "none");
+    if (computed.visibility === "hidden") copy.setAttribute("visibility", "hidden");
+    if (style && style.length === 0) copy.removeAttribute("style");
+  };
+
+  /**
+   * Replace one <use> with the content it references: a <g> carrying
+   * the use's own attributes, positioned at its x/y. Symbols with a
+   * viewBox become a nested <svg> so the viewBox still maps to the use's
+   * width and height.
+   */
+  const expandUse = (use: Element, root: Document | ShadowRoot): boolean => {
+    const id = localId(hrefOf(use));
+    const target = id ? root.getElementById(id) : null;
+    if (!target) {
+      use.remove();
+      return false;
+    }
+
+    const doc = use.ownerDocument;
+    const group = doc.createElementNS(SVG_NS, "g");
+    for (const attribute of Array.from(use.attributes)) {
+      if (/^(x|y|width|height|href|xlink:href|id)$/.test(attribute.name)) continue;
+      group.setAttribute(attribute.name, attribute.value);
+    }
+    const x = parseFloat(use.getAttribute("x") || "0") || 0;
+    const y = parseFloat(use.getAttribute("y") || "0") || 0;
+    if (x || y) {
+      const transform = group.getAttribute("transform");
+      group.setAttribute(
+        "transform",
+        `${transform ? `${transform} ` : ""}translate(${x} ${y})`
+      );
+    }
+
+    let content: Element;
+    if (target.localName === "symbol" || target.localName === "svg") {
+      content = doc.createElementNS(SVG_NS, "svg");
+      for (const name of ["viewBox", "preserveAspectRatio"]) {
+        const value = target.getAttribute(name);
+        if (value) content.setAttribute(name, value);
+      }
+      content.setAttribute("width", use.getAttribute("width") || target.getAttribute("width") || "100%");
+      content.setAttribute("height", use.getAttribute("height") || target.getAttribute("height") || "100%");
+      content.setAttribute("overflow", "visible");
+      for (const child of Array.from(target.childNodes)) {
+        content.appendChild(child.cloneNode(true));
+      }
+    } else {
+      content = target.cloneNode(true) as Element;
+      content.removeAttribute("id");
+    }
+
+    group.appendChild(content);
+    use.replaceWith(group);
+    return true;
+  };
+
+  /**
+   * Copy gradients, clip paths, masks and the like that the SVG refers
+   * to but that live outside it into its own <defs>
+   */
+  const copyExternalDefs = (clone: Element, root: Document | ShadowRoot) => {
+    const copied = new Set<string>();
+    let defs: Element | null = null;
+
+    for (let pass = 0; pass < MAX_USE_DEPTH; pass++) {
+      const missing = new Set<string>();
+      for (const element of [clone, ...Array.from(clone.querySelectorAll("*"))]) {
+        for (const name of REFERENCE_ATTRIBUTES) {
+          const id = urlId(element.getAttribute(name));
+          if (id) missing.add(id);
+        }
+        // Gradients and patterns inherit stops through href
+        if (/Gradient$|^pattern$/.test(element.localName)) {
+          const id = localId(hrefOf(element));
+          if (id) missing.add(id);
+        }
+      }
+
+      let added = false;
+      for (const id of missing) {
+        if (copied.has(id) || clone.querySelector(`[id="${CSS.escape(id)}"]`)) continue;
+        const source = root.getElementById(id);
+        if (!source) continue;
+        if (!defs) {
+          defs = clone.ownerDocument.createElementNS(SVG_NS, "defs");
+          clone.insertBefore(defs, clone.firstChild);
+        }
+        defs.appendChild(source.cloneNode(true));
+        copied.add(id);
+        added = true;
+      }
+      if (!added) break;
+    }
+  };
+
+  /**
+   * currentColor left in copied sprite content resolves against the
+   * nearest `color` on the way up, as it would in the browser
+   */
+  const resolveCurrentColor = (clone: Element, fallback: string) => {
+    for (const element of [clone, ...Array.from(clone.querySelectorAll("*"))]) {
+      for (const attribute of Array.from(element.attributes)) {
+        if (!/currentcolor/i.test(attribute.value)) continue;
+        const holder = element.closest("[color]");
+        const color = holder?.getAttribute("color") || fallback;
+        element.setAttribute(attribute.name, attribute.value.replace(/currentcolor/gi, color));
+      }
+    }
+  };
+
+  const stripActiveContent = (clone: Element) => {
+    clone.querySelectorAll("script, style").forEach((element) => element.remove());
+    for (const element of [clone, ...Array.from(clone.querySelectorAll("*"))]) {
+      for (const attribute of Array.from(element.attributes)) {
+        if (
+          /^on/i.test(attribute.name) ||
+          (/href$/i.test(attribute.name) && /^\s*javascript:/i.test(attribute.value))
+        ) {
+          element.removeAttributeNode(attribute);
+        }
+      }
+    }
+  };
+
+  global.__webToFigmaSerializeSvg = (svg: SVGSVGElement): string => {
+    try {
+      const root = svg.getRootNode() as Document | ShadowRoot;
+      const clone = svg.cloneNode(true) as SVGSVGElement;
+
+      const originals = [svg, ...Array.from(svg.querySelectorAll("*"))];
+      const copies = [clone, ...Array.from(clone.querySelectorAll("*"))];
+      originals.forEach((original, i) => inlineComputedStyle(original, copies[i]));
+
+      const color = getComputedStyle(svg).color;
+      clone.setAttribute("color", color);
+      // Sprite content only picks up the use's color, not its computed paints
+      copies.forEach((copy, i) => {
+        if (copy.localName === "use") {
+          copy.setAttribute("color", getComputedStyle(originals[i]).color);
+        }
+      });
+
+      for (let depth = 0; depth < MAX_USE_DEPTH; depth++) {
+        const uses = Array.from(clone.querySelectorAll("use"));
+        if (uses.length === 0) break;
+        uses.forEach((use) => expandUse(use, root));
+      }
+      clone.querySelectorAll("use").forEach((use) => use.remove());
+
+      copyExternalDefs(clone, root);
+      resolveCurrentColor(clone, color);
+      stripActiveContent(clone);
+
+      const rect = svg.getBoundingClientRect();
+      if (rect.width > 0 && rect.height > 0) {
+        clone.setAttribute("width", String(rect.width));
+        clone.setAttribute("height", String(rect.height));
+      }
+      clone.removeAttribute("class");
+      clone.removeAttribute("style");
+
+      return new XMLSerializer().serializeToString(clone);
+    } catch (error) {
+      return svg.outerHTML;
+    }
+  };
+}
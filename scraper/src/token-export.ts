@@ -0,0 +1,404 @@
+/**
+ * TOKEN EXPORT - Design tokens for code, not just Figma variables
+ *
+ * Serializes IRDocument.tokens to the W3C Design Tokens (DTCG) format, a
+ * Style Dictionary source tree, or a Tailwind theme extension. CSS custom
+ * properties declared as `var(--other)` stay aliases in every format.
+ */
+
+import type { IRDocument } from "../../ir.js";
+
+export type TokenExportFormat = "dtcg" | "style-dictionary" | "tailwind";
+
+export const TOKEN_EXPORT_FORMATS: TokenExportFormat[] = [
+  "dtcg",
+  "style-dictionary",
+  "tailwind",
+];
+
+export interface TokenExport {
+  format: TokenExportFormat;
+  tokenCount: number;
+  files: Record<string, string>; // Relative path -> file contents
+}
+
+type TokenGroup =
+  | "color"
+  | "spacing"
+  | "radius"
+  | "fontSize"
+  | "fontWeight"
+  | "lineHeight"
+  | "shadow";
+
+type TokenType = "color" | "dimension" | "number" | "fontWeight" | "shadow";
+
+interface ExportToken {
+  group: TokenGroup;
+  name: string;
+  type: TokenType;
+  value: string | number;
+  cssVar?: string; // Custom property the token came from
+  aliasOf?: string; // Custom property this one references with var()
+  modes?: Record<string, string>; // Light/dark values from captureColorSchemes
+}
+
+const GROUP_TYPES: Record<TokenGroup, TokenType> = {
+  color: "color",
+  spacing: "dimension",
+  radius: "dimension",
+  fontSize: "dimension",
+  fontWeight: "fontWeight",
+  lineHeight: "number",
+  shadow: "shadow",
+};
+
+const TAILWIND_THEME_KEYS: Record<TokenGroup, string> = {
+  color: "colors",
+  spacing: "spacing",
+  radius: "borderRadius",
+  fontSize: "fontSize",
+  fontWeight: "fontWeight",
+  lineHeight: "lineHeight",
+  shadow: "boxShadow",
+};
+
+const COLOR_VALUE = /^(#[0-9a-f]{3,8}|rgba?\(|hsla?\(|oklch\(|oklab\(|lab\(|lch\(|color\()/i;
+const DIMENSION_VALUE = /^-?\d*\.?\d+(px|rem|em)$/;
+const NUMBER_VALUE = /^-?\d*\.?\d+$/;
+const PURE_ALIAS = /^var\(\s*(--[\w-]+)\s*(?:,.*)?\)$/;
+
+export function isTokenExportFormat(value: unknown): value is TokenExportFormat {
+  return TOKEN_EXPORT_FORMATS.includes(value as TokenExportFormat);
+}
+
+// DTCG reserves "." and braces for references
+function tokenName(raw: string): string {
+  return raw.replace(/^--/, "").replace(/[.{}]/g, "_").replace(/\//g, "-");
+}
+
+/**
+ * Sorts a custom property into a group from its value, using the property
+ * name to tell spacing from radii, font sizes and line heights.
+ */
+function classifyCustomProperty(
+  name: string,
+  value: string
+): { group: TokenGroup; value: string | number } | null {
+  if (/shadow/i.test(name) && /\d/.test(value)) {
+    return { group: "shadow", value };
+  }
+  if (COLOR_VALUE.test(value)) {
+    return { group: "color", value };
+  }
+  if (DIMENSION_VALUE.test(value)) {
+    if (/radius|rounded/i.test(name)) return { group: "radius", value };
+    if (/font-size|text-|fs-/i.test(name)) return { group: "fontSize", value };
+    if (/line-height|leading/i.test(name)) return { group: "lineHeight", value };
+    return { group: "spacing", value };
+  }
+  if (NUMBER_VALUE.test(value)) {
+    if (/weight/i.test(name)) return { group: "fontWeight", value: Number(value) };
+    if (/line-height|leading/i.test(name)) return { group: "lineHeight", value: Number(value) };
+  }
+  return null;
+}
+
+function collectTokens(tokens: IRDocument["tokens"]): ExportToken[] {
+  const result: ExportToken[] = [];
+  if (!tokens) return result;
+
+  const names = new Set<string>();
+  const values = new Set<string>();
+  const valueKey = (group: TokenGroup, value: string | number) =>
+    `${group}|${group === "color" ? normalizeColor(String(value)) : value}`;
+  const add = (token: ExportToken) => {
+    const key = `${token.group}.${token.name}`;
+    if (names.has(key)) return;
+    names.add(key);
+    values.add(valueKey(token.group, token.value));
+    result.push(token);
+  };
+  // Generated tokens are skipped when a named one already has the value
+  const addGenerated = (group: TokenGroup, name: string, value: string | number) => {
+    if (values.has(valueKey(group, value))) return;
+    add({ group, name, type: GROUP_TYPES[group], value });
+  };
+
+  // 1. CSS custom properties, aliases included
+  const aliases = tokens.aliases || {};
+  for (const [cssVar, rawValue] of Object.entries(tokens.explicit || {})) {
+    const value = String(rawValue).trim();
+    const classified = classifyCustomProperty(cssVar, value);
+    if (!classified) continue;
+
+    const aliasMatch = aliases[cssVar]?.match(PURE_ALIAS);
+    add({
+      group: classified.group,
+      name: tokenName(cssVar),
+      type: GROUP_TYPES[classified.group],
+      value: classified.value,
+      cssVar,
+      aliasOf: aliasMatch?.[1],
+    });
+  }
+
+  // 2. Light/dark colors
+  for (const token of tokens.colorSchemes || []) {
+    add({
+      group: "color",
+      name: tokenName(token.name),
+      type: "color",
+      value: token.light,
+      modes: { light: token.light, dark: token.dark },
+    });
+  }
+
+  // 3. Frequently repeated values
+  for (const [value, name] of Object.entries(tokens.implicit || {})) {
+    if (COLOR_VALUE.test(value)) {
+      addGenerated("color", tokenName(name), value);
+    } else if (DIMENSION_VALUE.test(value)) {
+      addGenerated("spacing", tokenName(name), value);
+    }
+  }
+
+  // 4. Inferred scales, named by token-inference when available
+  const semantic = tokens.semantic;
+  for (const color of semantic?.colors || []) {
+    addGenerated("color", color.name, color.value);
+  }
+  for (const step of semantic?.spacing.steps || []) {
+    addGenerated("spacing", step.name, `${step.value}px`);
+  }
+  for (const step of semantic?.typeScale.steps || []) {
+    addGenerated("fontSize", step.name, `${step.value}px`);
+  }
+  (tokens.colors || []).forEach((value, index) => {
+    if (COLOR_VALUE.test(value) && !isTransparent(value)) {
+      addGenerated("color", `palette-${index + 1}`, value);
+    }
+  });
+  for (const value of tokens.spacing || []) {
+    if (value > 0) addGenerated("spacing", String(value), `${value}px`);
+  }
+  for (const value of tokens.radii || []) {
+    if (value > 0) addGenerated("radius", String(value), `${value}px`);
+  }
+  for (const value of tokens.fontSizes || []) {
+    addGenerated("fontSize", String(value), `${value}px`);
+  }
+  for (const value of tokens.fontWeights || []) {
+    if (NUMBER_VALUE.test(value)) addGenerated("fontWeight", value, Number(value));
+  }
+  for (const value of tokens.lineHeights || []) {
+    addGenerated("lineHeight", String(value), value);
+  }
+  (tokens.shadows || []).forEach((value, index) => {
+    if (value && value !== "none") addGenerated("shadow", String(index + 1), value);
+  });
+
+  // Aliases only survive when the target was exported with the same type
+  const byCssVar = new Map(
+    result.filter((token) => token.cssVar).map((token) => [token.cssVar!, token])
+  );
+  for (const token of result) {
+    const target = token.aliasOf ? byCssVar.get(token.aliasOf) : undefined;
+    if (!target || target.type !== token.type) {
+      token.aliasOf = undefined;
+    }
+  }
+
+  return result;
+}
+
+function isTransparent(value: string): boolean {
+  return /^rgba\(.*,\s*0\)$/.test(value.replace(/\s+/g, " ")) || value === "transparent";
+}
+
+function toHex(channel: number): string {
+  return Math.round(Math.max(0, Math.min(255, channel))).toString(16).padStart(2, "0");
+}
+
+/**
+ * rgb()/rgba() to #rrggbb(aa); other color syntaxes pass through.
+ */
+function normalizeColor(value: string): string {
+  const match = value.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/i);
+  if (!match) return value;
+
+  const [, r, g, b, alphaRaw] = match;
+  let hex = `#${toHex(Number(r))}${toHex(Number(g))}${toHex(Number(b))}`;
+  if (alphaRaw !== undefined) {
+    const alpha = alphaRaw.endsWith("%") ? parseFloat(alphaRaw) / 100 : parseFloat(alphaRaw);
+    if (alpha < 1) hex += toHex(alpha * 255);
+  }
+  return hex;
+}
+
+/**
+ * Splits a box-shadow list into DTCG shadow objects. Inset shadows and
+ * anything unparseable return null so the raw string is kept instead.
+ */
+function parseShadow(value: string): Record<string, string>[] | null {
+  const shadows: Record<string, string>[] = [];
+
+  for (const part of value.split(/,(?![^(]*\))/)) {
+    if (/inset/.test(part)) return null;
+    const color = part.match(/(rgba?\([^)]*\)|hsla?\([^)]*\)|#[0-9a-f]{3,8})/i)?.[0];
+    const lengths = part.replace(color || "", "").trim().split(/\s+/).filter(Boolean);
+    if (!color || lengths.length < 2 || lengths.length > 4) return null;
+
+    const [offsetX, offsetY, blur = "0px", spread = "0px"] = lengths.map((length) =>
+      length === "0" ? "0px" : length
+    );
+    shadows.push({ color: normalizeColor(color), offsetX, offsetY, blur, spread });
+  }
+
+  return shadows.length > 0 ? shadows : null;
+}
+
+function referencePath(tokens: ExportToken[], cssVar: string): string {
+  const target = tokens.find((token) => token.cssVar === cssVar)!;
+  return `{${target.group}.${target.name}}`;
+}
+
+function exportValue(token: ExportToken): unknown {
+  if (token.type === "color") return normalizeColor(String(token.value));
+  if (token.type === "shadow") return parseShadow(String(token.value)) ?? token.value;
+  return token.value;
+}
+
+function groupTokens(
+  tokens: ExportToken[],
+  toEntry: (token: ExportToken) => Record<string, unknown>
+): Record<string, Record<string, unknown>> {
+  const groups: Record<string, Record<string, unknown>> = {};
+  for (const token of tokens) {
+    groups[token.group] = groups[token.group] || {};
+    groups[token.group][token.name] = toEntry(token);
+  }
+  return groups;
+}
+
+function toDTCG(tokens: ExportToken[]): Record<string, string> {
+  const document = groupTokens(tokens, (token) => {
+    const entry: Record<string, unknown> = {
+      $type: token.type,
+      $value: token.aliasOf ? referencePath(tokens, token.aliasOf) : exportValue(token),
+    };
+    if (token.modes) {
+      entry.$extensions = {
+        "com.web-to-figma.modes": {
+          light: normalizeColor(token.modes.light),
+          dark: normalizeColor(token.modes.dark),
+        },
+      };
+    }
+    return entry;
+  });
+
+  return { "tokens.json": JSON.stringify(document, null, 2) + "\n" };
+}
+
+function toStyleDictionary(tokens: ExportToken[]): Record<string, string> {
+  const groups = groupTokens(tokens, (token) => {
+    const entry: Record<string, unknown> = {
+      value: token.aliasOf ? referencePath(tokens, token.aliasOf) : exportValue(token),
+      type: token.type,
+    };
+    if (token.cssVar) entry.comment = `From ${token.cssVar}`;
+    if (token.modes) {
+      entry.attributes = { dark: normalizeColor(token.modes.dark) };
+    }
+    return entry;
+  });
+
+  const files: Record<string, string> = {};
+  for (const [group, entries] of Object.entries(groups)) {
+    files[`tokens/${group}.json`] = JSON.stringify({ [group]: entries }, null, 2) + "\n";
+  }
+
+  files["config.json"] =
+    JSON.stringify(
+      {
+        source: ["tokens/**/*.json"],
+        platforms: {
+          css: {
+            transformGroup: "css",
+            buildPath: "build/css/",
+            files: [{ destination: "variables.css", format: "css/variables", options: { outputReferences: true } }],
+          },
+          js: {
+            transformGroup: "js",
+            buildPath: "build/js/",
+            files: [{ destination: "tokens.js", format: "javascript/es6" }],
+          },
+        },
+      },
+      null,
+      2
+    ) + "\n";
+
+  return files;
+}
+
+/**
+ * Tokens from custom properties become `var(--name, fallback)` so the theme
+ * follows the site's variables; an alias falls back to its target's var().
+ */
+function toTailwind(tokens: ExportToken[]): Record<string, string> {
+  const byCssVar = new Map(
+    tokens.filter((token) => token.cssVar).map((token) => [token.cssVar!, token])
+  );
+
+  const tailwindValue = (token: ExportToken): string => {
+    const literal =
+      token.type === "color" ? normalizeColor(String(token.value)) : String(token.value);
+    if (!token.cssVar) return literal;
+    const target = token.aliasOf ? byCssVar.get(token.aliasOf) : undefined;
+    return `var(${token.cssVar}, ${target ? tailwindValue(target) : literal})`;
+  };
+
+  const extend: Record<string, Record<string, string>> = {};
+  for (const token of tokens) {
+    const key = TAILWIND_THEME_KEYS[token.group];
+    extend[key] = extend[key] || {};
+    extend[key][token.name] = tailwindValue(token);
+  }
+
+  const config = JSON.stringify({ theme: { extend } }, null, 2);
+  return {
+    "tailwind.config.js":
+      "/** @type {import('tailwindcss').Config} */\n" +
+      "// Generated by web-to-figma from captured design tokens\n" +
+      `module.exports = ${config};\n`,
+  };
+}
+
+/**
+ * Serializes a document's tokens. Throws on an unknown format.
+ */
+export function exportTokens(
+  tokens: IRDocument["tokens"],
+  format: TokenExportFormat
+): TokenExport {
+  const collected = collectTokens(tokens);
+
+  let files: Record<string, string>;
+  switch (format) {
+    case "dtcg":
+      files = toDTCG(collected);
+      break;
+    case "style-dictionary":
+      files = toStyleDictionary(collected);
+      break;
+    case "tailwind":
+      files = toTailwind(collected);
+      break;
+    default:
+      throw new Error(`format must be one of: ${TOKEN_EXPORT_FORMATS.join(", ")}`);
+  }
+
+  return { format, tokenCount: collected.length, files };
+}
@@ -0,0 +1,463 @@
+/**
+ * TOKEN INFERENCE - Design system recovery from computed styles
+ *
+ * Raw computed values are noisy: anti-aliased borders, opacity blends and
+ * one-off paddings turn a six-color palette into eighty. This module
+ * clusters colors in OKLab, detects the spacing base unit and the modular
+ * type scale, and names colors by how the page uses them.
+ */
+
+import type {
+  IRColorRole,
+  IRScaleStep,
+  IRSemanticColor,
+  IRSemanticTokens,
+  IRSpacingScale,
+  IRTypeScale,
+} from "../../ir.js";
+
+export interface InferredTokens {
+  spacing: number[];
+  radii: number[];
+  colors: string[];
+  fontSizes: number[];
+  fontWeights: string[];
+  semantic: IRSemanticTokens;
+}
+
+// OKLab distance below which two colors read as the same (JND is ~0.02)
+const COLOR_MERGE_DELTA_E = 0.025;
+const COLOR_MERGE_ALPHA = 0.05;
+const NEUTRAL_CHROMA = 0.04;
+
+const SPACING_BASE_CANDIDATES = [12, 10, 8, 6, 5, 4, 3, 2];
+const SPACING_MIN_COVERAGE = 0.75;
+const SPACING_MAX_VALUE = 400;
+const SPACING_MAX_STEPS = 12;
+
+const TYPE_SCALE_RATIOS = [1.067, 1.125, 1.2, 1.25, 1.333, 1.414, 1.5, 1.618];
+const TYPE_SCALE_COLLISION_PENALTY = 0.5;
+
+const SPACING_PROPERTIES = [
+  "paddingTop",
+  "paddingRight",
+  "paddingBottom",
+  "paddingLeft",
+  "marginTop",
+  "marginRight",
+  "marginBottom",
+  "marginLeft",
+  "gap",
+  "rowGap",
+  "columnGap",
+];
+
+const INTERACTIVE_TAGS = new Set(["a", "button"]);
+
+// ==================== COLOR ====================
+
+interface Rgba {
+  r: number; // 0-255
+  g: number;
+  b: number;
+  a: number; // 0-1
+}
+
+interface ColorUsage {
+  value: string;
+  rgba: Rgba;
+  lab: [number, number, number];
+  backgroundArea: number;
+  background: number;
+  text: number;
+  border: number;
+  interactive: number;
+}
+
+function parseCssColor(value: string | undefined): Rgba | null {
+  if (!value) return null;
+  const trimmed = value.trim();
+
+  const rgb = trimmed.match(/^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)(?:[\s,/]+([\d.]+%?))?\s*\)$/i);
+  if (rgb) {
+    const alpha = rgb[4] === undefined ? 1 : rgb[4].endsWith("%") ? parseFloat(rgb[4]) / 100 : parseFloat(rgb[4]);
+    return { r: Number(rgb[1]), g: Number(rgb[2]), b: Number(rgb[3]), a: alpha };
+  }
+
+  const hex = trimmed.match(/^#([0-9a-f]{3,8})$/i);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) digits = digits.split("").map((d) => d + d).join("");
+    const channel = (index: number) => parseInt(digits.slice(index, index + 2), 16);
+    return {
+      r: channel(0),
+      g: channel(2),
+      b: channel(4),
+      a: digits.length === 8 ? channel(6) / 255 : 1,
+    };
+  }
+
+  return null;
+}
+
+function srgbToLinear(channel: number): number {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * sRGB -> OKLab (Björn Ottosson's reference matrices).
+ */
+function toOklab({ r, g, b }: Rgba): [number, number, number] {
+  const lr = srgbToLinear(r);
+  const lg = srgbToLinear(g);
+  const lb = srgbToLinear(b);
+
+  const l = Math.cbrt(0.4122214708 * lr + 0.5363660395 * lg + 0.0514004758 * lb);
+  const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+  return [
+    0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+  ];
+}
+
+function deltaE(a: [number, number, number], b: [number, number, number]): number {
+  return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+function chroma(lab: [number, number, number]): number {
+  return Math.hypot(lab[1], lab[2]);
+}
+
+function collectColorUsage(nodes: any[]): ColorUsage[] {
+  const usage = new Map<string, ColorUsage>();
+
+  const record = (value: string | undefined, apply: (entry: ColorUsage) => void) => {
+    const rgba = parseCssColor(value);
+    if (!rgba || rgba.a === 0) return;
+    const key = value!.trim();
+    let entry = usage.get(key);
+    if (!entry) {
+      entry = {
+        value: key,
+        rgba,
+        lab: toOklab(rgba),
+        backgroundArea: 0,
+        background: 0,
+        text: 0,
+        border: 0,
+        interactive: 0,
+      };
+      usage.set(key, entry);
+    }
+    apply(entry);
+  };
+
+  for (const node of nodes) {
+    const styles = node.styles || {};
+    const interactive = INTERACTIVE_TAGS.has(node.tag) || node.role === "button";
+    const area = (node.rect?.width || 0) * (node.rect?.height || 0);
+
+    record(styles.backgroundColor, (entry) => {
+      entry.background++;
+      entry.backgroundArea += area;
+      if (interactive) entry.interactive++;
+    });
+    if (node.text?.rawText?.trim()) {
+      record(styles.color, (entry) => {
+        entry.text++;
+        if (interactive) entry.interactive++;
+      });
+    }
+    if (parseFloat(styles.borderWidth || "0") > 0 && styles.borderStyle !== "none") {
+      record(styles.borderColor, (entry) => {
+        entry.border++;
+      });
+    }
+  }
+
+  return Array.from(usage.values());
+}
+
+interface ColorCluster {
+  representative: ColorUsage;
+  members: ColorUsage[];
+  backgroundArea: number;
+  background: number;
+  text: number;
+  border: number;
+  interactive: number;
+}
+
+function totalUsage(entry: { background: number; text: number; border: number }): number {
+  return entry.background + entry.text + entry.border;
+}
+
+/**
+ * Greedy clustering: the most used colors seed clusters and later colors
+ * join the nearest one within COLOR_MERGE_DELTA_E.
+ */
+function clusterColors(usage: ColorUsage[]): ColorCluster[] {
+  const clusters: ColorCluster[] = [];
+
+  for (const entry of [...usage].sort((a, b) => totalUsage(b) - totalUsage(a))) {
+    let nearest: ColorCluster | null = null;
+    let nearestDistance = Infinity;
+    for (const cluster of clusters) {
+      if (Math.abs(cluster.representative.rgba.a - entry.rgba.a) > COLOR_MERGE_ALPHA) continue;
+      const distance = deltaE(cluster.representative.lab, entry.lab);
+      if (distance < COLOR_MERGE_DELTA_E && distance < nearestDistance) {
+        nearest = cluster;
+        nearestDistance = distance;
+      }
+    }
+
+    if (!nearest) {
+      clusters.push({
+        representative: entry,
+        members: [entry],
+        backgroundArea: entry.backgroundArea,
+        background: entry.background,
+        text: entry.text,
+        border: entry.border,
+        interactive: entry.interactive,
+      });
+      continue;
+    }
+
+    nearest.members.push(entry);
+    nearest.backgroundArea += entry.backgroundArea;
+    nearest.background += entry.background;
+    nearest.text += entry.text;
+    nearest.border += entry.border;
+    nearest.interactive += entry.interactive;
+  }
+
+  return clusters;
+}
+
+/**
+ * Names clusters by usage: the largest background is the surface, the most
+ * common text color is text, the most used chromatic color on links and
+ * buttons is primary. Whatever is left becomes accent-n or neutral-n.
+ */
+function assignColorRoles(clusters: ColorCluster[]): IRSemanticColor[] {
+  const roles = new Map<ColorCluster, IRColorRole>();
+  const isNeutral = (cluster: ColorCluster) => chroma(cluster.representative.lab) < NEUTRAL_CHROMA;
+
+  const claim = (role: IRColorRole, candidates: ColorCluster[], score: (cluster: ColorCluster) => number) => {
+    const best = candidates
+      .filter((cluster) => !roles.has(cluster) && score(cluster) > 0)
+      .sort((a, b) => score(b) - score(a))[0];
+    if (best) roles.set(best, role);
+  };
+
+  claim("surface", clusters, (cluster) => cluster.backgroundArea);
+  claim("text", clusters, (cluster) => cluster.text);
+  claim("primary", clusters.filter((cluster) => !isNeutral(cluster)), (cluster) =>
+    cluster.interactive * 3 + cluster.background + cluster.text
+  );
+  claim("border", clusters, (cluster) => cluster.border);
+
+  // Secondary surfaces, text and border colors keep their role when it is their main use
+  for (const cluster of clusters) {
+    if (roles.has(cluster)) continue;
+    if (isNeutral(cluster) && cluster.background > cluster.text + cluster.border) {
+      roles.set(cluster, "surface");
+    } else if (isNeutral(cluster) && cluster.text > cluster.background + cluster.border) {
+      roles.set(cluster, "text");
+    } else if (cluster.border > cluster.background + cluster.text) {
+      roles.set(cluster, "border");
+    } else {
+      roles.set(cluster, isNeutral(cluster) ? "neutral" : "accent");
+    }
+  }
+
+  const counts: Partial<Record<IRColorRole, number>> = {};
+  return clusters
+    .sort((a, b) => totalUsage(b) - totalUsage(a))
+    .map((cluster) => {
+      const role = roles.get(cluster)!;
+      const index = (counts[role] = (counts[role] || 0) + 1);
+      const numbered = role === "accent" || role === "neutral";
+      return {
+        name: numbered ? `${role}-${index}` : index === 1 ? role : `${role}-${index}`,
+        value: cluster.representative.value,
+        role,
+        usage: totalUsage(cluster),
+        members: cluster.members.map((member) => member.value),
+      };
+    });
+}
+
+// ==================== SPACING ====================
+
+function collectSpacingValues(nodes: any[]): number[] {
+  const values: number[] = [];
+  for (const node of nodes) {
+    const styles = node.styles || {};
+    for (const property of SPACING_PROPERTIES) {
+      const raw = styles[property];
+      if (typeof raw !== "string") continue;
+      for (const match of raw.matchAll(/(-?[\d.]+)px/g)) {
+        const value = Math.round(Math.abs(parseFloat(match[1])) * 2) / 2;
+        if (value > 0 && value <= SPACING_MAX_VALUE) values.push(value);
+      }
+    }
+  }
+  return values;
+}
+
+function spacingCoverage(values: number[], base: number): number {
+  if (values.length === 0) return 0;
+  const fitting = values.filter((value) => {
+    const remainder = value % base;
+    return Math.min(remainder, base - remainder) <= 0.5;
+  });
+  return fitting.length / values.length;
+}
+
+/**
+ * Picks the largest candidate unit that most spacing values are multiples
+ * of, falling back to the best-covering one.
+ */
+function detectSpacingScale(values: number[]): IRSpacingScale {
+  if (values.length === 0) {
+    return { baseUnit: 4, coverage: 0, steps: [] };
+  }
+
+  let baseUnit = SPACING_BASE_CANDIDATES.find(
+    (candidate) => spacingCoverage(values, candidate) >= SPACING_MIN_COVERAGE
+  );
+  if (baseUnit === undefined) {
+    baseUnit = SPACING_BASE_CANDIDATES.reduce((best, candidate) =>
+      spacingCoverage(values, candidate) > spacingCoverage(values, best) ? candidate : best
+    );
+  }
+
+  // Snap to the grid and keep the most used multiples
+  const multiples = new Map<number, number>();
+  for (const value of values) {
+    const multiple = Math.max(1, Math.round(value / baseUnit));
+    multiples.set(multiple, (multiples.get(multiple) || 0) + 1);
+  }
+  const steps: IRScaleStep[] = Array.from(multiples.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, SPACING_MAX_STEPS)
+    .sort((a, b) => a[0] - b[0])
+    .map(([multiple]) => ({ name: `space-${multiple}`, value: multiple * baseUnit }));
+
+  return {
+    baseUnit,
+    coverage: Math.round(spacingCoverage(values, baseUnit) * 100) / 100,
+    steps,
+  };
+}
+
+// ==================== TYPE SCALE ====================
+
+function typeStepLabel(step: number): string {
+  if (step === 0) return "base";
+  if (step === 1) return "lg";
+  if (step === -1) return "sm";
+  if (step === -2) return "xs";
+  if (step < -2) return `${-step - 1}xs`;
+  return step === 2 ? "xl" : `${step - 1}xl`;
+}
+
+/**
+ * Fits font sizes to base * ratio^n. A ratio scores well when sizes land
+ * close to whole steps without two distinct sizes sharing a step.
+ */
+function detectTypeScale(sizes: Map<number, number>): IRTypeScale {
+  const entries = Array.from(sizes.entries()).filter(([size]) => size > 0);
+  if (entries.length === 0) {
+    return { baseSize: 16, ratio: 1.25, steps: [] };
+  }
+
+  const baseSize = entries.sort(
+    (a, b) => b[1] - a[1] || Math.abs(a[0] - 16) - Math.abs(b[0] - 16)
+  )[0][0];
+  const totalWeight = entries.reduce((sum, [, count]) => sum + count, 0);
+
+  const stepOf = (size: number, ratio: number) => Math.log(size / baseSize) / Math.log(ratio);
+
+  let ratio = TYPE_SCALE_RATIOS[0];
+  let bestScore = Infinity;
+  for (const candidate of TYPE_SCALE_RATIOS) {
+    let error = 0;
+    const occupied = new Set<number>();
+    let collisions = 0;
+    for (const [size, count] of entries) {
+      const exact = stepOf(size, candidate);
+      const step = Math.round(exact);
+      error += Math.abs(exact - step) * count;
+      if (occupied.has(step)) collisions++;
+      occupied.add(step);
+    }
+    const score = error / totalWeight + (TYPE_SCALE_COLLISION_PENALTY * collisions) / entries.length;
+    if (score < bestScore) {
+      bestScore = score;
+      ratio = candidate;
+    }
+  }
+
+  // One size per step: the most used one that landed there
+  const bySteps = new Map<number, [number, number]>();
+  for (const [size, count] of entries) {
+    const step = Math.round(stepOf(size, ratio));
+    const current = bySteps.get(step);
+    if (!current || count > current[1]) bySteps.set(step, [size, count]);
+  }
+
+  const steps = Array.from(bySteps.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([step, [size]]) => ({ name: `font-size-${typeStepLabel(step)}`, value: size }));
+
+  return { baseSize, ratio, steps };
+}
+
+function collectFontSizes(nodes: any[]): Map<number, number> {
+  const sizes = new Map<number, number>();
+  for (const node of nodes) {
+    if (!node.text?.rawText?.trim()) continue;
+    const size = Math.round(parseFloat(node.styles?.fontSize) * 2) / 2;
+    if (!isNaN(size) && size > 0) sizes.set(size, (sizes.get(size) || 0) + 1);
+  }
+  return sizes;
+}
+
+// ==================== ENTRY POINT ====================
+
+/**
+ * Builds the `tokens.inferred` section from extracted nodes. The flat
+ * arrays hold cleaned values; `semantic` carries names and roles.
+ */
+export function inferDesignTokens(nodes: any[]): InferredTokens {
+  const colors = assignColorRoles(clusterColors(collectColorUsage(nodes)));
+  const spacing = detectSpacingScale(collectSpacingValues(nodes));
+  const typeScale = detectTypeScale(collectFontSizes(nodes));
+
+  const radii = new Set<number>();
+  const fontWeights = new Set<string>();
+  for (const node of nodes) {
+    const styles = node.styles || {};
+    for (const match of String(styles.borderRadius || "").matchAll(/([\d.]+)px/g)) {
+      const radius = Math.round(parseFloat(match[1]));
+      if (radius > 0) radii.add(radius);
+    }
+    if (styles.fontWeight) fontWeights.add(String(styles.fontWeight));
+  }
+
+  return {
+    spacing: spacing.steps.map((step) => step.value),
+    radii: Array.from(radii).sort((a, b) => a - b),
+    colors: colors.map((color) => color.value),
+    fontSizes: typeScale.steps.map((step) => step.value),
+    fontWeights: Array.from(fontWeights).sort(),
+    semantic: { colors, spacing, typeScale },
+  };
+}
@@ -0,0 +1,78 @@
+import { readFileSync } from 'fs';
+import { describe, expect, it } from '@jest/globals';
+import { encodeImageChunkFrame, FRAME_VERSION } from '../src/stream-controller.js';
+
+type DecodedFrame = {
+  type: string;
+  sequenceNumber: number;
+  chunkIndex: number;
+  totalChunks: number;
+  nodeId: string;
+  data: Uint8Array;
+};
+
+/**
+ * The plugin UI is a single inline script, so pull the decoder and the
+ * frame constants it reads out of ui.html and evaluate them on their own.
+ */
+function loadUIDecoder(): (buffer: ArrayBuffer) => DecodedFrame | null {
+  const html = readFileSync(new URL('../../plugin/src/ui.html', import.meta.url), 'utf8');
+  const constants = html.match(/const FRAME_KIND_IMAGE_CHUNK[\s\S]*?const frameTextDecoder = .*;/);
+  const decoder = html.match(/function decodeImageChunkFrame\(buffer\) \{[\s\S]*?\n    \}\n/);
+  if (!constants || !decoder) {
+    throw new Error('decodeImageChunkFrame not found in ui.html');
+  }
+  return new Function(`${constants[0]}\n${decoder[0]}\nreturn decodeImageChunkFrame;`)();
+}
+
+// Node pools small Buffers, so copy out exactly the frame's bytes
+function toArrayBuffer(frame: Buffer): ArrayBuffer {
+  return frame.buffer.slice(frame.byteOffset, frame.byteOffset + frame.byteLength) as ArrayBuffer;
+}
+
+describe('image chunk frames', () => {
+  const decodeImageChunkFrame = loadUIDecoder();
+  const bytes = Uint8Array.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+  it('decodes what the stream controller encodes', () => {
+    const frame = encodeImageChunkFrame('node-✓-42', 7, 2, 5, bytes);
+
+    expect(decodeImageChunkFrame(toArrayBuffer(frame))).toEqual({
+      type: 'IMAGE_CHUNK',
+      sequenceNumber: 7,
+      chunkIndex: 2,
+      totalChunks: 5,
+      nodeId: 'node-✓-42',
+      data: bytes
+    });
+  });
+
+  it('keeps full u32 header fields', () => {
+    const frame = encodeImageChunkFrame('n', 0xfffffffe, 0, 1, new Uint8Array(0));
+    const decoded = decodeImageChunkFrame(toArrayBuffer(frame));
+
+    expect(decoded?.sequenceNumber).toBe(0xfffffffe);
+    expect(decoded?.data.byteLength).toBe(0);
+  });
+
+  it('rejects frames with an unknown version', () => {
+    const frame = encodeImageChunkFrame('node-1', 1, 0, 1, bytes);
+    frame.writeUInt8(FRAME_VERSION + 1, 1);
+
+    expect(decodeImageChunkFrame(toArrayBuffer(frame))).toBeNull();
+  });
+
+  it('rejects frames of another kind', () => {
+    const frame = encodeImageChunkFrame('node-1', 1, 0, 1, bytes);
+    frame.writeUInt8(2, 0);
+
+    expect(decodeImageChunkFrame(toArrayBuffer(frame))).toBeNull();
+  });
+
+  it('rejects frames shorter than their header or node id', () => {
+    const frame = encodeImageChunkFrame('node-1', 1, 0, 1, bytes);
+
+    expect(decodeImageChunkFrame(toArrayBuffer(frame.subarray(0, 10)))).toBeNull();
+    expect(decodeImageChunkFrame(toArrayBuffer(frame.subarray(0, 16 + 3)))).toBeNull();
+  });
+});
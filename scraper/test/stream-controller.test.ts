@@ -0,0 +1,130 @@
+import { afterAll, beforeAll, describe, expect, it } from '@jest/globals';
+import { WebSocket } from 'ws';
+import type { IRNode } from '../../ir.js';
+import { CONFIG } from '../src/config.js';
+import { StreamController, type StreamOptions } from '../src/stream-controller.js';
+
+const ACK_TIMEOUT_MS = 200;
+
+/**
+ * Stands in for the plugin UI's socket: records every message and, with
+ * `autoAck`, acknowledges each one on the next tick like the UI does.
+ */
+function createClient(options: StreamOptions, autoAck = false) {
+  const received: any[] = [];
+  const socket = {
+    readyState: WebSocket.OPEN,
+    send(data: string) {
+      const message = JSON.parse(data);
+      received.push(message);
+      if (autoAck) {
+        setImmediate(() => controller.acknowledge(message.sequenceNumber));
+      }
+    }
+  };
+  const controller = new StreamController(socket as unknown as WebSocket, options);
+  return { controller, socket, received };
+}
+
+// 100 nodes stream as two NODES batches of 50
+function payload() {
+  const nodes = Array.from({ length: 100 }, (_, index) => ({ id: `node-${index}`, type: 'FRAME' }));
+  return { nodes: nodes as unknown as IRNode[] };
+}
+
+const tick = (ms = 10) => new Promise((resolve) => setTimeout(resolve, ms));
+const types = (messages: any[]) => messages.map((message) => message.type);
+
+describe('StreamController acknowledged streams', () => {
+  const resumeTimeout = CONFIG.STREAM_RESUME_TIMEOUT_MS;
+  beforeAll(() => {
+    CONFIG.STREAM_RESUME_TIMEOUT_MS = ACK_TIMEOUT_MS;
+  });
+  afterAll(() => {
+    CONFIG.STREAM_RESUME_TIMEOUT_MS = resumeTimeout;
+  });
+
+  it('streams everything in order when the client acknowledges', async () => {
+    const { controller, received } = createClient({ acknowledged: true }, true);
+    controller.announceJob();
+    await controller.streamExtractedPage(payload());
+    controller.close();
+
+    expect(types(received)).toEqual([
+      'JOB', 'PROGRESS', 'NODES', 'PROGRESS', 'NODES', 'PROGRESS', 'COMPLETE'
+    ]);
+    expect(received.map((message) => message.sequenceNumber)).toEqual([0, 1, 2, 3, 4, 5, 6]);
+  });
+
+  it('pauses while windowSize messages are unacknowledged', async () => {
+    const { controller, received } = createClient({ acknowledged: true, windowSize: 2 });
+    controller.announceJob();
+    let finished = false;
+    const streaming = controller.streamExtractedPage(payload()).then(() => {
+      finished = true;
+    });
+
+    await tick();
+    expect(types(received)).toEqual(['JOB', 'PROGRESS', 'NODES']);
+
+    controller.acknowledge(2);
+    await tick();
+    expect(types(received)).toEqual(['JOB', 'PROGRESS', 'NODES', 'PROGRESS', 'NODES']);
+
+    controller.acknowledge(4);
+    await tick();
+    expect(received.at(-1).type).toBe('COMPLETE');
+    expect(finished).toBe(false);
+
+    controller.acknowledge(6);
+    await streaming;
+    controller.close();
+  });
+
+  it('does not count extraction time before streaming against the ACK timeout', async () => {
+    const { controller, received } = createClient({ acknowledged: true, windowSize: 2 }, true);
+    controller.announceJob();
+    await tick(ACK_TIMEOUT_MS * 2);
+    await controller.streamExtractedPage(payload());
+    controller.close();
+
+    expect(received.at(-1).type).toBe('COMPLETE');
+  });
+
+  it('fails the job when a connected client stops acknowledging', async () => {
+    const { controller, received } = createClient({ acknowledged: true, windowSize: 2 });
+    controller.announceJob();
+    const startedAt = Date.now();
+    await controller.streamExtractedPage(payload());
+    controller.close();
+
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(ACK_TIMEOUT_MS - 5);
+    expect(received.at(-1)).toMatchObject({
+      type: 'ERROR',
+      payload: { message: expect.stringContaining(`received no ACK for ${ACK_TIMEOUT_MS}ms`) }
+    });
+  });
+
+  it('replays unacknowledged messages to a resumed socket', async () => {
+    const { controller, socket } = createClient({ acknowledged: true, windowSize: 2 });
+    controller.announceJob();
+    const streaming = controller.streamExtractedPage(payload());
+    await tick();
+
+    controller.detach(socket as unknown as WebSocket);
+    const resumed = createClient({}, false);
+    controller.attach(resumed.socket as unknown as WebSocket, 0);
+    await tick();
+    expect(resumed.received.map((message) => message.sequenceNumber)).toEqual([1, 2]);
+
+    controller.acknowledge(2);
+    await tick();
+    controller.acknowledge(4);
+    await tick();
+    controller.acknowledge(6);
+    await streaming;
+    controller.close();
+
+    expect(resumed.received.at(-1).type).toBe('COMPLETE');
+  });
+});
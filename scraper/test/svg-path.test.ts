@@ -0,0 +1,272 @@
+import { readFileSync } from 'fs';
+import ts from 'typescript';
+import { describe, expect, it } from '@jest/globals';
+
+type Point = { x: number; y: number };
+type Command = { command: 'M' | 'L' | 'C' | 'Z'; args: number[] };
+type Transform = { scaleX: number; scaleY: number; translateX: number; translateY: number };
+type Network = {
+  vertices: Point[];
+  segments: Array<{ start: number; end: number; tangentStart: Point; tangentEnd: Point }>;
+  regions: Array<{ windingRule: string; loops: number[][] }>;
+};
+
+interface SVGPathParser {
+  parseSVGPathData(d: string): Command[];
+  parseSVGPathArguments(text: string, isArc: boolean): number[];
+  svgArcToCubics(...args: [number, number, number, number, number, boolean, boolean, number, number]): number[][] | null;
+  svgPathToVectorNetwork(d: string, transform: Transform, fillRule?: string): Network;
+  getSVGViewBoxTransform(viewBox: string, preserveAspectRatio: string | undefined, width: number, height: number): Transform;
+  getSVGRootAttribute(markup: string, name: string): string | undefined;
+}
+
+/**
+ * svg-path.ts is a plain script compiled into the plugin's code.js, so
+ * transpile it on its own and collect the functions it declares.
+ */
+function loadParser(): SVGPathParser {
+  const source = readFileSync(new URL('../../plugin/src/svg-path.ts', import.meta.url), 'utf8');
+  const { outputText } = ts.transpileModule(source, {
+    compilerOptions: { target: ts.ScriptTarget.ES2017, module: ts.ModuleKind.None }
+  });
+  return new Function(
+    `${outputText}
+    return { parseSVGPathData, parseSVGPathArguments, svgArcToCubics, svgPathToVectorNetwork,
+      getSVGViewBoxTransform, getSVGRootAttribute };`
+  )();
+}
+
+const IDENTITY: Transform = { scaleX: 1, scaleY: 1, translateX: 0, translateY: 0 };
+
+// Point at t on the cubic that starts at `from`
+function cubicAt(from: Point, args: number[], t: number): Point {
+  const u = 1 - t;
+  const [c1x, c1y, c2x, c2y, x, y] = args;
+  return {
+    x: u * u * u * from.x + 3 * u * u * t * c1x + 3 * u * t * t * c2x + t * t * t * x,
+    y: u * u * u * from.y + 3 * u * u * t * c1y + 3 * u * t * t * c2y + t * t * t * y
+  };
+}
+
+function expectArgs(commands: Command[], expected: Command[]) {
+  expect(commands.map((command) => command.command)).toEqual(expected.map((command) => command.command));
+  commands.forEach((command, index) => {
+    command.args.forEach((value, arg) => expect(value).toBeCloseTo(expected[index].args[arg], 6));
+  });
+}
+
+describe('SVG path parser', () => {
+  const parser = loadParser();
+
+  describe('M, L, H and V', () => {
+    it('makes relative coordinates absolute and treats extra moveto pairs as lines', () => {
+      expect(parser.parseSVGPathData('M10 10 20 20 l5 5 m1 1 2 2')).toEqual([
+        { command: 'M', args: [10, 10] },
+        { command: 'L', args: [20, 20] },
+        { command: 'L', args: [25, 25] },
+        { command: 'M', args: [26, 26] },
+        { command: 'L', args: [28, 28] }
+      ]);
+    });
+
+    it('turns horizontal and vertical lines into L from the current point', () => {
+      expect(parser.parseSVGPathData('M1 2 H10 v5 h-3 V0')).toEqual([
+        { command: 'M', args: [1, 2] },
+        { command: 'L', args: [10, 2] },
+        { command: 'L', args: [10, 7] },
+        { command: 'L', args: [7, 7] },
+        { command: 'L', args: [7, 0] }
+      ]);
+    });
+
+    it('reads numbers without separators', () => {
+      expect(parser.parseSVGPathData('M.5-1.5L1e1,2-3.25.75')).toEqual([
+        { command: 'M', args: [0.5, -1.5] },
+        { command: 'L', args: [10, 2] },
+        { command: 'L', args: [-3.25, 0.75] }
+      ]);
+    });
+  });
+
+  describe('C and S', () => {
+    it('reflects the previous second control point for S', () => {
+      expect(parser.parseSVGPathData('M0 0 C0 10 10 10 10 0 S20 -10 20 0 s10 10 10 0')).toEqual([
+        { command: 'M', args: [0, 0] },
+        { command: 'C', args: [0, 10, 10, 10, 10, 0] },
+        { command: 'C', args: [10, -10, 20, -10, 20, 0] },
+        { command: 'C', args: [20, 10, 30, 10, 30, 0] }
+      ]);
+    });
+
+    it('starts S at the current point when no cubic precedes it', () => {
+      expect(parser.parseSVGPathData('M0 0 L5 5 S10 10 20 0')[2]).toEqual({
+        command: 'C',
+        args: [5, 5, 10, 10, 20, 0]
+      });
+    });
+  });
+
+  describe('Q and T', () => {
+    it('elevates quadratics to cubics and reflects the control point for T', () => {
+      expectArgs(parser.parseSVGPathData('M0 0 Q5 10 10 0 T20 0 t10 0'), [
+        { command: 'M', args: [0, 0] },
+        { command: 'C', args: [10 / 3, 20 / 3, 20 / 3, 20 / 3, 10, 0] },
+        // Control point (15, -10)
+        { command: 'C', args: [40 / 3, -20 / 3, 50 / 3, -20 / 3, 20, 0] },
+        // Control point (25, 10)
+        { command: 'C', args: [70 / 3, 20 / 3, 80 / 3, 20 / 3, 30, 0] }
+      ]);
+    });
+
+    it('does not reflect a cubic control point for T', () => {
+      expectArgs(parser.parseSVGPathData('M0 0 C0 10 10 10 10 0 T20 0').slice(2), [
+        // Control point falls back to the current point (10, 0)
+        { command: 'C', args: [10, 0, 40 / 3, 0, 20, 0] }
+      ]);
+    });
+  });
+
+  describe('A', () => {
+    it('reads packed arc flags', () => {
+      expect(parser.parseSVGPathArguments('1 1 0 013 4', true)).toEqual([1, 1, 0, 0, 1, 3, 4]);
+      expect(parser.parseSVGPathArguments('5 5 30 1,0 10,10 5 5 0 1 1 .5.5', true)).toEqual([
+        5, 5, 30, 1, 0, 10, 10, 5, 5, 0, 1, 1, 0.5, 0.5
+      ]);
+    });
+
+    it('splits a half circle into two quarter cubics on the circle', () => {
+      const commands = parser.parseSVGPathData('M0 0 A10 10 0 0 1 20 0');
+      expect(commands.map((command) => command.command)).toEqual(['M', 'C', 'C']);
+
+      let from: Point = { x: 0, y: 0 };
+      for (const { args } of commands.slice(1)) {
+        for (const t of [0.25, 0.5, 0.75]) {
+          const point = cubicAt(from, args, t);
+          expect(Math.hypot(point.x - 10, point.y)).toBeCloseTo(10, 1);
+          // Sweep flag 1 goes through negative y
+          expect(point.y).toBeLessThan(0);
+        }
+        from = { x: args[4], y: args[5] };
+      }
+      expect(from).toEqual({ x: 20, y: 0 });
+    });
+
+    it('scales up radii too small to reach the end point', () => {
+      const commands = parser.parseSVGPathData('M0 0 a1 1 0 013 4');
+      const last = commands[commands.length - 1];
+      expect(last.args.slice(4)).toEqual([3, 4]);
+      // A half circle on the 5-unit chord
+      const mid = cubicAt({ x: 0, y: 0 }, commands[1].args, 1);
+      expect(Math.hypot(mid.x - 1.5, mid.y - 2)).toBeCloseTo(2.5, 6);
+    });
+
+    it('uses the large arc when asked', () => {
+      const small = parser.svgArcToCubics(0, 0, 10, 10, 0, false, true, 10, 10)!;
+      const large = parser.svgArcToCubics(0, 0, 10, 10, 0, true, true, 10, 10)!;
+      expect(small).toHaveLength(1);
+      expect(large).toHaveLength(3);
+    });
+
+    it('draws a line for a zero radius and nothing for a zero-length arc', () => {
+      expect(parser.parseSVGPathData('M0 0 A0 5 0 0 1 10 0 A5 5 0 0 1 10 0')).toEqual([
+        { command: 'M', args: [0, 0] },
+        { command: 'L', args: [10, 0] }
+      ]);
+    });
+  });
+
+  describe('Z', () => {
+    it('returns to the subpath start, also for relative commands after it', () => {
+      expect(parser.parseSVGPathData('M10 10 l5 0 z l0 5')).toEqual([
+        { command: 'M', args: [10, 10] },
+        { command: 'L', args: [15, 10] },
+        { command: 'Z', args: [] },
+        { command: 'L', args: [10, 15] }
+      ]);
+    });
+  });
+});
+
+describe('svgPathToVectorNetwork', () => {
+  const parser = loadParser();
+
+  it('closes a subpath with a segment back to its first vertex', () => {
+    const network = parser.svgPathToVectorNetwork('M0 0 L10 0 L10 10 Z', IDENTITY);
+
+    expect(network.vertices).toEqual([{ x: 0, y: 0 }, { x: 10, y: 0 }, { x: 10, y: 10 }]);
+    expect(network.segments.map(({ start, end }) => [start, end])).toEqual([[0, 1], [1, 2], [2, 0]]);
+    expect(network.regions).toEqual([{ windingRule: 'NONZERO', loops: [[0, 1, 2]] }]);
+  });
+
+  it('reuses the start vertex when the path already ends on it', () => {
+    const network = parser.svgPathToVectorNetwork('M0 0 L10 0 L10 10 L0 0 Z', IDENTITY);
+
+    expect(network.vertices).toHaveLength(3);
+    expect(network.segments.map(({ start, end }) => [start, end])).toEqual([[0, 1], [1, 2], [2, 0]]);
+  });
+
+  it('keeps open subpaths out of the region and honors evenodd', () => {
+    const network = parser.svgPathToVectorNetwork(
+      'M0 0 H20 V20 H0 Z M5 5 H15 V15 H5 Z M30 0 L40 0',
+      IDENTITY,
+      'evenodd'
+    );
+
+    expect(network.regions).toEqual([{ windingRule: 'EVENODD', loops: [[0, 1, 2, 3], [4, 5, 6, 7]] }]);
+    expect(network.segments).toHaveLength(9);
+  });
+
+  it('stores cubic control points as tangents relative to their vertex', () => {
+    const network = parser.svgPathToVectorNetwork('M0 0 C0 10 10 10 10 0', IDENTITY);
+
+    expect(network.segments).toEqual([
+      { start: 0, end: 1, tangentStart: { x: 0, y: 10 }, tangentEnd: { x: 0, y: 10 } }
+    ]);
+    expect(network.regions).toEqual([]);
+  });
+
+  it('maps viewBox units into the frame', () => {
+    const transform = parser.getSVGViewBoxTransform('0 0 24 24', undefined, 48, 48);
+    const network = parser.svgPathToVectorNetwork('M0 0 C0 12 24 12 24 24', transform);
+
+    expect(network.vertices).toEqual([{ x: 0, y: 0 }, { x: 48, y: 48 }]);
+    expect(network.segments[0].tangentStart).toEqual({ x: 0, y: 24 });
+    expect(network.segments[0].tangentEnd).toEqual({ x: 0, y: -24 });
+  });
+});
+
+describe('getSVGViewBoxTransform', () => {
+  const parser = loadParser();
+
+  it('centers and fits by default (xMidYMid meet)', () => {
+    expect(parser.getSVGViewBoxTransform('0 0 24 24', undefined, 48, 24)).toEqual({
+      scaleX: 1, scaleY: 1, translateX: 12, translateY: 0
+    });
+  });
+
+  it('aligns to the min edge, covers with slice and stretches with none', () => {
+    expect(parser.getSVGViewBoxTransform('0 0 24 24', 'xMinYMin meet', 48, 24)).toMatchObject({
+      translateX: 0, translateY: 0
+    });
+    expect(parser.getSVGViewBoxTransform('0 0 24 24', 'xMidYMid slice', 48, 24)).toEqual({
+      scaleX: 2, scaleY: 2, translateX: 0, translateY: -12
+    });
+    expect(parser.getSVGViewBoxTransform('0 0 24 24', 'none', 48, 24)).toEqual({
+      scaleX: 2, scaleY: 1, translateX: 0, translateY: 0
+    });
+  });
+
+  it('offsets by the viewBox origin and ignores unusable viewBoxes', () => {
+    expect(parser.getSVGViewBoxTransform('-12 -12 24 24', undefined, 24, 24)).toEqual({
+      scaleX: 1, scaleY: 1, translateX: 12, translateY: 12
+    });
+    expect(parser.getSVGViewBoxTransform('0 0 0 24', undefined, 24, 24)).toEqual(IDENTITY);
+    expect(parser.getSVGViewBoxTransform('0 0 24', undefined, 24, 24)).toEqual(IDENTITY);
+  });
+
+  it('reads attributes from the root tag only', () => {
+    const markup = '<svg viewBox="0 0 10 10" width="10"><svg viewBox="1 1 2 2"/></svg>';
+    expect(parser.getSVGRootAttribute(markup, 'viewBox')).toBe('0 0 10 10');
+    expect(parser.getSVGRootAttribute(markup, 'preserveAspectRatio')).toBeUndefined();
+  });
+});
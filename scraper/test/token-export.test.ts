@@ -0,0 +1,171 @@
+import { describe, expect, it } from '@jest/globals';
+import type { IRDocument } from '../../ir.js';
+import { exportTokens, isTokenExportFormat } from '../src/token-export.js';
+
+type Tokens = NonNullable<IRDocument['tokens']>;
+
+const tokens: Tokens = {
+  colors: ['rgb(37, 99, 235)', 'rgba(0, 0, 0, 0)', 'rgb(17, 24, 39)'],
+  spacing: [8, 16],
+  radii: [4],
+  fontSizes: [16],
+  fontWeights: ['400', 'bold'],
+  lineHeights: [1.5],
+  shadows: ['0px 1px 2px rgba(0, 0, 0, 0.5)', 'none'],
+  explicit: {
+    '--brand': 'rgb(37, 99, 235)',
+    '--link': 'rgb(37, 99, 235)',
+    '--space-md': '16px',
+    '--radius-sm': '4px',
+    '--font-weight-bold': '700',
+    '--display': 'block'
+  },
+  aliases: { '--link': 'var(--brand)' },
+  colorSchemes: [{ name: 'surface/1', light: 'rgb(255, 255, 255)', dark: 'rgb(17, 24, 39)' }]
+};
+
+// The Tailwind file is a CommonJS module around a JSON object
+function tailwindTheme(source: string) {
+  const match = source.match(/module\.exports = ([\s\S]*);\n$/);
+  return JSON.parse(match![1]).theme.extend;
+}
+
+describe('exportTokens', () => {
+  it('writes DTCG groups with types, aliases as references and color modes', () => {
+    const result = exportTokens(tokens, 'dtcg');
+
+    expect(result.tokenCount).toBe(12);
+    expect(Object.keys(result.files)).toEqual(['tokens.json']);
+    expect(JSON.parse(result.files['tokens.json'])).toEqual({
+      color: {
+        brand: { $type: 'color', $value: '#2563eb' },
+        link: { $type: 'color', $value: '{color.brand}' },
+        'surface-1': {
+          $type: 'color',
+          $value: '#ffffff',
+          $extensions: { 'com.web-to-figma.modes': { light: '#ffffff', dark: '#111827' } }
+        },
+        'palette-3': { $type: 'color', $value: '#111827' }
+      },
+      spacing: {
+        'space-md': { $type: 'dimension', $value: '16px' },
+        '8': { $type: 'dimension', $value: '8px' }
+      },
+      radius: {
+        'radius-sm': { $type: 'dimension', $value: '4px' }
+      },
+      fontWeight: {
+        'font-weight-bold': { $type: 'fontWeight', $value: 700 },
+        '400': { $type: 'fontWeight', $value: 400 }
+      },
+      fontSize: {
+        '16': { $type: 'dimension', $value: '16px' }
+      },
+      lineHeight: {
+        '1.5': { $type: 'number', $value: 1.5 }
+      },
+      shadow: {
+        '1': {
+          $type: 'shadow',
+          $value: [{ color: '#00000080', offsetX: '0px', offsetY: '1px', blur: '2px', spread: '0px' }]
+        }
+      }
+    });
+  });
+
+  it('writes one Style Dictionary source file per group plus a config', () => {
+    const { files } = exportTokens(tokens, 'style-dictionary');
+
+    expect(Object.keys(files).sort()).toEqual([
+      'config.json',
+      'tokens/color.json',
+      'tokens/fontSize.json',
+      'tokens/fontWeight.json',
+      'tokens/lineHeight.json',
+      'tokens/radius.json',
+      'tokens/shadow.json',
+      'tokens/spacing.json'
+    ]);
+    expect(JSON.parse(files['tokens/color.json'])).toEqual({
+      color: {
+        brand: { value: '#2563eb', type: 'color', comment: 'From --brand' },
+        link: { value: '{color.brand}', type: 'color', comment: 'From --link' },
+        'surface-1': { value: '#ffffff', type: 'color', attributes: { dark: '#111827' } },
+        'palette-3': { value: '#111827', type: 'color' }
+      }
+    });
+    expect(JSON.parse(files['config.json'])).toMatchObject({
+      source: ['tokens/**/*.json'],
+      platforms: {
+        css: { files: [{ format: 'css/variables', options: { outputReferences: true } }] },
+        js: { files: [{ format: 'javascript/es6' }] }
+      }
+    });
+  });
+
+  it('writes a Tailwind theme that follows the site variables', () => {
+    const { files } = exportTokens(tokens, 'tailwind');
+
+    expect(Object.keys(files)).toEqual(['tailwind.config.js']);
+    expect(tailwindTheme(files['tailwind.config.js'])).toEqual({
+      colors: {
+        brand: 'var(--brand, #2563eb)',
+        link: 'var(--link, var(--brand, #2563eb))',
+        'surface-1': '#ffffff',
+        'palette-3': '#111827'
+      },
+      spacing: { 'space-md': 'var(--space-md, 16px)', '8': '8px' },
+      borderRadius: { 'radius-sm': 'var(--radius-sm, 4px)' },
+      fontWeight: { 'font-weight-bold': 'var(--font-weight-bold, 700)', '400': '400' },
+      fontSize: { '16': '16px' },
+      lineHeight: { '1.5': '1.5' },
+      boxShadow: { '1': '0px 1px 2px rgba(0, 0, 0, 0.5)' }
+    });
+  });
+
+  it('names inferred scales and skips values a named token already has', () => {
+    const { files } = exportTokens(
+      {
+        ...tokens,
+        colors: [],
+        spacing: [],
+        fontSizes: [],
+        semantic: {
+          colors: [
+            { name: 'primary', value: 'rgb(37, 99, 235)', role: 'primary', usage: 4, members: ['rgb(37, 99, 235)'] },
+            { name: 'text', value: 'rgb(17, 24, 39)', role: 'text', usage: 9, members: ['rgb(17, 24, 39)'] }
+          ],
+          spacing: { baseUnit: 8, coverage: 1, steps: [{ name: 'space-1', value: 8 }, { name: 'space-2', value: 16 }] },
+          typeScale: { baseSize: 16, ratio: 1.25, steps: [{ name: 'font-size-base', value: 16 }] }
+        }
+      },
+      'dtcg'
+    );
+    const document = JSON.parse(files['tokens.json']);
+
+    expect(Object.keys(document.color)).toEqual(['brand', 'link', 'surface-1', 'text']);
+    expect(Object.keys(document.spacing)).toEqual(['space-md', 'space-1']);
+    expect(document.fontSize).toEqual({ 'font-size-base': { $type: 'dimension', $value: '16px' } });
+  });
+
+  it('drops aliases whose target is missing or of another type', () => {
+    const { files } = exportTokens(
+      {
+        ...tokens,
+        explicit: { '--brand': '#2563eb', '--gap': '16px', '--accent': '#ff0000' },
+        aliases: { '--gap': 'var(--brand)', '--accent': 'var(--missing)' }
+      },
+      'dtcg'
+    );
+    const document = JSON.parse(files['tokens.json']);
+
+    expect(document.spacing.gap).toEqual({ $type: 'dimension', $value: '16px' });
+    expect(document.color.accent).toEqual({ $type: 'color', $value: '#ff0000' });
+  });
+
+  it('rejects unknown formats', () => {
+    expect(isTokenExportFormat('tailwind')).toBe(true);
+    expect(isTokenExportFormat('css')).toBe(false);
+    expect(() => exportTokens(tokens, 'css' as any)).toThrow('format must be one of: dtcg, style-dictionary, tailwind');
+  });
+});
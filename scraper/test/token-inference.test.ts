@@ -0,0 +1,134 @@
+import { describe, expect, it } from '@jest/globals';
+import { inferDesignTokens } from '../src/token-inference.js';
+
+const text = (tag: string, rawText: string, styles: Record<string, string>) => ({
+  tag,
+  text: { rawText },
+  styles
+});
+
+const nodes = [
+  { tag: 'body', rect: { width: 1000, height: 1000 }, styles: { backgroundColor: 'rgb(255, 255, 255)' } },
+  {
+    tag: 'div',
+    rect: { width: 200, height: 100 },
+    styles: {
+      // Close enough to white to merge with it
+      backgroundColor: 'rgb(254, 254, 254)',
+      borderWidth: '1px',
+      borderStyle: 'solid',
+      borderColor: 'rgb(229, 231, 235)',
+      borderRadius: '8px',
+      paddingTop: '16px',
+      paddingRight: '24px',
+      paddingBottom: '16px',
+      paddingLeft: '24px'
+    }
+  },
+  text('p', 'Body', { color: 'rgb(17, 24, 39)', fontSize: '16px', fontWeight: '400', marginBottom: '8px' }),
+  text('p', 'Body', { color: 'rgb(17, 24, 39)', fontSize: '16px', fontWeight: '400', marginBottom: '8px' }),
+  text('p', 'Body', { color: 'rgb(17, 24, 39)', fontSize: '16px', fontWeight: '400', marginBottom: '8px' }),
+  text('h1', 'Title', { color: 'rgb(17, 24, 39)', fontSize: '25px', fontWeight: '700', marginBottom: '32px' }),
+  text('h2', 'Subtitle', { color: 'rgb(18, 24, 39)', fontSize: '20px', fontWeight: '700' }),
+  text('small', 'Note', { color: 'rgb(17, 24, 39)', fontSize: '12.8px' }),
+  {
+    tag: 'button',
+    rect: { width: 120, height: 40 },
+    text: { rawText: 'Go' },
+    styles: {
+      backgroundColor: 'rgb(37, 99, 235)',
+      color: 'rgb(255, 255, 255)',
+      paddingTop: '8px',
+      paddingLeft: '16px',
+      borderRadius: '4px',
+      fontSize: '16px',
+      fontWeight: '600'
+    }
+  },
+  text('a', 'More', { color: 'rgb(37, 99, 235)', fontSize: '16px' }),
+  { tag: 'div', rect: { width: 50, height: 50 }, styles: { backgroundColor: 'rgb(220, 38, 38)', gap: '12px' } }
+];
+
+describe('inferDesignTokens', () => {
+  const tokens = inferDesignTokens(nodes);
+
+  it('merges near-identical colors and names clusters by usage', () => {
+    expect(tokens.semantic.colors).toEqual([
+      { name: 'text', value: 'rgb(17, 24, 39)', role: 'text', usage: 6, members: ['rgb(17, 24, 39)', 'rgb(18, 24, 39)'] },
+      {
+        name: 'surface',
+        value: 'rgb(255, 255, 255)',
+        role: 'surface',
+        usage: 3,
+        members: ['rgb(255, 255, 255)', 'rgb(254, 254, 254)']
+      },
+      { name: 'primary', value: 'rgb(37, 99, 235)', role: 'primary', usage: 2, members: ['rgb(37, 99, 235)'] },
+      { name: 'border', value: 'rgb(229, 231, 235)', role: 'border', usage: 1, members: ['rgb(229, 231, 235)'] },
+      { name: 'accent-1', value: 'rgb(220, 38, 38)', role: 'accent', usage: 1, members: ['rgb(220, 38, 38)'] }
+    ]);
+    expect(tokens.colors).toEqual([
+      'rgb(17, 24, 39)',
+      'rgb(255, 255, 255)',
+      'rgb(37, 99, 235)',
+      'rgb(229, 231, 235)',
+      'rgb(220, 38, 38)'
+    ]);
+  });
+
+  it('detects the spacing unit and snaps values to its multiples', () => {
+    // 10 of the 11 values are multiples of 8; 12px snaps to space-2
+    expect(tokens.semantic.spacing).toEqual({
+      baseUnit: 8,
+      coverage: 0.91,
+      steps: [
+        { name: 'space-1', value: 8 },
+        { name: 'space-2', value: 16 },
+        { name: 'space-3', value: 24 },
+        { name: 'space-4', value: 32 }
+      ]
+    });
+    expect(tokens.spacing).toEqual([8, 16, 24, 32]);
+  });
+
+  it('fits font sizes to a modular scale around the most used size', () => {
+    expect(tokens.semantic.typeScale).toEqual({
+      baseSize: 16,
+      ratio: 1.25,
+      steps: [
+        { name: 'font-size-sm', value: 13 },
+        { name: 'font-size-base', value: 16 },
+        { name: 'font-size-lg', value: 20 },
+        { name: 'font-size-xl', value: 25 }
+      ]
+    });
+    expect(tokens.fontSizes).toEqual([13, 16, 20, 25]);
+  });
+
+  it('collects radii and font weights', () => {
+    expect(tokens.radii).toEqual([4, 8]);
+    expect(tokens.fontWeights).toEqual(['400', '600', '700']);
+  });
+
+  it('ignores transparent colors and text colors without text', () => {
+    const result = inferDesignTokens([
+      { tag: 'div', rect: { width: 10, height: 10 }, styles: { backgroundColor: 'rgba(0, 0, 0, 0)', color: 'rgb(255, 0, 0)' } }
+    ]);
+
+    expect(result.semantic.colors).toEqual([]);
+  });
+
+  it('falls back to empty scales without input', () => {
+    expect(inferDesignTokens([])).toEqual({
+      spacing: [],
+      radii: [],
+      colors: [],
+      fontSizes: [],
+      fontWeights: [],
+      semantic: {
+        colors: [],
+        spacing: { baseUnit: 4, coverage: 0, steps: [] },
+        typeScale: { baseSize: 16, ratio: 1.25, steps: [] }
+      }
+    });
+  });
+});